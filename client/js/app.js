@@ -1,7 +1,10 @@
 // Initialize application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('Bridge Legal Call System initializing...');
     
+    // Nothing is loaded until the user has signed in
+    await ensureAuthenticated();
+    
     // Load components first
     loadComponents().then(() => {
         // Initialize WebSocket after components are loaded
@@ -43,11 +46,25 @@ async function loadComponents() {
         const monitorHtml = await monitorResponse.text();
         document.getElementById('monitor-panel').innerHTML = monitorHtml;
         
+        // Load conference panel
+        const conferenceResponse = await fetch('components/conference-panel.html');
+        const conferenceHtml = await conferenceResponse.text();
+        document.getElementById('conferences-panel').innerHTML = conferenceHtml;
+        
+        // Load audit panel (supervisors and admins only)
+        if (hasRole('supervisor')) {
+            const auditResponse = await fetch('components/audit-panel.html');
+            const auditHtml = await auditResponse.text();
+            document.getElementById('audit-panel').innerHTML = auditHtml;
+        }
+        
         // Initialize panels after loading
         setTimeout(() => {
             initializeCampaignPanel();
             initializeLeadsPanel();
             initializeMonitorPanel();
+            initializeConferencePanel();
+            initializeAuditPanel();
         }, 100);
         
     } catch (error) {
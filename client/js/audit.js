@@ -0,0 +1,111 @@
+// Audit log viewer (supervisors and admins)
+
+function initializeAuditPanel() {
+    // Refresh whenever the tab is opened
+    const auditTab = document.querySelector('[data-tab="audit"]');
+    if (!auditTab) return;
+
+    auditTab.addEventListener('click', loadAuditLog);
+    if (auditTab.classList.contains('active')) {
+        loadAuditLog();
+    }
+}
+
+function getAuditFilters() {
+    const filters = {
+        actor: document.getElementById('auditActorFilter').value.trim(),
+        action: document.getElementById('auditActionFilter').value,
+        callId: document.getElementById('auditCallIdFilter').value.trim(),
+        campaignId: document.getElementById('auditCampaignIdFilter').value.trim(),
+        from: document.getElementById('auditFromFilter').value,
+        to: document.getElementById('auditToFilter').value,
+        limit: 200
+    };
+
+    // datetime-local values are in the browser's time zone
+    if (filters.from) filters.from = new Date(filters.from).toISOString();
+    if (filters.to) filters.to = new Date(filters.to).toISOString();
+
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+}
+
+async function loadAuditLog() {
+    const tbody = document.getElementById('auditTableBody');
+    if (!tbody) return;
+
+    try {
+        const params = new URLSearchParams(getAuditFilters());
+        const data = await apiCall(`/api/audit?${params}`);
+
+        document.getElementById('auditEntryCount').textContent = data.total;
+        renderAuditEntries(data.entries);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        tbody.innerHTML = `<tr><td colspan="6" class="audit-empty">Failed to load audit log: ${escapeAuditText(error.message)}</td></tr>`;
+    }
+}
+
+function renderAuditEntries(entries) {
+    const tbody = document.getElementById('auditTableBody');
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="audit-empty">No audit entries match these filters</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => `
+        <tr>
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>
+                ${escapeAuditText(entry.actor)}
+                <span class="audit-role">${escapeAuditText(entry.role || '')}</span>
+            </td>
+            <td>${escapeAuditText(entry.action)}</td>
+            <td class="audit-ids">
+                ${entry.callId ? `Call: ${escapeAuditText(entry.callId)}<br>` : ''}
+                ${entry.campaignId ? `Campaign: ${escapeAuditText(entry.campaignId)}<br>` : ''}
+                ${entry.phoneNumber ? escapeAuditText(entry.phoneNumber) : ''}
+            </td>
+            <td class="audit-details">${escapeAuditText(describeAuditPayload(entry))}</td>
+            <td>
+                <span class="audit-outcome ${entry.result.outcome}">${entry.result.outcome}</span>
+                ${entry.result.message ? `<div>${escapeAuditText(entry.result.message)}</div>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Human-readable summary of what was sent, e.g. the text said into a call
+function describeAuditPayload(entry) {
+    const payload = entry.payload || {};
+
+    switch (entry.action) {
+        case 'call.control':
+            return payload.action === 'say'
+                ? `Said: "${payload.data?.message || ''}"${payload.data?.endCallAfterSpoken ? ' (then ended call)' : ''}`
+                : payload.action;
+        case 'call.transfer':
+            return `To ${payload.destination?.number || payload.destination || ''}`;
+        default:
+            return Object.keys(payload).length > 0 ? JSON.stringify(payload, null, 2) : '';
+    }
+}
+
+function escapeAuditText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function clearAuditFilters() {
+    ['auditActorFilter', 'auditActionFilter', 'auditCallIdFilter', 'auditCampaignIdFilter', 'auditFromFilter', 'auditToFilter']
+        .forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    loadAuditLog();
+}
+
+// Export functions for use in other scripts
+window.initializeAuditPanel = initializeAuditPanel;
+window.loadAuditLog = loadAuditLog;
+window.clearAuditFilters = clearAuditFilters;
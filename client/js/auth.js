@@ -0,0 +1,144 @@
+// Dashboard login, current user and role handling
+let currentUser = null;
+let loginResolver = null;
+
+// Resolve once the user has a session, showing the login screen if needed
+async function ensureAuthenticated() {
+    const user = await fetchCurrentUser();
+    if (user) {
+        setCurrentUser(user);
+        return user;
+    }
+
+    return new Promise(resolve => {
+        loginResolver = resolve;
+        showLoginScreen();
+    });
+}
+
+async function fetchCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        return data.user;
+    } catch (error) {
+        console.error('Error checking session:', error);
+        return null;
+    }
+}
+
+function setCurrentUser(user) {
+    currentUser = user;
+    document.body.dataset.role = user.role;
+
+    document.getElementById('currentUserName').textContent = user.username;
+    document.getElementById('currentUserRole').textContent = user.role;
+    document.getElementById('userMenu').classList.add('show');
+
+    // Drop tabs and panels this role cannot use
+    document.querySelectorAll('[data-requires-role]').forEach(element => {
+        if (!hasRole(element.dataset.requiresRole)) {
+            element.remove();
+        }
+    });
+}
+
+// Viewer < supervisor < admin
+function hasRole(role) {
+    const roles = ['viewer', 'supervisor', 'admin'];
+    return Boolean(currentUser) && roles.indexOf(currentUser.role) >= roles.indexOf(role);
+}
+
+function showLoginScreen(message = '') {
+    document.getElementById('loginError').textContent = message;
+    document.getElementById('loginScreen').classList.add('show');
+    document.getElementById('loginUsername').focus();
+}
+
+function hideLoginScreen() {
+    document.getElementById('loginScreen').classList.remove('show');
+    document.getElementById('loginForm').reset();
+    document.getElementById('loginError').textContent = '';
+}
+
+async function handleLoginSubmit(event) {
+    event.preventDefault();
+
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value.trim(),
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('loginError').textContent = data.error || 'Login failed';
+            return;
+        }
+
+        setCurrentUser(data.user);
+        hideLoginScreen();
+
+        if (loginResolver) {
+            // First login: let the app finish starting up
+            loginResolver(data.user);
+            loginResolver = null;
+        } else if (!window.ws && typeof initializeWebSocket === 'function') {
+            // Logged back in after the session expired
+            initializeWebSocket();
+        }
+    } catch (error) {
+        console.error('Login failed:', error);
+        document.getElementById('loginError').textContent = 'Could not reach the server';
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout failed:', error);
+    }
+
+    // Start from a clean page so no data from this session stays on screen
+    window.location.reload();
+}
+
+// Send every API 401 to the login screen and explain 403s
+const originalFetch = window.fetch.bind(window);
+window.fetch = async (input, init) => {
+    const response = await originalFetch(input, init);
+    const url = typeof input === 'string' ? input : input.url;
+
+    if (url.includes('/api/') && !url.includes('/api/auth/')) {
+        if (response.status === 401 && !loginResolver) {
+            showLoginScreen('Your session has ended. Please sign in again.');
+        } else if (response.status === 403 && typeof showNotification === 'function') {
+            showNotification(`Your role (${currentUser?.role}) does not allow this action`, 'error');
+        }
+    }
+
+    return response;
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('loginForm').addEventListener('submit', handleLoginSubmit);
+    document.getElementById('logoutButton').addEventListener('click', logout);
+});
+
+// Export functions for use in other scripts
+window.ensureAuthenticated = ensureAuthenticated;
+window.hasRole = hasRole;
+window.showLoginScreen = showLoginScreen;
+window.logout = logout;
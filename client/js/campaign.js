@@ -1,5 +1,7 @@
 let currentCampaignData = null;
+let currentCampaignId = null;
 let campaignInProgress = false;
+let campaignPaused = false;
 
 // Initialize campaign panel
 function initializeCampaignPanel() {
@@ -177,6 +179,8 @@ async function startCampaign() {
     const callDelay = parseInt(document.getElementById('callDelay').value) || 5;
     const maxConcurrent = parseInt(document.getElementById('maxConcurrent').value) || 3;
     const scheduleTime = document.getElementById('scheduleTime').value;
+    const maxAttempts = parseInt(document.getElementById('maxAttempts').value) || 3;
+    const retryDelay = parseInt(document.getElementById('retryDelay').value) || 60;
     
     // Filter valid numbers only
     const validContacts = currentCampaignData.filter(row => row.phone_valid);
@@ -192,6 +196,8 @@ async function startCampaign() {
     
     // Initialize progress
     const campaignId = generateCampaignId();
+    currentCampaignId = campaignId;
+    setCampaignPaused(false);
     const campaign = {
         id: campaignId,
         name: campaignName,
@@ -199,6 +205,12 @@ async function startCampaign() {
         callDelay,
         maxConcurrent,
         scheduleTime,
+        retryPolicy: {
+            maxAttempts,
+            backoffSeconds: {
+                'no-answer': retryDelay * 60
+            }
+        },
         startTime: new Date().toISOString(),
         stats: {
             total: validContacts.length,
@@ -248,7 +260,7 @@ async function stopCampaign() {
     if (!confirm('Are you sure you want to stop the campaign?')) return;
     
     try {
-        const response = await fetch('/api/campaigns/stop', {
+        const response = await fetch(`/api/campaigns/${currentCampaignId}/stop`, {
             method: 'POST'
         });
         
@@ -257,6 +269,7 @@ async function stopCampaign() {
         }
         
         campaignInProgress = false;
+        setCampaignPaused(false);
         document.getElementById('startCampaignBtn').disabled = false;
         showNotification('Campaign stopped', 'info');
         
@@ -266,6 +279,64 @@ async function stopCampaign() {
     }
 }
 
+// Pause campaign (calls already in progress are not interrupted)
+async function pauseCampaign() {
+    if (!campaignInProgress || campaignPaused || !currentCampaignId) return;
+    
+    try {
+        const response = await fetch(`/api/campaigns/${currentCampaignId}/pause`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to pause campaign');
+        }
+        
+        setCampaignPaused(true);
+        showNotification('Campaign paused - calls in progress will finish', 'info');
+        
+    } catch (error) {
+        console.error('Error pausing campaign:', error);
+        showNotification('Failed to pause campaign: ' + error.message, 'error');
+    }
+}
+
+// Resume a paused campaign from where it left off
+async function resumeCampaign() {
+    if (!campaignInProgress || !campaignPaused || !currentCampaignId) return;
+    
+    try {
+        const response = await fetch(`/api/campaigns/${currentCampaignId}/resume`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to resume campaign');
+        }
+        
+        setCampaignPaused(false);
+        showNotification('Campaign resumed', 'success');
+        
+    } catch (error) {
+        console.error('Error resuming campaign:', error);
+        showNotification('Failed to resume campaign: ' + error.message, 'error');
+    }
+}
+
+// Toggle pause/resume buttons
+function setCampaignPaused(paused) {
+    campaignPaused = paused;
+    
+    const pauseBtn = document.getElementById('pauseCampaignBtn');
+    const resumeBtn = document.getElementById('resumeCampaignBtn');
+    if (pauseBtn) pauseBtn.style.display = paused ? 'none' : 'inline-block';
+    if (resumeBtn) resumeBtn.style.display = paused ? 'inline-block' : 'none';
+    
+    document.getElementById('campaignStatus').textContent = !campaignInProgress ? 'Idle' : paused ? 'Paused' : 'Active';
+}
+
 // Update campaign progress
 function updateCampaignProgress(campaign) {
     const { stats } = campaign;
@@ -275,28 +346,40 @@ function updateCampaignProgress(campaign) {
     document.getElementById('completedCalls').textContent = stats.completed;
     document.getElementById('failedCalls').textContent = stats.failed;
     document.getElementById('inProgressCalls').textContent = stats.inProgress;
+    document.getElementById('retriedCalls').textContent = stats.retried || 0;
+    document.getElementById('suppressedCalls').textContent = stats.suppressed || 0;
+    const dispositions = stats.dispositions || {};
+    document.getElementById('convertedCalls').textContent = (dispositions.qualified || 0) + (dispositions.transferred || 0);
     document.getElementById('progressFill').style.width = `${progress}%`;
     
     // Update header stats
-    document.getElementById('campaignStatus').textContent = campaignInProgress ? 'Active' : 'Idle';
+    document.getElementById('campaignStatus').textContent = !campaignInProgress ? 'Idle' : campaignPaused ? 'Paused' : 'Active';
 }
 
 // Subscribe to campaign updates via WebSocket
 function subscribeToCampaignUpdates(campaignId) {
-    if (window.ws && window.ws.readyState === WebSocket.OPEN) {
-        window.ws.send(JSON.stringify({
-            type: 'subscribe_campaign',
-            campaignId
-        }));
+    if (typeof subscribeToCampaign === 'function') {
+        subscribeToCampaign(campaignId);
     }
 }
 
 // Handle campaign update from WebSocket
 function handleCampaignUpdate(data) {
-    if (data.type === 'campaign_update') {
+    // Keep buttons in sync when another supervisor pauses or resumes
+    if ((data.type === 'campaign_paused' || data.type === 'campaign_resumed') && data.campaignId === currentCampaignId) {
+        setCampaignPaused(data.type === 'campaign_paused');
+        updateCampaignProgress(data.campaign);
+        return;
+    }
+    
+    // Other campaigns may be running side by side - only track ours here
+    if (data.campaignId && data.campaignId !== currentCampaignId) return;
+    
+    if (data.type === 'campaign_update' || data.type === 'campaign_completed') {
         updateCampaignProgress(data.campaign);
         
-        if (data.campaign.stats.completed === data.campaign.stats.total) {
+        // Retried contacts keep the campaign open until the server says it is done
+        if (data.type === 'campaign_completed') {
             campaignInProgress = false;
             document.getElementById('startCampaignBtn').disabled = false;
             showNotification('Campaign completed!', 'success');
@@ -304,6 +387,12 @@ function handleCampaignUpdate(data) {
     }
 }
 
+// Download the current campaign's call results
+function exportCampaignResults(format = 'csv') {
+    if (!currentCampaignId) return;
+    window.location.href = `/api/campaigns/${currentCampaignId}/export?format=${format}`;
+}
+
 // Campaign history management
 function saveCampaignToHistory(campaign) {
     const history = JSON.parse(localStorage.getItem('campaignHistory') || '[]');
@@ -336,6 +425,10 @@ function loadCampaignHistory() {
                 <span>Completed: ${campaign.stats.completed}</span>
                 <span>Failed: ${campaign.stats.failed}</span>
             </div>
+            <div class="history-actions">
+                <a href="/api/campaigns/${campaign.id}/export?format=csv" download>CSV</a>
+                <a href="/api/campaigns/${campaign.id}/export?format=json" download>JSON</a>
+            </div>
         </div>
     `).join('');
 }
@@ -415,4 +508,6 @@ document.head.appendChild(style);
 
 // Export functions for global access
 window.initializeCampaignPanel = initializeCampaignPanel;
-window.handleCampaignUpdate = handleCampaignUpdate;
\ No newline at end of file
+window.handleCampaignUpdate = handleCampaignUpdate;
+window.pauseCampaign = pauseCampaign;
+window.resumeCampaign = resumeCampaign;
\ No newline at end of file
@@ -0,0 +1,223 @@
+// Live conference dashboard: transfers waiting for or talking to an agent
+
+const PARTICIPANT_LABELS = {
+    customer: 'Customer',
+    hold_assistant: 'Hold assistant',
+    agent: 'Agent',
+    supervisor: 'Supervisor',
+    other: 'Other'
+};
+
+let conferences = [];
+let conferenceRefreshTimeout = null;
+let conferenceClockInterval = null;
+
+function initializeConferencePanel() {
+    const conferenceTab = document.querySelector('[data-tab="conferences"]');
+    if (!conferenceTab) return;
+
+    conferenceTab.addEventListener('click', loadConferences);
+    loadConferences();
+
+    // Keep wait times ticking between updates
+    if (!conferenceClockInterval) {
+        conferenceClockInterval = setInterval(updateConferenceWaitTimes, 1000);
+    }
+}
+
+async function loadConferences() {
+    const list = document.getElementById('conferenceList');
+    if (!list) return;
+
+    try {
+        const data = await apiCall('/api/conference/active');
+        conferences = data.conferences;
+        renderConferences();
+    } catch (error) {
+        console.error('Error loading conferences:', error);
+        list.innerHTML = `<p class="conference-empty">Failed to load conferences: ${escapeConferenceText(error.message)}</p>`;
+    }
+}
+
+// Conference events arrive in bursts (join, agent, escalation), so reload once
+function handleConferenceUpdate(data) {
+    clearTimeout(conferenceRefreshTimeout);
+    conferenceRefreshTimeout = setTimeout(loadConferences, 500);
+}
+
+function renderConferences() {
+    const list = document.getElementById('conferenceList');
+    const waiting = conferences.filter(conference => conference.waitingForAgent).length;
+
+    document.getElementById('activeConferenceCount').textContent = conferences.length;
+    document.getElementById('waitingConferenceCount').textContent = waiting;
+    document.getElementById('noConferencesMessage').style.display = conferences.length === 0 ? 'block' : 'none';
+
+    list.innerHTML = conferences.map(renderConferenceCard).join('');
+}
+
+function renderConferenceCard(conference) {
+    const canControl = hasRole('supervisor');
+    const id = escapeConferenceText(conference.conferenceId);
+    const supervisedCallId = escapeConferenceText(conference.originalCallId || conference.holdAssistantCallId || '');
+
+    const participants = conference.participants.map(participant => {
+        const left = Boolean(participant.leftAt);
+        const callSid = escapeConferenceText(participant.callSid);
+
+        return `
+            <tr class="${left ? 'participant-left' : ''}">
+                <td class="participant-role">${PARTICIPANT_LABELS[participant.role] || participant.role}</td>
+                <td>
+                    Joined ${formatConferenceTime(participant.joinedAt)}
+                    ${left ? `<br>Left ${formatConferenceTime(participant.leftAt)}` : ''}
+                </td>
+                <td class="participant-flags">
+                    ${participant.muted ? '<span>Muted</span>' : ''}
+                    ${participant.hold ? '<span>On hold</span>' : ''}
+                </td>
+                <td class="participant-actions">
+                    ${canControl && !left ? `
+                        <button class="btn btn-secondary" onclick="setConferenceParticipant('${id}', '${callSid}', { muted: ${!participant.muted} })">
+                            ${participant.muted ? 'Unmute' : 'Mute'}
+                        </button>
+                        <button class="btn btn-secondary" onclick="setConferenceParticipant('${id}', '${callSid}', { hold: ${!participant.hold} })">
+                            ${participant.hold ? 'Resume' : 'Hold'}
+                        </button>
+                        <button class="btn btn-danger" onclick="removeConferenceParticipant('${id}', '${callSid}')">Remove</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="conference-card ${conference.waitingForAgent ? 'waiting' : 'connected'}" data-conference-id="${id}">
+            <div class="conference-card-header">
+                <div>
+                    <h4>${escapeConferenceText(conference.customerName || conference.customerPhone || 'Unknown customer')}</h4>
+                    <p>${escapeConferenceText(conference.customerPhone || '')} ${conference.leadType ? `· ${escapeConferenceText(conference.leadType)}` : ''}</p>
+                    <p class="conference-meta">
+                        ${escapeConferenceText(conference.destination || 'No destination')} ·
+                        ${escapeConferenceText(describeConferenceStatus(conference))}
+                    </p>
+                </div>
+                <div class="conference-wait" data-created-at="${conference.createdAt}" data-agent-joined-at="${conference.agentJoinedAt || ''}">
+                    ${formatConferenceWait(conference.waitTime)}
+                    <span>${conference.waitingForAgent ? 'waiting' : 'until agent joined'}</span>
+                </div>
+            </div>
+
+            <table class="conference-participants">
+                <tbody>
+                    ${participants || '<tr><td colspan="4">No one has joined yet</td></tr>'}
+                </tbody>
+            </table>
+
+            ${canControl ? `
+                <div class="conference-actions">
+                    ${supervisedCallId ? `
+                        <button class="btn btn-secondary btn-sm" onclick="superviseConference('${supervisedCallId}', 'listen')">Listen</button>
+                        <button class="btn btn-secondary btn-sm" onclick="superviseConference('${supervisedCallId}', 'whisper')" ${conference.waitingForAgent ? 'disabled' : ''}>Whisper</button>
+                        <button class="btn btn-secondary btn-sm" onclick="superviseConference('${supervisedCallId}', 'barge')">Barge</button>
+                    ` : ''}
+                    <button class="btn btn-danger btn-sm" onclick="endConferenceFromPanel('${id}')">End Conference</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function describeConferenceStatus(conference) {
+    const status = conference.status.replace(/_/g, ' ');
+    return conference.escalationStep && conference.waitingForAgent
+        ? `${status} (${conference.escalationStep.replace(/_/g, ' ')})`
+        : status;
+}
+
+function updateConferenceWaitTimes() {
+    document.querySelectorAll('.conference-wait').forEach(element => {
+        if (element.dataset.agentJoinedAt) return;
+
+        const seconds = Math.floor((Date.now() - new Date(element.dataset.createdAt).getTime()) / 1000);
+        element.firstChild.textContent = formatConferenceWait(seconds);
+    });
+}
+
+async function setConferenceParticipant(conferenceId, callSid, updates) {
+    try {
+        await apiCall(`/api/conference/participant/${encodeURIComponent(conferenceId)}/${encodeURIComponent(callSid)}`, {
+            method: 'POST',
+            body: JSON.stringify(updates)
+        });
+        loadConferences();
+    } catch (error) {
+        showNotification(`Failed to update participant: ${error.message}`, 'error');
+    }
+}
+
+async function removeConferenceParticipant(conferenceId, callSid) {
+    if (!confirm('Hang up this participant?')) return;
+
+    try {
+        await apiCall(`/api/conference/participant/${encodeURIComponent(conferenceId)}/${encodeURIComponent(callSid)}`, {
+            method: 'DELETE'
+        });
+        showNotification('Participant removed', 'success');
+    } catch (error) {
+        showNotification(`Failed to remove participant: ${error.message}`, 'error');
+    }
+}
+
+// Dial the supervisor's phone in (same sessions as the monitor card's Supervise button)
+async function superviseConference(callId, mode) {
+    const phoneNumber = localStorage.getItem('supervisorPhone') || prompt('Phone number to dial you on:');
+    if (!phoneNumber) return;
+
+    try {
+        const result = await apiCall(`/api/calls/${encodeURIComponent(callId)}/supervise`, {
+            method: 'POST',
+            body: JSON.stringify({ mode, phoneNumber })
+        });
+        localStorage.setItem('supervisorPhone', phoneNumber);
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(`Failed to supervise conference: ${error.message}`, 'error');
+    }
+}
+
+async function endConferenceFromPanel(conferenceId) {
+    if (!confirm('End this conference for everyone?')) return;
+
+    try {
+        await apiCall(`/api/conference/end/${encodeURIComponent(conferenceId)}`, { method: 'POST' });
+        showNotification('Conference ended', 'success');
+        loadConferences();
+    } catch (error) {
+        showNotification(`Failed to end conference: ${error.message}`, 'error');
+    }
+}
+
+function formatConferenceWait(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatConferenceTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+}
+
+function escapeConferenceText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Export functions for use in other scripts
+window.initializeConferencePanel = initializeConferencePanel;
+window.handleConferenceUpdate = handleConferenceUpdate;
+window.loadConferences = loadConferences;
+window.setConferenceParticipant = setConferenceParticipant;
+window.removeConferenceParticipant = removeConferenceParticipant;
+window.endConferenceFromPanel = endConferenceFromPanel;
+window.superviseConference = superviseConference;
@@ -881,6 +881,7 @@ async function initiateBulkCall() {
     
     let successCount = 0;
     let failCount = 0;
+    let blockedCount = 0;
     
     try {
         // Switch to monitor panel to see the calls
@@ -917,6 +918,11 @@ async function initiateBulkCall() {
                 if (response.ok) {
                     successCount++;
                     console.log(`✅ Call initiated for ${lead.fullName} (${lead.formattedPhone}) using ${assistantType}`);
+                } else if (response.status === 422 || response.status === 403) {
+                    // Outside the lead's local calling hours, or on the do-not-call list
+                    blockedCount++;
+                    const result = await response.json();
+                    console.warn(`🕗 Skipped ${lead.fullName}: ${result.error}`);
                 } else {
                     failCount++;
                     console.error(`❌ Failed to call ${lead.fullName}: ${response.statusText}`);
@@ -937,6 +943,10 @@ async function initiateBulkCall() {
         }
         
         // Show final results
+        if (blockedCount > 0) {
+            showNotification(`🕗 ${blockedCount} leads skipped - outside their local calling hours or on the do-not-call list`, 'warning');
+        }
+        
         if (successCount > 0) {
             showNotification(`✅ Successfully initiated ${successCount} calls using ${assistantType} assistant${failCount > 0 ? ` (${failCount} failed)` : ''}`, 'success');
             
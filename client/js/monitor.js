@@ -13,6 +13,9 @@ const activeCallsMap = window.activeCallsMap;
 let selectedCallId = null;
 let currentCallForAction = null;
 
+// Disposition taxonomy (matches server/utils/dispositions.js)
+const CALL_DISPOSITIONS = ['qualified', 'transferred', 'not-interested', 'wrong-number', 'voicemail', 'callback-requested', 'dnc'];
+
 // Toggle listen functionality - ENHANCED with better state checking
 async function toggleListen(btn) {
     const callId = btn.dataset.callId;
@@ -680,18 +683,26 @@ function handleCallUpdate(data) {
             }
             break;
             
-        case 'call_ringing':
-        case 'call_answered':
+        case 'call_state_changed':
+            // One event for every status change; the server checks the transition
+            updateCallCard({ ...data.call, id: data.callId, status: data.status });
+            break;
+            
         case 'call_control':
-            updateCallCard(data.call || { id: data.callId, status: data.type });
+            if (data.action === 'mute' || data.action === 'unmute') {
+                updateCallCard({ id: data.callId, assistantMuted: data.action === 'mute' });
+            }
             break;
             
         case 'call_ended':
-        case 'call_failed':
-            updateCallCard(data.call || { id: data.callId, status: 'ended' });
+            // Sent once the server has finished with the call's streams
             setTimeout(() => removeCallCard((data.call && data.call.id) || data.callId), 3000);
             break;
             
+        case 'call_removed_from_monitor':
+            removeCallCard(data.callId);
+            break;
+            
         case 'transcript_update':
             updateTranscript(data.callId, data.transcript);
             break;
@@ -700,6 +711,22 @@ function handleCallUpdate(data) {
             updateCallCard({ id: data.callId, status: 'transferred' });
             setTimeout(() => removeCallCard(data.callId), 2000);
             break;
+            
+        case 'call_disposition':
+            updateDispositionBadge(data.callId, data.disposition);
+            break;
+            
+        case 'call_alert':
+            showCallAlert(data.callId, data.alert);
+            break;
+            
+        case 'conference_escalation':
+            showTransferEscalation(data);
+            break;
+            
+        case 'call_supervision':
+            showSupervisionStatus(data);
+            break;
     }
     
     updateActiveCallsCount();
@@ -713,6 +740,11 @@ function addCallCard(call) {
     // Store call data
     activeCallsMap.set(call.id, call);
     
+    // Live transcript lines are only sent for calls we subscribe to
+    if (typeof subscribeToCall === 'function') {
+        subscribeToCall(call.id);
+    }
+    
     // Hide no calls message
     const noCallsElement = document.getElementById('noCallsMessage');
     if (noCallsElement) {
@@ -929,6 +961,10 @@ function removeCallCard(callId) {
             card.remove();
             activeCallsMap.delete(callId);
             
+            if (typeof unsubscribeFromCall === 'function') {
+                unsubscribeFromCall(callId);
+            }
+            
             if (activeCallsMap.size === 0) {
                 showNoCallsMessage();
             }
@@ -958,6 +994,14 @@ function updateCallStatus(card, status) {
             badge.classList.add('in-progress');
             badge.textContent = 'In Progress';
             break;
+        case 'transferring':
+            badge.classList.add('in-progress');
+            badge.textContent = 'Transferring';
+            break;
+        case 'ending':
+            badge.classList.add('ended');
+            badge.textContent = 'Ending';
+            break;
         case 'ended':
             badge.classList.add('ended');
             badge.textContent = 'Ended';
@@ -1078,78 +1122,91 @@ function updateTranscript(callId, transcript) {
     if (entries.length > 20) {
         entries[0].remove();
     }
-    
-    // Check for alerts only on final transcripts
-    if (transcriptType === 'final') {
-        checkForAlerts(callId, transcript);
-    }
 }
 
-// Enhanced alert system for customer issues
-function checkForAlerts(callId, transcript) {
-    if (transcript.speaker !== 'customer' && transcript.speaker !== 'user') return;
+// Show an alert raised by the server-side rules engine (call_alert event)
+function showCallAlert(callId, alert) {
+    const alertType = alert.ruleId;
+    const label = (alert.ruleName || alertType).toUpperCase();
     
-    const text = transcript.text.toLowerCase();
+    // Visual alert on the call card
+    const card = document.querySelector(`[data-call-id="${callId}"]`);
+    if (card) {
+        card.classList.add('alert-active', `alert-${alertType}`, `alert-severity-${alert.severity}`);
+        
+        // Add alert indicator
+        const statusBadge = card.querySelector('.status-badge');
+        if (statusBadge && !statusBadge.classList.contains('alert-requested')) {
+            statusBadge.classList.add('alert-requested', `alert-${alertType}`);
+            statusBadge.innerHTML = `${statusBadge.textContent} - ${label}`;
+        }
+        
+        // Add alert banner to card (replacing an older one)
+        const existingBanner = card.querySelector('.alert-banner');
+        if (existingBanner) existingBanner.remove();
+        
+        const alertBanner = document.createElement('div');
+        alertBanner.className = `alert-banner alert-${alertType} alert-severity-${alert.severity}`;
+        alertBanner.innerHTML = `
+            <strong>${label}:</strong> "${alert.text}"
+            <button onclick="dismissAlert('${callId}')" class="dismiss-btn">×</button>
+        `;
+        card.insertBefore(alertBanner, card.firstChild);
+    }
     
-    // Categorize alert keywords
-    const alertKeywords = {
-        transfer: ['supervisor', 'manager', 'transfer', 'speak to someone else', 'real person', 'human agent', 'get me someone else', 'escalate'],
-        dissatisfaction: ['unsatisfied', 'unhappy', 'disappointed', 'frustrated', 'angry', 'upset', 'terrible', 'horrible', 'awful', 'disgusted'],
-        ai_detection: ['robot', 'bot', 'artificial', 'not real', 'computer', 'automated', 'fake voice', 'recorded'],
-        refusal: ["don't want to talk", "not interested", "stop calling", "remove me", "take me off", "don't call again"],
-        confusion: ["don't understand", "confused", "what are you talking about", "makes no sense", "unclear"]
-    };
+    // Show notification
+    const notificationType = alert.severity === 'critical' ? 'error' : alert.severity === 'info' ? 'info' : 'warning';
+    showNotification(`${label} in call ${callId}`, notificationType);
     
-    let alertType = null;
-    let matchedKeywords = [];
+    // Play alert sound for anything above info
+    if (alert.severity !== 'info') {
+        playAlertSound();
+    }
     
-    // Check for each category
-    for (const [category, keywords] of Object.entries(alertKeywords)) {
-        const matches = keywords.filter(keyword => text.includes(keyword));
-        if (matches.length > 0) {
-            alertType = category;
-            matchedKeywords = matches;
-            break;
-        }
+    console.warn(`${alertType} alert in call ${callId}:`, alert);
+}
+
+// Describe a step of a transfer that no agent has answered yet
+function describeEscalationStep(data) {
+    switch (data.step) {
+        case 'dialing':
+            return `Dialing ${data.destinationName} (${data.timeoutSeconds}s to answer)`;
+        case 'next_destination':
+            return `No agent at ${data.previousDestinationName}, trying ${data.destinationName}`;
+        case 'callback_offered':
+            return 'No agent available, offering the customer a callback';
+        case 'callback_booked':
+            return `Callback booked for ${new Date(data.dueAt).toLocaleString()}, ending conference`;
+        case 'agent_joined':
+            return `Agent joined from ${data.destinationName} after ${data.waitSeconds}s`;
+        default:
+            return data.step;
     }
+}
+
+// Show transfer escalation steps on the hold assistant's (or original) call card
+function showTransferEscalation(data) {
+    const text = describeEscalationStep(data);
+    const customer = data.customerName || data.customerPhone || data.conferenceId;
     
-    if (alertType) {
-        // Visual alert on the call card
-        const card = document.querySelector(`[data-call-id="${callId}"]`);
-        if (card) {
-            card.classList.add('alert-active', `alert-${alertType}`);
-            
-            // Add alert indicator
-            const statusBadge = card.querySelector('.status-badge');
-            if (statusBadge && !statusBadge.classList.contains('alert-requested')) {
-                statusBadge.classList.add('alert-requested', `alert-${alertType}`);
-                statusBadge.innerHTML = `${statusBadge.textContent} - ${alertType.toUpperCase()} ALERT`;
-            }
-            
-            // Add alert banner to card
-            if (!card.querySelector('.alert-banner')) {
-                const alertBanner = document.createElement('div');
-                alertBanner.className = `alert-banner alert-${alertType}`;
-                alertBanner.innerHTML = `
-                    <strong>${alertType.toUpperCase()} DETECTED:</strong> "${transcript.text}"
-                    <button onclick="dismissAlert('${callId}')" class="dismiss-btn">×</button>
-                `;
-                card.insertBefore(alertBanner, card.firstChild);
-            }
+    const card = [data.holdAssistantCallId, data.originalCallId]
+        .filter(Boolean)
+        .map(callId => document.querySelector(`[data-call-id="${callId}"]`))
+        .find(Boolean);
+    
+    if (card) {
+        const banner = card.querySelector('.transfer-escalation');
+        if (banner) {
+            banner.className = `transfer-escalation escalation-${data.step}`;
+            banner.textContent = `Transfer: ${text}`;
+            banner.style.display = 'block';
         }
-        
-        // Show notification
-        showNotification(`${alertType.toUpperCase()} detected in call ${callId}`, 'warning');
-        
-        // Play alert sound
-        playAlertSound();
-        
-        // Log for monitoring
-        console.warn(`${alertType} alert detected in call ${callId}:`, {
-            text: transcript.text,
-            keywords: matchedKeywords,
-            timestamp: new Date().toISOString()
-        });
+    }
+    
+    // Dialing the first destination is routine; everything after it needs attention
+    if (data.step !== 'dialing') {
+        const notificationType = data.step === 'agent_joined' ? 'success' : 'warning';
+        showNotification(`Transfer for ${customer}: ${text}`, notificationType);
     }
 }
 
@@ -1455,6 +1512,87 @@ function closeTransferCall() {
     currentCallForAction = null;
 }
 
+// Supervisor listen / whisper / barge-in by phone
+async function superviseCall(btn) {
+    currentCallForAction = btn.dataset.callId;
+    const modal = document.getElementById('superviseCallModal');
+    if (!modal) return;
+    
+    document.getElementById('supervisePhone').value = localStorage.getItem('supervisorPhone') || '';
+    document.getElementById('stopSupervisionButton').style.display = 'none';
+    modal.style.display = 'flex';
+    
+    // Offer to switch mode or leave when already on the call
+    try {
+        const { session } = await apiCall(`/api/calls/${currentCallForAction}/supervise`);
+        if (session) {
+            document.getElementById('superviseMode').value = session.mode;
+            document.getElementById('stopSupervisionButton').style.display = 'inline-block';
+        }
+    } catch (error) {
+        console.error('Error loading supervision session:', error);
+    }
+}
+
+async function executeSupervision() {
+    const mode = document.getElementById('superviseMode').value;
+    const phoneNumber = document.getElementById('supervisePhone').value.trim();
+    
+    if (!phoneNumber) {
+        showNotification('Please enter the phone number to dial you on', 'error');
+        return;
+    }
+    
+    try {
+        const result = await apiCall(`/api/calls/${currentCallForAction}/supervise`, {
+            method: 'POST',
+            body: JSON.stringify({ mode, phoneNumber })
+        });
+        
+        localStorage.setItem('supervisorPhone', phoneNumber);
+        closeSuperviseCall();
+        showNotification(result.message, 'success');
+        
+    } catch (error) {
+        showNotification('Failed to supervise call: ' + error.message, 'error');
+    }
+}
+
+async function stopSupervision() {
+    try {
+        await apiCall(`/api/calls/${currentCallForAction}/supervise`, { method: 'DELETE' });
+        closeSuperviseCall();
+        showNotification('You have left the call', 'info');
+        
+    } catch (error) {
+        showNotification('Failed to leave call: ' + error.message, 'error');
+    }
+}
+
+function closeSuperviseCall() {
+    const modal = document.getElementById('superviseCallModal');
+    if (modal) modal.style.display = 'none';
+    currentCallForAction = null;
+}
+
+// Show who is supervising a call, and how, on its card
+function showSupervisionStatus(data) {
+    const card = document.querySelector(`[data-call-id="${data.callId}"]`);
+    if (!card) return;
+    
+    const status = card.querySelector('.supervision-status');
+    const button = card.querySelector('[data-action="supervise"]');
+    const modeLabels = { listen: 'listening', whisper: 'whispering to the agent', barge: data.takeover ? 'has taken over the call' : 'barged in' };
+    
+    if (status) {
+        status.textContent = `Supervisor ${data.supervisor} ${modeLabels[data.mode] || data.mode}`;
+        status.style.display = data.active ? 'block' : 'none';
+    }
+    if (button) {
+        button.classList.toggle('active', data.active);
+    }
+}
+
 async function endCall(btn) {
     const callId = btn.dataset.callId;
     
@@ -1526,6 +1664,27 @@ async function showCallDetails(btn) {
                     ${call.endedAt ? `<div class="timeline-item">Ended: ${formatTime(call.endedAt)}</div>` : ''}
                 </div>
                 
+                <h4>Disposition</h4>
+                <div class="disposition-form">
+                    <select id="callDispositionSelect">
+                        <option value="">Select disposition...</option>
+                        ${CALL_DISPOSITIONS.map(d => `<option value="${d}" ${call.disposition?.disposition === d ? 'selected' : ''}>${d}</option>`).join('')}
+                    </select>
+                    <input type="text" id="callDispositionNotes" placeholder="Notes (optional)" value="${call.disposition?.source === 'manual' ? (call.disposition.notes || '') : ''}">
+                    <button class="btn-primary" onclick="saveCallDisposition('${call.id}')">Save</button>
+                    ${call.disposition ? `<div class="disposition-source">Set by ${call.disposition.source} at ${formatTime(call.disposition.setAt)}</div>` : ''}
+                </div>
+                
+                <h4>Transcript</h4>
+                <div class="detail-item">
+                    <a href="/api/calls/${call.id}/transcript?format=text" target="_blank">Text</a> |
+                    <a href="/api/calls/${call.id}/transcript?format=vtt" target="_blank">WebVTT</a> |
+                    <a href="/api/calls/${call.id}/transcript?format=json" target="_blank">JSON</a>
+                </div>
+                
+                <h4>Recording</h4>
+                <div class="detail-item" id="callRecording">Checking for a recording...</div>
+                
                 ${call.monitor ? `
                 <h4>Monitor URLs</h4>
                 <div class="detail-item">
@@ -1544,12 +1703,83 @@ async function showCallDetails(btn) {
         if (contentElement) contentElement.innerHTML = detailsHtml;
         if (modalElement) modalElement.style.display = 'flex';
         
+        loadCallRecording(call.id);
+        
     } catch (error) {
         console.error('Error getting call details:', error);
         showNotification('Failed to get call details', 'error');
     }
 }
 
+// Save a disposition chosen in the call details modal
+// Show the call's archived recording in the details modal, if there is one
+async function loadCallRecording(callId) {
+    const container = document.getElementById('callRecording');
+    if (!container) return;
+    
+    try {
+        const response = await fetch(`/api/calls/${callId}/recording/metadata`);
+        if (!response.ok) {
+            container.textContent = 'No recording available';
+            return;
+        }
+        
+        const { recording } = await response.json();
+        container.innerHTML = `
+            <audio controls preload="metadata" src="/api/calls/${callId}/recording"></audio>
+            <div class="disposition-source">${formatDuration(recording.durationSeconds)} recorded ${formatTime(recording.startedAt)}</div>
+        `;
+    } catch (error) {
+        console.error('Error loading call recording:', error);
+        container.textContent = 'Failed to load recording';
+    }
+}
+
+async function saveCallDisposition(callId) {
+    const disposition = document.getElementById('callDispositionSelect').value;
+    const notes = document.getElementById('callDispositionNotes').value;
+    
+    if (!disposition) {
+        showNotification('Please select a disposition', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/calls/${callId}/disposition`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ disposition, notes })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save disposition');
+        }
+        
+        showNotification(`Disposition set to ${disposition}`, 'success');
+        closeCallDetails();
+        
+    } catch (error) {
+        console.error('Error saving disposition:', error);
+        showNotification('Failed to save disposition: ' + error.message, 'error');
+    }
+}
+
+// Show the call's disposition next to its status badge
+function updateDispositionBadge(callId, disposition) {
+    const card = document.querySelector(`[data-call-id="${callId}"]`);
+    if (!card || !disposition) return;
+    
+    let badge = card.querySelector('.disposition-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'disposition-badge';
+        card.querySelector('.call-status').appendChild(badge);
+    }
+    badge.textContent = disposition.disposition;
+    badge.title = `Set by ${disposition.source}`;
+}
+
 function closeCallDetails() {
     const modal = document.getElementById('callDetailsModal');
     if (modal) modal.style.display = 'none';
@@ -1879,6 +2109,13 @@ window.endCall = endCall;
 window.showCallDetails = showCallDetails;
 window.closeCallDetails = closeCallDetails;
 window.dismissAlert = dismissAlert;
+window.showCallAlert = showCallAlert;
+window.showTransferEscalation = showTransferEscalation;
+window.superviseCall = superviseCall;
+window.executeSupervision = executeSupervision;
+window.stopSupervision = stopSupervision;
+window.closeSuperviseCall = closeSuperviseCall;
+window.saveCallDisposition = saveCallDisposition;
 
 // DEBUG: Force call to be marked as answered - for testing status detection issues
 async function forceCallAnswered(btn) {
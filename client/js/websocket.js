@@ -6,6 +6,10 @@ const maxInitialConnectAttempts = 10;
 const reconnectDelay = 3000;
 const initialConnectDelay = 2000;
 
+// Topics this page is subscribed to; re-sent after every (re)connect.
+// Transcripts and alerts are only sent to subscribers.
+const subscribedTopics = new Set(['alerts']);
+
 // Initialize WebSocket connection
 function initializeWebSocket() {
     // Dynamic WebSocket URL based on environment
@@ -62,6 +66,11 @@ function handleWebSocketOpen() {
     // Update global ws reference
     window.ws = ws;
     
+    // Restore subscriptions (the server forgets them on disconnect)
+    subscribedTopics.forEach(topic => {
+        ws.send(JSON.stringify({ type: 'subscribe', topic }));
+    });
+    
     // Request active calls
     ws.send(JSON.stringify({
         type: 'get_active_calls'
@@ -81,32 +90,67 @@ function handleWebSocketMessage(event) {
                 
             case 'call_created':
             case 'call_started':
-            case 'call_ringing':
-            case 'call_answered':
+            case 'call_state_changed':
             case 'call_ended':
-            case 'call_ending':
-            case 'call_failed':
             case 'call_transferred':
             case 'call_control':
             case 'transcript_update':
             case 'call_initiated':
-            case 'call_status_update':
             case 'call_removed_from_monitor':
+            case 'call_disposition':
+            case 'call_alert':
+            case 'call_supervision':
                 // Forward to monitor handler
                 if (typeof handleCallUpdate === 'function') {
                     handleCallUpdate(data);
                 }
                 break;
                 
+            case 'conference_escalation':
+                // Shown on the call card and in the conference panel
+                if (typeof handleCallUpdate === 'function') {
+                    handleCallUpdate(data);
+                }
+                if (typeof handleConferenceUpdate === 'function') {
+                    handleConferenceUpdate(data);
+                }
+                break;
+                
+            case 'qualified_lead_conference':
+            case 'conference_participant_joined':
+            case 'conference_participant_left':
+            case 'conference_participant_updated':
+            case 'agent_connected':
+            case 'conference_ended':
+                // Forward to conference handler
+                if (typeof handleConferenceUpdate === 'function') {
+                    handleConferenceUpdate(data);
+                }
+                break;
+                
             case 'campaign_update':
             case 'campaign_completed':
             case 'campaign_stopped':
+            case 'campaign_paused':
+            case 'campaign_resumed':
                 // Forward to campaign handler
                 if (typeof handleCampaignUpdate === 'function') {
                     handleCampaignUpdate(data);
                 }
                 break;
                 
+            case 'dnc_added':
+                if (typeof showNotification === 'function') {
+                    showNotification(`${data.entry.phoneNumber} added to do-not-call list (${data.entry.reason})`, 'warning');
+                }
+                break;
+                
+            case 'callback_booked':
+                if (typeof showNotification === 'function') {
+                    showNotification(`Callback booked for ${data.callback.customerName || data.callback.phoneNumber} at ${new Date(data.callback.dueAt).toLocaleString()}`, 'info');
+                }
+                break;
+                
             case 'active_calls':
                 // Clear existing calls first
                 if (typeof window.activeCallsMap !== 'undefined' && window.activeCallsMap) {
@@ -135,6 +179,11 @@ function handleWebSocketMessage(event) {
                 }
                 break;
                 
+            case 'subscribed':
+            case 'unsubscribed':
+                console.log(`WebSocket ${data.type} ${data.topic}`);
+                break;
+                
             case 'error':
                 console.error('Server error:', data.message);
                 if (typeof showNotification === 'function') {
@@ -158,6 +207,14 @@ function handleWebSocketClose(event) {
     ws = null;
     window.ws = null;
     
+    // The server ended our session; reconnect after logging in again
+    if (event.code === 4001) {
+        if (typeof showLoginScreen === 'function') {
+            showLoginScreen('Your session has ended. Please sign in again.');
+        }
+        return;
+    }
+    
     // Attempt to reconnect
     if (reconnectAttempts < maxReconnectAttempts) {
         reconnectAttempts++;
@@ -228,28 +285,43 @@ function sendWebSocketMessage(message) {
     }
 }
 
-// Subscribe to specific call updates
+// Subscribe to a topic (call:<id>, campaign:<id>, conference:<id> or alerts).
+// Sent now if connected, otherwise when the connection opens.
+function subscribeToTopic(topic) {
+    if (subscribedTopics.has(topic)) return;
+    subscribedTopics.add(topic);
+    
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'subscribe', topic }));
+    }
+}
+
+function unsubscribeFromTopic(topic) {
+    if (!subscribedTopics.delete(topic)) return;
+    
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'unsubscribe', topic }));
+    }
+}
+
+// Subscribe to specific call updates (live transcript and alerts)
 function subscribeToCall(callId) {
-    sendWebSocketMessage({
-        type: 'subscribe_call',
-        callId
-    });
+    subscribeToTopic(`call:${callId}`);
 }
 
 // Unsubscribe from call updates
 function unsubscribeFromCall(callId) {
-    sendWebSocketMessage({
-        type: 'unsubscribe_call',
-        callId
-    });
+    unsubscribeFromTopic(`call:${callId}`);
 }
 
 // Subscribe to campaign updates
 function subscribeToCampaign(campaignId) {
-    sendWebSocketMessage({
-        type: 'subscribe_campaign',
-        campaignId
-    });
+    subscribeToTopic(`campaign:${campaignId}`);
+}
+
+// Subscribe to conference updates
+function subscribeToConference(conferenceId) {
+    subscribeToTopic(`conference:${conferenceId}`);
 }
 
 // Request active calls refresh
@@ -266,6 +338,9 @@ window.sendWebSocketMessage = sendWebSocketMessage;
 window.subscribeToCall = subscribeToCall;
 window.unsubscribeFromCall = unsubscribeFromCall;
 window.subscribeToCampaign = subscribeToCampaign;
+window.subscribeToConference = subscribeToConference;
+window.subscribeToTopic = subscribeToTopic;
+window.unsubscribeFromTopic = unsubscribeFromTopic;
 window.refreshActiveCalls = refreshActiveCalls;
 
 // Initialize WebSocket on load
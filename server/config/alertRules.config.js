@@ -0,0 +1,58 @@
+// Default live-transcript alert rules. Each rule matches final transcript lines
+// by keyword (whole words/phrases, case-insensitive) or regex, optionally only
+// for one speaker, and fires at most once per call per cooldown.
+// Rules saved through PUT /api/alerts/rules replace these until reset.
+module.exports = {
+  defaultRules: [
+    {
+      id: 'transfer',
+      name: 'Transfer requested',
+      keywords: ['supervisor', 'manager', 'transfer', 'speak to someone else', 'real person', 'human agent', 'get me someone else', 'escalate'],
+      speaker: 'customer',
+      severity: 'warning',
+      cooldownSeconds: 60
+    },
+    {
+      id: 'dissatisfaction',
+      name: 'Customer dissatisfied',
+      keywords: ['unsatisfied', 'unhappy', 'disappointed', 'frustrated', 'angry', 'upset', 'terrible', 'horrible', 'awful', 'disgusted'],
+      speaker: 'customer',
+      severity: 'warning',
+      cooldownSeconds: 60
+    },
+    {
+      id: 'ai_detection',
+      name: 'Customer suspects AI',
+      keywords: ['robot', 'bot', 'artificial', 'not real', 'computer', 'automated', 'fake voice', 'recorded'],
+      speaker: 'customer',
+      severity: 'info',
+      cooldownSeconds: 120
+    },
+    {
+      id: 'refusal',
+      name: 'Customer refused',
+      keywords: ["don't want to talk", 'not interested'],
+      speaker: 'customer',
+      severity: 'info',
+      cooldownSeconds: 120
+    },
+    {
+      // Adds the caller to the do-not-call list
+      id: 'dnc_request',
+      name: 'Do-not-call request',
+      keywords: ['stop calling', 'remove me', 'take me off', "don't call again", 'do not call'],
+      speaker: 'customer',
+      severity: 'critical',
+      cooldownSeconds: 300,
+      actions: ['dnc']
+    },
+    {
+      id: 'confusion',
+      name: 'Customer confused',
+      keywords: ["don't understand", 'confused', 'what are you talking about', 'makes no sense', 'unclear'],
+      speaker: 'customer',
+      severity: 'info',
+      cooldownSeconds: 120
+    }
+  ]
+};
@@ -0,0 +1,32 @@
+const { parseEnvJson } = require('../utils/envJson');
+
+// Local-time calling windows (TCPA: 8am-9pm at the called party's location).
+// Several states are stricter; check these against current counsel guidance.
+// Extra or replacement state windows can be supplied as JSON, e.g.
+// CALLING_WINDOW_STATE_OVERRIDES='{"TX":{"start":"09:00","end":"21:00","sunday":{"start":"12:00","end":"21:00"}}}'
+module.exports = {
+  enabled: process.env.CALLING_WINDOW_ENABLED !== 'false',
+
+  // Window used when a state has no entry below
+  defaultWindow: {
+    start: process.env.CALLING_WINDOW_START || '08:00',
+    end: process.env.CALLING_WINDOW_END || '21:00'
+  },
+
+  // Per-state windows (two-letter codes); a weekday key overrides that day
+  stateWindows: {
+    FL: { start: '08:00', end: '20:00' },
+    MD: { start: '08:00', end: '20:00' },
+    OK: { start: '08:00', end: '20:00' },
+    WA: { start: '08:00', end: '20:00' },
+    ...parseEnvJson('CALLING_WINDOW_STATE_OVERRIDES', {})
+  },
+
+  // Contacts we cannot place must be inside the window in all of these zones
+  unknownTimeZones: [
+    'America/New_York',
+    'America/Chicago',
+    'America/Denver',
+    'America/Los_Angeles'
+  ]
+};
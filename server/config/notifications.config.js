@@ -0,0 +1,34 @@
+const { parseEnvJson } = require('../utils/envJson');
+
+// Outbound notification channels for call alerts and campaign events.
+// Channels are a JSON array in NOTIFICATION_CHANNELS, e.g.
+// [
+//   { "id": "ops-hook", "type": "webhook", "url": "https://ops.example.com/hooks/calls", "secret": "...",
+//     "events": ["call_alert", "campaign_completed"], "severities": ["critical"] },
+//   { "id": "supervisors", "type": "email", "to": ["floor@example.com"], "rules": ["transfer", "dissatisfaction"],
+//     "rateLimit": { "max": 5, "perSeconds": 600 } },
+//   { "id": "on-call", "type": "sms", "to": ["+15551234567"], "rules": ["dnc_request"] }
+// ]
+// Routing: `events` (default ["call_alert"]), and for call alerts `rules` (alert rule ids)
+// and `severities`; an omitted list matches everything.
+module.exports = {
+  channels: parseEnvJson('NOTIFICATION_CHANNELS', []),
+
+  // Applied to channels without their own rateLimit; counted per channel and alert rule/event
+  defaultRateLimit: {
+    max: parseInt(process.env.NOTIFICATION_RATE_LIMIT_MAX) || 10,
+    perSeconds: parseInt(process.env.NOTIFICATION_RATE_LIMIT_WINDOW_SECONDS) || 300
+  },
+
+  // Outgoing webhook requests give up after this long
+  webhookTimeoutMs: 5000,
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'alerts@bridgelegal.com'
+  }
+};
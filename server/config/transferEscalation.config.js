@@ -0,0 +1,24 @@
+// What happens when no agent joins a transfer conference. Each routed
+// destination gets agentTimeoutSeconds to join (a busy, failed or unanswered
+// destination call moves on at once), then the next one is dialed. When every
+// destination has been tried, the callback offer is played into the
+// conference, a callback is booked and the conference is ended.
+module.exports = {
+  enabled: process.env.TRANSFER_ESCALATION_ENABLED !== 'false',
+
+  agentTimeoutSeconds: parseInt(process.env.TRANSFER_AGENT_TIMEOUT_SECONDS) || 90,
+
+  // Time between the callback offer and booking it
+  callbackOfferSeconds: parseInt(process.env.TRANSFER_CALLBACK_OFFER_SECONDS) || 20,
+
+  // How far ahead the callback is booked (moved into the contact's calling window)
+  callbackDelayMinutes: parseInt(process.env.TRANSFER_CALLBACK_DELAY_MINUTES) || 60,
+
+  // Time for the goodbye to play before the conference is ended
+  goodbyeSeconds: 8,
+
+  messages: {
+    callbackOffer: "We're sorry, all of our consultants are helping other clients right now. Rather than keep you waiting, we'll call you back shortly at this number.",
+    callbackBooked: 'Your callback is booked. Thank you for your patience, and goodbye.'
+  }
+};
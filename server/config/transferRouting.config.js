@@ -0,0 +1,40 @@
+const { parseEnvJson } = require('../utils/envJson');
+
+// Where qualified leads are transferred. Destinations are named queues, direct
+// lines or SIP URIs; routing rules pick them by lead type, assistant,
+// organization, time of day and business hours. The first enabled rule that
+// matches wins, and its destinations are tried in order. Calls no rule matches
+// go to the default destination.
+// Destinations and rules saved through PUT /api/transfers/routing replace these
+// until reset. Both can also be supplied as JSON, e.g.
+// TRANSFER_DESTINATIONS='[{"id":"after-hours","name":"After-hours line","type":"number","number":"+15551234567"}]'
+// TRANSFER_ROUTING_RULES='[{"id":"nights","destinations":["after-hours"],"match":{"businessHours":false}}]'
+const seniorConsultantQueue = {
+  id: 'senior-consultants',
+  name: 'Tier 2 senior consultant queue',
+  type: 'queue',
+  number: '+18336130051'
+};
+
+const envDestinations = parseEnvJson('TRANSFER_DESTINATIONS', []);
+
+module.exports = {
+  defaultDestinations: envDestinations.length > 0 ? envDestinations : [seniorConsultantQueue],
+
+  // Used on its own when the configured routing is invalid
+  builtInDestination: seniorConsultantQueue,
+
+  defaultRules: parseEnvJson('TRANSFER_ROUTING_RULES', []),
+
+  // Used when no rule matches
+  defaultDestination: process.env.TRANSFER_DEFAULT_DESTINATION || 'senior-consultants',
+
+  // Office hours for rules with match.businessHours
+  businessHours: {
+    timeZone: process.env.TRANSFER_BUSINESS_HOURS_TIMEZONE || 'America/New_York',
+    days: (process.env.TRANSFER_BUSINESS_DAYS || 'monday,tuesday,wednesday,thursday,friday')
+      .split(',').map(day => day.trim().toLowerCase()).filter(Boolean),
+    start: process.env.TRANSFER_BUSINESS_HOURS_START || '09:00',
+    end: process.env.TRANSFER_BUSINESS_HOURS_END || '18:00'
+  }
+};
@@ -4,10 +4,14 @@ module.exports = {
   assistantId: process.env.VAPI_ASSISTANT_PFAS, // Default to PFAS
   phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID,
   phoneNumber: process.env.VAPI_PHONE_NUMBER,
-  baseUrl: 'https://api.vapi.ai',
+  // Point at the local simulator (npm run simulator) for end-to-end testing
+  baseUrl: process.env.VAPI_BASE_URL || 'https://api.vapi.ai',
   webhookSecret: process.env.WEBHOOK_SECRET,
   webhookUrl: process.env.WEBHOOK_URL,
   
+  // Line capacity shared by all running campaigns
+  maxConcurrentCalls: parseInt(process.env.VAPI_MAX_CONCURRENT_CALLS) || 10,
+  
   // Assistant mapping
   assistants: {
     PFAS: process.env.VAPI_ASSISTANT_PFAS,
@@ -0,0 +1,81 @@
+const alertService = require('../services/alertService');
+const logger = require('../utils/logger');
+
+// Recent alerts across all calls
+exports.getAlerts = async (req, res) => {
+    try {
+        const alerts = await alertService.getRecentAlerts(req.query);
+
+        res.json({
+            total: alerts.length,
+            alerts
+        });
+
+    } catch (error) {
+        logger.error('Error getting alerts:', error);
+        res.status(500).json({ error: 'Failed to get alerts' });
+    }
+};
+
+// Alerts raised on one call
+exports.getCallAlerts = async (req, res) => {
+    try {
+        const alerts = await alertService.getCallAlerts(req.params.callId);
+
+        res.json({
+            callId: req.params.callId,
+            total: alerts.length,
+            alerts
+        });
+
+    } catch (error) {
+        logger.error('Error getting call alerts:', error);
+        res.status(500).json({ error: 'Failed to get call alerts' });
+    }
+};
+
+exports.getRules = async (req, res) => {
+    try {
+        res.json({ rules: await alertService.getRules() });
+
+    } catch (error) {
+        logger.error('Error getting alert rules:', error);
+        res.status(500).json({ error: 'Failed to get alert rules' });
+    }
+};
+
+// Replace the whole rule set
+exports.updateRules = async (req, res) => {
+    try {
+        const { rules, errors } = await alertService.setRules(req.body.rules);
+
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid alert rules', details: errors });
+        }
+
+        res.json({
+            message: 'Alert rules updated',
+            rules
+        });
+
+    } catch (error) {
+        logger.error('Error updating alert rules:', error);
+        res.status(500).json({ error: 'Failed to update alert rules' });
+    }
+};
+
+// Go back to the built-in rules
+exports.resetRules = async (req, res) => {
+    try {
+        const rules = await alertService.resetRules();
+
+        res.json({
+            message: 'Alert rules reset to defaults',
+            rules
+        });
+
+    } catch (error) {
+        logger.error('Error resetting alert rules:', error);
+        res.status(500).json({ error: 'Failed to reset alert rules' });
+    }
+};
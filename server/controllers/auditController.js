@@ -0,0 +1,24 @@
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Audit log entries, newest first
+// (?actor=&action=&callId=&campaignId=&outcome=&from=&to=&limit=)
+exports.getAuditLog = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const entries = await auditService.query(req.query);
+
+        res.json({
+            total: entries.length,
+            entries
+        });
+
+    } catch (error) {
+        logger.error('Error getting audit log:', error);
+        res.status(500).json({ error: 'Failed to get audit log' });
+    }
+};
@@ -0,0 +1,139 @@
+const authService = require('../services/authService');
+const { SESSION_COOKIE, getToken } = require('../middleware/auth');
+const { disconnectUser } = require('../websocket');
+const logger = require('../utils/logger');
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+});
+
+exports.login = async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (!username || !password) {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+
+        const result = await authService.login(username, password);
+        if (!result) {
+            logger.warn(`🔐 Failed login for ${username} from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        res.cookie(SESSION_COOKIE, result.token, {
+            ...cookieOptions(),
+            maxAge: authService.sessionTtlSeconds * 1000
+        });
+
+        // The token is also returned for API clients that send it as a Bearer token
+        res.json({
+            success: true,
+            user: result.user,
+            token: result.token,
+            expiresIn: authService.sessionTtlSeconds
+        });
+
+    } catch (error) {
+        logger.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+};
+
+exports.logout = async (req, res) => {
+    try {
+        await authService.logout(getToken(req));
+        res.clearCookie(SESSION_COOKIE, cookieOptions());
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+};
+
+// Current user (set by the authenticate middleware)
+exports.me = (req, res) => {
+    res.json({
+        user: req.user,
+        authEnabled: authService.enabled
+    });
+};
+
+exports.getUsers = async (req, res) => {
+    try {
+        res.json({ users: await authService.listUsers() });
+
+    } catch (error) {
+        logger.error('Error getting users:', error);
+        res.status(500).json({ error: 'Failed to get users' });
+    }
+};
+
+exports.createUser = async (req, res) => {
+    try {
+        const { username, password, role = 'viewer' } = req.body || {};
+        const errors = authService.validateUser({ username: username || '', password, role });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid user', details: errors });
+        }
+
+        const user = await authService.createUser({ username, password, role });
+        if (!user) {
+            return res.status(409).json({ error: `User ${username} already exists` });
+        }
+
+        res.status(201).json({ success: true, user });
+
+    } catch (error) {
+        logger.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+};
+
+exports.updateUser = async (req, res) => {
+    try {
+        const { password, role } = req.body || {};
+        const errors = authService.validateUser({ password, role }, { requirePassword: false });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid user', details: errors });
+        }
+
+        const user = await authService.updateUser(req.params.username, { password, role });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Their sessions were ended, so drop their live connections too
+        disconnectUser(user.username);
+
+        res.json({ success: true, user });
+
+    } catch (error) {
+        logger.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+};
+
+exports.deleteUser = async (req, res) => {
+    try {
+        if (req.params.username.toLowerCase() === req.user.username) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        const removed = await authService.deleteUser(req.params.username);
+        if (!removed) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        disconnectUser(req.params.username.toLowerCase());
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+};
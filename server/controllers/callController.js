@@ -1,8 +1,19 @@
 const vapiService = require('../services/vapiService');
 const callMonitor = require('../services/callMonitor');
+const callStateMachine = require('../services/callStateMachine');
 const { broadcastToClients } = require('../websocket');
 const logger = require('../utils/logger');
+const callStates = require('../utils/callStates');
 const { formatToE164 } = require('../utils/validators');
+const callingWindow = require('../utils/callingWindow');
+const dncService = require('../services/dncService');
+const dispositionService = require('../services/dispositionService');
+const callHistory = require('../services/callHistory');
+const transcriptService = require('../services/transcriptService');
+const transcriptFormat = require('../utils/transcriptFormat');
+const recordingService = require('../services/recordingService');
+const supervisionService = require('../services/supervisionService');
+const { DISPOSITIONS, normalizeDisposition } = require('../utils/dispositions');
 
 // Track active calls by phone number to prevent duplicates
 const activeCallsByPhone = new Map();
@@ -29,6 +40,34 @@ exports.createCall = async (req, res) => {
             });
         }
         
+        // DO-NOT-CALL CHECK - Never dial suppressed numbers
+        const dncEntry = await dncService.get(formattedPhone);
+        if (dncEntry) {
+            logger.warn(`Call to ${formattedPhone} blocked: number is on the do-not-call list`);
+            return res.status(403).json({
+                error: `${formattedPhone} is on the do-not-call list`,
+                code: 'DO_NOT_CALL',
+                dnc: dncEntry
+            });
+        }
+        
+        // CALLING WINDOW CHECK - Only dial inside the contact's local calling hours
+        const windowCheck = callingWindow.checkCallingWindow({
+            phone_number: formattedPhone,
+            state: metadata?.state,
+            timezone: metadata?.timezone
+        });
+        if (!windowCheck.allowed) {
+            logger.warn(`Call to ${formattedPhone} blocked: ${windowCheck.reason}`);
+            return res.status(422).json({
+                error: windowCheck.reason,
+                code: 'OUTSIDE_CALLING_WINDOW',
+                state: windowCheck.state,
+                localTimes: windowCheck.localTimes,
+                nextAllowedAt: windowCheck.nextAllowedAt
+            });
+        }
+        
         // DEDUPLICATION CHECK - Prevent multiple calls to same number
         const existingCall = activeCallsByPhone.get(formattedPhone);
         if (existingCall) {
@@ -364,13 +403,15 @@ exports.transferCall = async (req, res) => {
         });
         
         // Update call state
-        callMonitor.updateCall(callId, { 
-            status: 'transferring',
-            transferMethod: 'direct_control_api',
-            transferInitiated: true,
-            transferDestination: formattedDestination,
-            transferMessage: transferMessage,
-            transferredAt: new Date().toISOString()
+        callStateMachine.transition(callId, 'transferring', {
+            source: 'operator',
+            event: 'transfer',
+            updates: {
+                transferMethod: 'direct_control_api',
+                transferInitiated: true,
+                transferDestination: formattedDestination,
+                transferMessage: transferMessage
+            }
         });
         
         // Broadcast transfer event
@@ -406,7 +447,7 @@ exports.endCall = async (req, res) => {
         const { callId } = req.params;
         
         const call = callMonitor.getCall(callId);
-        if (!call) {
+        if (!call || callStates.isFinal(call.status)) {
             return res.status(404).json({ 
                 error: 'Call not found or already ended' 
             });
@@ -415,18 +456,10 @@ exports.endCall = async (req, res) => {
         logger.info(`Ending call ${callId} via Direct Control API`);
         
         // Update call state immediately (optimistic update)
-        callMonitor.updateCall(callId, { 
-            status: 'ending',
-            endingMethod: 'direct_control_api',
-            endingAt: new Date().toISOString()
-        });
-        
-        // Broadcast ending event immediately
-        broadcastToClients({
-            type: 'call_ending',
-            callId,
-            endedBy: 'user',
-            method: 'direct_control_api'
+        callStateMachine.transition(callId, 'ending', {
+            source: 'operator',
+            event: 'end call',
+            updates: { endingMethod: 'direct_control_api' }
         });
         
         // Try to end call via VAPI Direct Control API if control URL exists
@@ -448,20 +481,23 @@ exports.endCall = async (req, res) => {
             }
         }
         
-        // Final update
-        callMonitor.updateCall(callId, { 
-            status: 'ended',
-            endedAt: new Date().toISOString(),
-            endedBy: 'user',
-            endMethod: 'direct_control_api'
-        });
-        
-        // Broadcast final end event
-        broadcastToClients({
-            type: 'call_ended',
-            callId,
-            endedBy: 'user',
-            method: 'direct_control_api'
+        // Final update; Vapi's end-of-call-report adds the end reason later
+        const endedAt = new Date().toISOString();
+        const duration = call.answeredAt
+            ? Math.floor((new Date(endedAt) - new Date(call.answeredAt)) / 1000)
+            : 0;
+        
+        callStateMachine.transition(callId, 'ended', {
+            source: 'operator',
+            event: 'end call',
+            updates: {
+                endedAt,
+                duration,
+                wasAnswered: duration > 0,
+                endedBy: 'user',
+                endMethod: 'direct_control_api'
+            },
+            details: { duration }
         });
         
         // Remove from monitor after a delay
@@ -485,6 +521,123 @@ exports.endCall = async (req, res) => {
     }
 };
 
+// Supervisor listen / whisper / barge-in through a Twilio conference
+const SUPERVISION_MODES = ['listen', 'whisper', 'barge'];
+
+exports.superviseCall = async (req, res) => {
+    try {
+        const { callId } = req.params;
+        const { mode } = req.body;
+
+        if (!SUPERVISION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of ${SUPERVISION_MODES.join(', ')}` });
+        }
+
+        // A transferred call has ended on Vapi's side but lives on in its conference
+        const call = callMonitor.getCall(callId);
+        if ((!call || callStates.isFinal(call.status)) && !(await supervisionService.findConference(callId))) {
+            return res.status(404).json({ error: 'Call not found or already ended' });
+        }
+
+        const phoneNumber = formatToE164(req.body.phoneNumber || process.env.SUPERVISOR_PHONE_NUMBER || '');
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'A valid phoneNumber for the supervisor is required' });
+        }
+
+        const { session, error } = await supervisionService.start(callId, {
+            mode,
+            phoneNumber,
+            user: req.user?.username || 'supervisor'
+        });
+
+        if (error) {
+            return res.status(409).json({ error });
+        }
+
+        res.json({
+            message: `Dialing ${phoneNumber} into the call (${session.mode})`,
+            session
+        });
+
+    } catch (error) {
+        logger.error('Error starting call supervision:', error);
+        res.status(500).json({ error: 'Failed to start call supervision' });
+    }
+};
+
+exports.getSupervision = async (req, res) => {
+    try {
+        res.json({ session: await supervisionService.getSession(req.params.callId) });
+
+    } catch (error) {
+        logger.error('Error getting call supervision:', error);
+        res.status(500).json({ error: 'Failed to get call supervision' });
+    }
+};
+
+exports.stopSupervision = async (req, res) => {
+    try {
+        const session = await supervisionService.stop(req.params.callId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'No supervisor is on this call' });
+        }
+
+        res.json({
+            message: 'Supervisor left the call',
+            session
+        });
+
+    } catch (error) {
+        logger.error('Error stopping call supervision:', error);
+        res.status(500).json({ error: 'Failed to stop call supervision' });
+    }
+};
+
+// Search finished calls kept in the durable history
+exports.getCallHistory = async (req, res) => {
+    try {
+        if (req.query.phone && !formatToE164(req.query.phone)) {
+            return res.status(400).json({ error: 'phone must be a valid phone number' });
+        }
+        
+        const result = await callHistory.search(req.query);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        logger.error('Error searching call history:', error);
+        res.status(500).json({ error: 'Failed to search call history' });
+    }
+};
+
+// Get one call from the durable history
+exports.getCallHistoryEntry = async (req, res) => {
+    try {
+        const call = await callHistory.get(req.params.callId);
+        
+        if (!call) {
+            return res.status(404).json({ error: 'Call not found in history' });
+        }
+        
+        res.json({
+            success: true,
+            call
+        });
+        
+    } catch (error) {
+        logger.error('Error getting call history entry:', error);
+        res.status(500).json({ error: 'Failed to get call history' });
+    }
+};
+
 // Get call details
 exports.getCall = async (req, res) => {
     try {
@@ -494,8 +647,8 @@ exports.getCall = async (req, res) => {
         let call = callMonitor.getCall(callId);
         
         if (!call) {
-            // Try to fetch from Vapi
-            call = await vapiService.getCall(callId);
+            // Then the durable history, then Vapi
+            call = await callHistory.get(callId) || await vapiService.getCall(callId);
         }
         
         if (!call) {
@@ -506,7 +659,10 @@ exports.getCall = async (req, res) => {
         
         res.json({
             success: true,
-            call
+            call: {
+                ...call,
+                disposition: call.disposition || await dispositionService.get(callId)
+            }
         });
         
     } catch (error) {
@@ -521,6 +677,149 @@ exports.getCall = async (req, res) => {
 // Get call details - ALIAS for getCall to match route naming
 exports.getCallDetails = exports.getCall;
 
+// Set a call's disposition by hand (monitor UI)
+exports.setDisposition = async (req, res) => {
+    try {
+        const { callId } = req.params;
+        const { disposition, notes } = req.body;
+        
+        if (!normalizeDisposition(disposition)) {
+            return res.status(400).json({
+                error: 'Invalid disposition',
+                validDispositions: DISPOSITIONS
+            });
+        }
+        
+        const record = await dispositionService.setDisposition(callId, disposition, {
+            source: 'manual',
+            notes: notes || '',
+            setBy: req.body.setBy || null
+        });
+        
+        res.json({
+            success: true,
+            disposition: record
+        });
+        
+    } catch (error) {
+        logger.error('Error setting call disposition:', error);
+        res.status(500).json({ error: 'Failed to set disposition' });
+    }
+};
+
+// Get a call's disposition
+exports.getDisposition = async (req, res) => {
+    try {
+        const disposition = await dispositionService.get(req.params.callId);
+        
+        if (!disposition) {
+            return res.status(404).json({ error: 'No disposition recorded for this call' });
+        }
+        
+        res.json({
+            success: true,
+            disposition,
+            validDispositions: DISPOSITIONS
+        });
+        
+    } catch (error) {
+        logger.error('Error getting call disposition:', error);
+        res.status(500).json({ error: 'Failed to get disposition' });
+    }
+};
+
+// Get a call's stored transcript as JSON, plain text or WebVTT
+exports.getTranscript = async (req, res) => {
+    try {
+        const { callId } = req.params;
+        const format = (req.query.format || 'json').toLowerCase();
+        
+        if (!['json', 'text', 'vtt'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be json, text or vtt' });
+        }
+        
+        const transcript = await transcriptService.getTranscript(callId);
+        
+        if (!transcript) {
+            return res.status(404).json({ error: 'No transcript recorded for this call' });
+        }
+        
+        if (format === 'text') {
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', `inline; filename="transcript-${callId}.txt"`);
+            return res.send(transcriptFormat.toText(transcript));
+        }
+        
+        if (format === 'vtt') {
+            res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+            res.setHeader('Content-Disposition', `inline; filename="transcript-${callId}.vtt"`);
+            return res.send(transcriptFormat.toWebVTT(transcript));
+        }
+        
+        res.json({
+            success: true,
+            callId,
+            startedAt: transcript.startedAt,
+            entries: transcriptFormat.withOffsets(transcript)
+        });
+        
+    } catch (error) {
+        logger.error('Error getting call transcript:', error);
+        res.status(500).json({ error: 'Failed to get transcript' });
+    }
+};
+
+// Stream a call's WAV recording; range requests are handled by sendFile
+exports.getRecording = async (req, res) => {
+    try {
+        const recording = recordingService.getRecording(req.params.callId);
+        
+        if (!recording) {
+            return res.status(404).json({ error: 'No recording available for this call' });
+        }
+        
+        res.sendFile(recording.path, {
+            headers: {
+                'Content-Type': 'audio/wav',
+                'Content-Disposition': `inline; filename="${recording.metadata.file}"`
+            }
+        }, (error) => {
+            if (error && !res.headersSent) {
+                // e.g. 416 for an unsatisfiable Range
+                if (error.status === 416) {
+                    return res.status(416).json({ error: 'Requested range not satisfiable' });
+                }
+                logger.error('Error sending call recording:', error);
+                res.status(500).json({ error: 'Failed to get recording' });
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Error getting call recording:', error);
+        res.status(500).json({ error: 'Failed to get recording' });
+    }
+};
+
+// Recording metadata (call, campaign, duration, format)
+exports.getRecordingMetadata = async (req, res) => {
+    try {
+        const recording = recordingService.getRecording(req.params.callId);
+        
+        if (!recording) {
+            return res.status(404).json({ error: 'No recording available for this call' });
+        }
+        
+        res.json({
+            success: true,
+            recording: recording.metadata
+        });
+        
+    } catch (error) {
+        logger.error('Error getting recording metadata:', error);
+        res.status(500).json({ error: 'Failed to get recording' });
+    }
+};
+
 // Update call status - NEW FUNCTION
 exports.updateCallStatus = async (req, res) => {
     try {
@@ -539,6 +838,13 @@ exports.updateCallStatus = async (req, res) => {
             });
         }
         
+        if (!callStates.normalize(status)) {
+            return res.status(400).json({
+                error: `Unknown call status: ${status}`,
+                validStatuses: callStates.STATES
+            });
+        }
+        
         const call = callMonitor.getCall(callId);
         if (!call) {
             return res.status(404).json({
@@ -548,29 +854,27 @@ exports.updateCallStatus = async (req, res) => {
         
         logger.info(`Updating call ${callId} status to ${status}`);
         
-        // Update call status
-        const updates = {
-            status,
-            updatedAt: new Date().toISOString(),
-            ...metadata
-        };
-        
-        callMonitor.updateCall(callId, updates);
+        // Status and its timestamps are set by the state machine, not the caller
+        const updates = { ...metadata };
+        delete updates.status;
         
-        // Broadcast status update
-        broadcastToClients({
-            type: 'call_status_updated',
-            callId,
-            status,
+        const result = callStateMachine.transition(callId, status, {
+            source: 'operator',
+            event: 'status update',
             updates
         });
         
-        const updatedCall = callMonitor.getCall(callId);
+        if (!result.changed) {
+            return res.status(409).json({
+                error: `Cannot change call status: ${result.reason}`,
+                status: call.status
+            });
+        }
         
         res.json({
             success: true,
-            call: updatedCall,
-            message: `Call status updated to ${status}`
+            call: result.call,
+            message: `Call status updated to ${result.to}`
         });
         
     } catch (error) {
@@ -799,23 +1103,20 @@ exports.forceCallAnswered = async (req, res) => {
         logger.warn(`🔧 DEBUG: Force marking call ${callId} as answered`);
         logger.warn(`Previous status: ${call.status}`);
         
-        // Force update the call status
-        callMonitor.updateCall(callId, {
-            status: 'in-progress',
-            answeredAt: new Date().toISOString(),
-            forceAnswered: true
+        // Skips the guards but not the transition table: a finished call stays finished
+        const result = callStateMachine.transition(callId, 'in-progress', {
+            source: 'operator',
+            event: 'force answered',
+            force: true,
+            updates: { forceAnswered: true }
         });
         
-        // Broadcast the status change
-        broadcastToClients({
-            type: 'call_answered',
-            call: {
-                ...call,
-                status: 'in-progress',
-                answeredAt: new Date().toISOString(),
-                forceAnswered: true
-            }
-        });
+        if (!result.changed) {
+            return res.status(409).json({
+                error: `Cannot mark call as answered: ${result.reason}`,
+                status: call.status
+            });
+        }
         
         logger.warn(`✅ DEBUG: Call ${callId} forced to answered status`);
         
@@ -824,8 +1125,8 @@ exports.forceCallAnswered = async (req, res) => {
             message: `Call ${callId} forced to answered status`,
             call: {
                 id: callId,
-                status: 'in-progress',
-                answeredAt: new Date().toISOString(),
+                status: result.call.status,
+                answeredAt: result.call.answeredAt,
                 forceAnswered: true
             }
         });
@@ -0,0 +1,56 @@
+const callbackService = require('../services/callbackService');
+const logger = require('../utils/logger');
+
+const CALLBACK_STATUSES = ['pending', 'completed', 'canceled'];
+
+// Booked callbacks, soonest first (?status=&limit=)
+exports.getCallbacks = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        if (status && !CALLBACK_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${CALLBACK_STATUSES.join(', ')}` });
+        }
+
+        const callbacks = await callbackService.list({ status, limit });
+
+        res.json({
+            callbacks,
+            count: callbacks.length
+        });
+
+    } catch (error) {
+        logger.error('Error getting callbacks:', error);
+        res.status(500).json({ error: 'Failed to get callbacks' });
+    }
+};
+
+// Mark a callback as done or canceled
+exports.updateCallback = async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+
+        if (!CALLBACK_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${CALLBACK_STATUSES.join(', ')}` });
+        }
+
+        const callback = await callbackService.updateStatus(req.params.callbackId, status, {
+            updatedBy: req.user?.username || null,
+            notes
+        });
+
+        if (!callback) {
+            return res.status(404).json({ error: 'Callback not found' });
+        }
+
+        res.json({
+            message: 'Callback updated',
+            callback
+        });
+
+    } catch (error) {
+        logger.error('Error updating callback:', error);
+        res.status(500).json({ error: 'Failed to update callback' });
+    }
+};
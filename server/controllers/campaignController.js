@@ -1,21 +1,64 @@
 const vapiService = require('../services/vapiService');
 const csvProcessor = require('../services/csvProcessor');
 const redisService = require('../services/redisService');
+const campaignScheduler = require('../services/campaignScheduler');
+const callCapacity = require('../services/callCapacity');
+const dncService = require('../services/dncService');
+const notificationService = require('../services/notificationService');
 const { broadcastToClients } = require('../websocket');
 const logger = require('../utils/logger');
+const retryPolicy = require('../utils/retryPolicy');
+const callingWindow = require('../utils/callingWindow');
+
+// Campaign records expire 7 days after their last update, so schedules cannot reach further
+const MAX_SCHEDULE_AHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Keep a scheduled campaign's queue until a day after it is due to start
+function queueTtlFor(scheduleTime) {
+    const delayMs = scheduleTime ? Math.max(0, new Date(scheduleTime).getTime() - Date.now()) : 0;
+    return Math.ceil(delayMs / 1000) + 60 * 60 * 24;
+}
+
+// Returns an error message if the schedule time is unusable
+function validateScheduleTime(scheduleTime) {
+    const scheduledDate = new Date(scheduleTime);
+    if (isNaN(scheduledDate.getTime())) {
+        return 'Invalid schedule time';
+    }
+    if (scheduledDate <= new Date()) {
+        return 'Schedule time must be in the future';
+    }
+    if (scheduledDate.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return 'Schedule time must be within 7 days';
+    }
+    return null;
+}
 
 // Start a new campaign
 exports.startCampaign = async (req, res) => {
     try {
-        const { id, name, contacts, callDelay, maxConcurrent, scheduleTime } = req.body;
+        const { id, name, contacts, callDelay, maxConcurrent, scheduleTime, retryPolicy: requestedRetryPolicy } = req.body;
 
-        // Check if there's already an active campaign
-        const activeCampaigns = await redisService.getAllCampaigns();
-        const runningCampaigns = activeCampaigns.filter(c => c.status === 'active');
-        
-        if (runningCampaigns.length > 0) {
-            return res.status(400).json({ 
-                error: 'A campaign is already in progress. Please stop it before starting a new one.' 
+        const retryPolicyErrors = retryPolicy.validateRetryPolicy(requestedRetryPolicy);
+        if (retryPolicyErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid retry policy', details: retryPolicyErrors });
+        }
+
+        if (scheduleTime && new Date(scheduleTime).getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+            return res.status(400).json({ error: 'Schedule time must be within 7 days' });
+        }
+
+        // Several campaigns may run side by side, but not twice under the same ID
+        const existingCampaign = await redisService.getCampaign(id);
+        if (existingCampaign && ['active', 'paused', 'scheduled'].includes(existingCampaign.status)) {
+            return res.status(409).json({ 
+                error: `Campaign ${id} is already ${existingCampaign.status}` 
+            });
+        }
+
+        if (maxConcurrent > callCapacity.limit) {
+            return res.status(400).json({
+                error: `Max concurrent calls cannot exceed the line capacity of ${callCapacity.limit}`
             });
         }
 
@@ -27,11 +70,14 @@ exports.startCampaign = async (req, res) => {
             callDelay: callDelay * 1000, // Convert to milliseconds
             maxConcurrent,
             scheduleTime,
+            retryPolicy: retryPolicy.normalizeRetryPolicy(requestedRetryPolicy),
             startTime: new Date().toISOString(),
             stats: {
                 total: contacts.length,
                 completed: 0,
                 failed: 0,
+                retried: 0,
+                suppressed: 0,
                 inProgress: 0,
                 queued: contacts.length
             },
@@ -44,9 +90,9 @@ exports.startCampaign = async (req, res) => {
         await redisService.saveCampaign(id, campaign);
         
         // Save contacts queue to Redis
-        await redisService.saveCampaignQueue(id, contacts);
+        await redisService.saveCampaignQueue(id, contacts, queueTtlFor(scheduleTime));
 
-        // If scheduled, set up scheduled execution
+        // If scheduled, persist the schedule so it survives restarts
         if (scheduleTime) {
             const scheduledDate = new Date(scheduleTime);
             const delay = scheduledDate.getTime() - Date.now();
@@ -55,9 +101,7 @@ exports.startCampaign = async (req, res) => {
                 campaign.status = 'scheduled';
                 await redisService.updateCampaign(id, { status: 'scheduled' });
                 
-                setTimeout(() => {
-                    executeCampaign(id);
-                }, delay);
+                await campaignScheduler.schedule(id, scheduleTime);
                 
                 logger.info(`Campaign ${id} scheduled for ${scheduleTime}`);
                 return res.json({ 
@@ -81,12 +125,21 @@ exports.startCampaign = async (req, res) => {
     }
 };
 
+// Campaigns whose batch loop is running in this process. A paused campaign's
+// loop exits on its next tick, so resume only starts a new loop if none is left.
+const runningCampaignLoops = new Set();
+
 // Execute campaign calls
 async function executeCampaign(campaignId) {
     try {
         const campaign = await redisService.getCampaign(campaignId);
         if (!campaign || campaign.status !== 'active') return;
 
+        if (runningCampaignLoops.has(campaignId)) {
+            logger.info(`Campaign ${campaignId} batch loop already running`);
+            return;
+        }
+
         const { maxConcurrent, callDelay } = campaign;
 
         // Process calls in batches
@@ -95,39 +148,86 @@ async function executeCampaign(campaignId) {
                 // Check campaign status
                 const currentCampaign = await redisService.getCampaign(campaignId);
                 if (!currentCampaign || currentCampaign.status !== 'active') {
-                    logger.info(`Campaign ${campaignId} is no longer active`);
+                    logger.info(`Campaign ${campaignId} is no longer active (${currentCampaign?.status || 'missing'})`);
+                    runningCampaignLoops.delete(campaignId);
                     return;
                 }
 
+                // Bring back contacts whose retry backoff has elapsed
+                await redisService.requeueDueRetries(campaignId);
+
                 // Get queue length
                 const queueLength = await redisService.getQueueLength(campaignId);
                 
                 if (queueLength === 0) {
+                    // Live calls may still end in a retry, and retries may still be waiting
+                    if (await hasPendingContacts(campaignId)) {
+                        setTimeout(processBatch, callDelay);
+                        return;
+                    }
+                    
                     // Campaign completed
+                    runningCampaignLoops.delete(campaignId);
                     await completeCampaign(campaignId);
                     return;
                 }
 
-                // Get next batch
+                // Reserve lines from the budget shared with other running campaigns
+                const reservations = await callCapacity.reserve(
+                    campaignId,
+                    Math.min(maxConcurrent, queueLength),
+                    maxConcurrent
+                );
+
+                if (reservations.length === 0) {
+                    // All lines busy - wait for calls to finish
+                    logger.debug(`Campaign ${campaignId} waiting for a free line`);
+                    setTimeout(processBatch, callDelay);
+                    return;
+                }
+
+                // Get next batch, skipping do-not-call numbers and holding back
+                // contacts outside their local calling window
                 const batch = [];
-                for (let i = 0; i < maxConcurrent && i < queueLength; i++) {
+                let suppressedCount = 0;
+                for (let i = 0; i < reservations.length; i++) {
                     const contact = await redisService.getNextContact(campaignId);
-                    if (contact) {
+                    if (!contact) continue;
+
+                    if (await dncService.isBlocked(contact.phone_number)) {
+                        await recordSuppressed(campaignId, contact);
+                        suppressedCount++;
+                        continue;
+                    }
+
+                    const windowCheck = callingWindow.checkCallingWindow(contact);
+                    if (windowCheck.allowed) {
                         batch.push(contact);
+                    } else {
+                        await holdContact(campaignId, contact, windowCheck);
                     }
                 }
 
-                if (batch.length === 0) {
-                    // No more contacts
-                    await completeCampaign(campaignId);
+                // Hand back lines we reserved but had no contact for
+                for (const reservation of reservations.slice(batch.length)) {
+                    await callCapacity.releaseReservation(reservation);
+                }
+
+                if (batch.length === 0 && suppressedCount === 0) {
+                    // Queue drained underneath us - re-check on the next tick
+                    setTimeout(processBatch, callDelay);
                     return;
                 }
 
                 // Update stats
                 const updatedCampaign = await redisService.updateCampaign(campaignId, {
-                    'stats.queued': await redisService.getQueueLength(campaignId),
-                    'stats.inProgress': currentCampaign.stats.inProgress + batch.length,
-                    currentBatch: currentCampaign.currentBatch + 1
+                    stats: {
+                        ...currentCampaign.stats,
+                        queued: await redisService.getQueueLength(campaignId),
+                        inProgress: currentCampaign.stats.inProgress + batch.length,
+                        suppressed: (currentCampaign.stats.suppressed || 0) + suppressedCount
+                    },
+                    currentBatch: currentCampaign.currentBatch + (batch.length > 0 ? 1 : 0)
                 });
 
                 // Broadcast update
@@ -138,7 +238,7 @@ async function executeCampaign(campaignId) {
                 });
 
                 // Process batch calls
-                const batchPromises = batch.map(contact => makeCall(campaignId, contact));
+                const batchPromises = batch.map((contact, i) => makeCall(campaignId, contact, reservations[i]));
                 
                 await Promise.allSettled(batchPromises);
 
@@ -156,6 +256,7 @@ async function executeCampaign(campaignId) {
         await redisService.updateCampaign(campaignId, { status: 'active' });
         
         // Start processing
+        runningCampaignLoops.add(campaignId);
         processBatch();
         
     } catch (error) {
@@ -163,8 +264,72 @@ async function executeCampaign(campaignId) {
     }
 }
 
-// Make individual call
-async function makeCall(campaignId, contact) {
+// True while a campaign still has calls on the line or retries waiting for their backoff
+async function hasPendingContacts(campaignId) {
+    const retriesWaiting = await redisService.getRetryCount(campaignId);
+    const callsInFlight = await callCapacity.countForCampaign(campaignId);
+    return retriesWaiting > 0 || callsInFlight > 0;
+}
+
+// Put a contact back on the campaign for another attempt if its retry policy allows.
+// Returns true when a retry was scheduled.
+async function scheduleRetry(campaign, contact, outcome) {
+    if (!contact) return false;
+
+    const delay = retryPolicy.getRetryDelay(campaign.retryPolicy, contact, outcome);
+    if (delay === null) return false;
+
+    const retryContact = {
+        ...contact,
+        attempt: (contact.attempt || 1) + 1,
+        lastOutcome: outcome,
+        lastAttemptAt: new Date().toISOString()
+    };
+
+    await redisService.scheduleContactRetry(campaign.id, retryContact, Date.now() + delay);
+
+    // Calls still finishing after a pause must not put an expiry back on its retries
+    if (campaign.status === 'paused') {
+        await redisService.persistCampaignQueue(campaign.id);
+    }
+
+    logger.info(`Contact ${contact.leadid || contact.phone_number} will be retried in ${Math.round(delay / 1000)}s (attempt ${retryContact.attempt}, last outcome: ${outcome})`);
+    return true;
+}
+
+// Record a contact skipped because its number is on the do-not-call list
+async function recordSuppressed(campaignId, contact) {
+    const resultId = `suppressed_${contact.leadid || contact.phone_number}`;
+
+    await redisService.addCallToCampaign(campaignId, resultId, {
+        contactId: contact.leadid,
+        callId: null,
+        status: 'suppressed',
+        reason: 'dnc',
+        attempt: contact.attempt || 1,
+        contact,
+        startTime: new Date().toISOString()
+    });
+
+    logger.info(`🚫 Suppressed ${contact.leadid || contact.phone_number}: ${contact.phone_number} is on the do-not-call list`);
+}
+
+// Re-queue a contact for when its calling window opens
+async function holdContact(campaignId, contact, windowCheck) {
+    const heldUntil = windowCheck.nextAllowedAt
+        ? new Date(windowCheck.nextAllowedAt).getTime()
+        : Date.now() + 60 * 60 * 1000;
+
+    await redisService.scheduleContactRetry(campaignId, {
+        ...contact,
+        heldUntil: new Date(heldUntil).toISOString()
+    }, heldUntil);
+
+    logger.info(`🕗 Holding ${contact.leadid || contact.phone_number} until ${new Date(heldUntil).toISOString()}: ${windowCheck.reason}`);
+}
+
+// Make individual call on a reserved line
+async function makeCall(campaignId, contact, reservation) {
     try {
         const campaign = await redisService.getCampaign(campaignId);
         if (!campaign) return;
@@ -193,11 +358,16 @@ async function makeCall(campaignId, contact) {
             }
         });
 
-        // Store call result in Redis
+        // The line now belongs to this call until it ends
+        await callCapacity.assign(reservation, callData.id);
+
+        // Store call result in Redis (with the contact, so it can be retried)
         const callResult = {
             contactId: contact.leadid,
             callId: callData.id,
             status: 'initiated',
+            attempt: contact.attempt || 1,
+            contact,
             startTime: new Date().toISOString()
         };
         
@@ -244,12 +414,20 @@ async function makeCall(campaignId, contact) {
     } catch (error) {
         logger.error(`Failed to call ${contact.phone_number}:`, error.message);
         
-        // Update failed stats
+        await callCapacity.releaseReservation(reservation);
+        
+        // Retry or count as failed; a number that cannot be dialed is never retried
+        const outcome = retryPolicy.isInvalidNumberError(error) ? 'invalid-number' : 'failed';
         const campaign = await redisService.getCampaign(campaignId);
         if (campaign) {
+            const retried = await scheduleRetry(campaign, contact, outcome);
             await redisService.updateCampaign(campaignId, {
-                'stats.failed': campaign.stats.failed + 1,
-                'stats.inProgress': Math.max(0, campaign.stats.inProgress - 1)
+                stats: {
+                    ...campaign.stats,
+                    failed: campaign.stats.failed + (retried ? 0 : 1),
+                    retried: (campaign.stats.retried || 0) + (retried ? 1 : 0),
+                    inProgress: Math.max(0, campaign.stats.inProgress - 1)
+                }
             });
         }
         
@@ -278,6 +456,7 @@ async function completeCampaign(campaignId) {
             campaignId,
             campaign: updatedCampaign
         });
+        notificationService.notifyCampaign('campaign_completed', updatedCampaign);
 
         logger.info(`Campaign ${campaignId} completed`);
         
@@ -286,14 +465,34 @@ async function completeCampaign(campaignId) {
     }
 }
 
-// Stop campaign
+// Stop campaign - by ID, or the only running campaign when no ID is given
 exports.stopCampaign = async (req, res) => {
     try {
-        const activeCampaigns = await redisService.getAllCampaigns();
-        const runningCampaign = activeCampaigns.find(c => c.status === 'active');
-        
-        if (!runningCampaign) {
-            return res.status(400).json({ error: 'No active campaign to stop' });
+        const campaignId = req.params.id || req.body?.campaignId;
+        let runningCampaign;
+
+        if (campaignId) {
+            runningCampaign = await redisService.getCampaign(campaignId);
+            if (!runningCampaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+            if (runningCampaign.status !== 'active' && runningCampaign.status !== 'paused') {
+                return res.status(409).json({ error: `Campaign is ${runningCampaign.status}, not running` });
+            }
+        } else {
+            const activeCampaigns = await redisService.getAllCampaigns();
+            const runningCampaigns = activeCampaigns.filter(c => c.status === 'active' || c.status === 'paused');
+            
+            if (runningCampaigns.length === 0) {
+                return res.status(400).json({ error: 'No active campaign to stop' });
+            }
+            if (runningCampaigns.length > 1) {
+                return res.status(400).json({ 
+                    error: 'Several campaigns are running. Use POST /api/campaigns/:id/stop',
+                    campaignIds: runningCampaigns.map(c => c.id)
+                });
+            }
+            runningCampaign = runningCampaigns[0];
         }
 
         const updatedCampaign = await redisService.updateCampaign(runningCampaign.id, {
@@ -302,7 +501,7 @@ exports.stopCampaign = async (req, res) => {
         });
 
         // Clear queue
-        await redisService.deleteCampaign(runningCampaign.id);
+        await redisService.deleteCampaignQueue(runningCampaign.id);
 
         // Broadcast stop event
         broadcastToClients({
@@ -310,6 +509,7 @@ exports.stopCampaign = async (req, res) => {
             campaignId: runningCampaign.id,
             campaign: updatedCampaign
         });
+        notificationService.notifyCampaign('campaign_stopped', updatedCampaign);
 
         logger.info(`Campaign ${runningCampaign.id} stopped`);
 
@@ -324,10 +524,99 @@ exports.stopCampaign = async (req, res) => {
     }
 };
 
+// Pause a running campaign - the batch loop stops dialing but keeps its queue and stats
+exports.pauseCampaign = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const campaign = await redisService.getCampaign(id);
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        if (campaign.status !== 'active') {
+            return res.status(409).json({ error: `Campaign is ${campaign.status}, only active campaigns can be paused` });
+        }
+
+        const updatedCampaign = await redisService.updateCampaign(id, {
+            status: 'paused',
+            pausedAt: new Date().toISOString()
+        });
+
+        // Keep the remaining contacts and retries for as long as the campaign is paused
+        await redisService.persistCampaignQueue(id);
+
+        broadcastToClients({
+            type: 'campaign_paused',
+            campaignId: id,
+            campaign: updatedCampaign
+        });
+        notificationService.notifyCampaign('campaign_paused', updatedCampaign);
+
+        logger.info(`Campaign ${id} paused with ${await redisService.getQueueLength(id)} contacts queued`);
+
+        res.json({
+            message: 'Campaign paused successfully',
+            campaign: updatedCampaign
+        });
+
+    } catch (error) {
+        logger.error('Error pausing campaign:', error);
+        res.status(500).json({ error: 'Failed to pause campaign' });
+    }
+};
+
+// Resume a paused campaign from where it left off
+exports.resumeCampaign = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const campaign = await redisService.getCampaign(id);
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        if (campaign.status !== 'paused') {
+            return res.status(409).json({ error: `Campaign is ${campaign.status}, only paused campaigns can be resumed` });
+        }
+
+        const pausedMs = campaign.pausedAt ? Date.now() - new Date(campaign.pausedAt).getTime() : 0;
+
+        const updatedCampaign = await redisService.updateCampaign(id, {
+            status: 'active',
+            pausedAt: null,
+            resumedAt: new Date().toISOString(),
+            totalPausedMs: (campaign.totalPausedMs || 0) + pausedMs
+        });
+
+        await redisService.restoreCampaignQueueTtl(id);
+
+        // Restart the batch loop unless the old one has not noticed the pause yet
+        executeCampaign(id);
+
+        broadcastToClients({
+            type: 'campaign_resumed',
+            campaignId: id,
+            campaign: updatedCampaign
+        });
+
+        logger.info(`Campaign ${id} resumed after ${Math.round(pausedMs / 1000)}s`);
+
+        res.json({
+            message: 'Campaign resumed successfully',
+            campaign: updatedCampaign
+        });
+
+    } catch (error) {
+        logger.error('Error resuming campaign:', error);
+        res.status(500).json({ error: 'Failed to resume campaign' });
+    }
+};
+
 // Get campaign status
 exports.getCampaignStatus = async (req, res) => {
     try {
-        const { campaignId } = req.params;
+        const campaignId = req.params.campaignId || req.params.id;
         const campaign = await redisService.getCampaign(campaignId);
 
         if (!campaign) {
@@ -338,6 +627,15 @@ exports.getCampaignStatus = async (req, res) => {
         const calls = await redisService.getCampaignCalls(campaignId);
         campaign.callResults = Object.values(calls);
 
+        // Conversion = qualified or transferred out of calls that reached a person
+        const dispositionCounts = campaign.stats.dispositions || {};
+        const converted = (dispositionCounts.qualified || 0) + (dispositionCounts.transferred || 0);
+        campaign.conversion = {
+            converted,
+            completed: campaign.stats.completed,
+            rate: campaign.stats.completed > 0 ? converted / campaign.stats.completed : 0
+        };
+
         res.json({ campaign });
 
     } catch (error) {
@@ -346,11 +644,113 @@ exports.getCampaignStatus = async (req, res) => {
     }
 };
 
+// Contact fields added by our own processing, left out of exports
+const INTERNAL_CONTACT_FIELDS = [
+    'row_number', 'phone_valid', 'phone_formatted', 'validation_errors', 'time_zones', 'time_zone_source',
+    'dnc', 'attempt', 'lastOutcome', 'lastAttemptAt', 'heldUntil'
+];
+
+const EXPORT_CALL_FIELDS = [
+    'callId', 'status', 'attempt', 'disposition', 'dispositionSource', 'duration', 'endReason',
+    'transferOutcome', 'conferenceId', 'summary', 'startTime', 'endTime'
+];
+
+// toCSV leaves falsy values empty; a 0s call or false flag should still show in the export
+const exportCell = (value) => (typeof value === 'number' || typeof value === 'boolean' ? String(value) : value);
+
+// Flatten campaign call results into export rows: contact fields first, then the call outcome
+function buildExportRows(callResults) {
+    const contactFields = [];
+    callResults.forEach(result => {
+        Object.keys(result.contact || {}).forEach(field => {
+            if (!INTERNAL_CONTACT_FIELDS.includes(field) && !contactFields.includes(field)) {
+                contactFields.push(field);
+            }
+        });
+    });
+
+    const rows = callResults
+        .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''))
+        .map(result => {
+            const row = {};
+            contactFields.forEach(field => {
+                row[field] = result.contact?.[field] ?? '';
+            });
+
+            return {
+                ...row,
+                callId: result.callId || '',
+                status: result.status,
+                attempt: result.attempt || 1,
+                disposition: result.disposition || '',
+                dispositionSource: result.dispositionSource || '',
+                duration: result.details?.duration ?? '',
+                endReason: result.details?.endReason || result.reason || '',
+                transferOutcome: result.transferOutcome || '',
+                conferenceId: result.conferenceId || '',
+                summary: result.details?.summary || '',
+                startTime: result.startTime || '',
+                endTime: result.endTime || ''
+            };
+        });
+
+    return { rows, headers: [...contactFields, ...EXPORT_CALL_FIELDS] };
+}
+
+// Export campaign results as CSV or JSON
+exports.exportCampaignResults = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = (req.query.format || 'csv').toLowerCase();
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or json' });
+        }
+
+        const campaign = await redisService.getCampaign(id);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const calls = await redisService.getCampaignCalls(id);
+        const { rows, headers } = buildExportRows(Object.values(calls));
+        const filename = `campaign-${id}-results.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            return res.json({
+                campaign: {
+                    id: campaign.id,
+                    name: campaign.name,
+                    status: campaign.status,
+                    startTime: campaign.startTime,
+                    endTime: campaign.endTime,
+                    stats: campaign.stats
+                },
+                exportedAt: new Date().toISOString(),
+                results: rows
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        const csvRows = rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([field, value]) => [field, exportCell(value)])
+        ));
+        res.send(csvProcessor.toCSV(csvRows, headers));
+
+    } catch (error) {
+        logger.error('Error exporting campaign results:', error);
+        res.status(500).json({ error: 'Failed to export campaign results' });
+    }
+};
+
 // Get all campaigns
 exports.getAllCampaigns = async (req, res) => {
     try {
         const campaigns = await redisService.getAllCampaigns();
-        res.json({ campaigns });
+        const capacity = await callCapacity.getUsage();
+        res.json({ campaigns, capacity });
 
     } catch (error) {
         logger.error('Error getting campaigns:', error);
@@ -379,12 +779,21 @@ exports.uploadCSV = async (req, res) => {
         // Process and validate phone numbers
         const processedData = csvProcessor.processContacts(csvData);
 
+        // Flag do-not-call numbers (they are skipped at dial time)
+        for (const contact of processedData) {
+            if (contact.phone_valid && await dncService.isBlocked(contact.phone_number)) {
+                contact.dnc = true;
+                contact.validation_errors.push('Number is on the do-not-call list');
+            }
+        }
+
         res.json({
             message: 'CSV uploaded and processed successfully',
             data: {
                 total: processedData.length,
                 valid: processedData.filter(c => c.phone_valid).length,
                 invalid: processedData.filter(c => !c.phone_valid).length,
+                suppressed: processedData.filter(c => c.dnc).length,
                 preview: processedData.slice(0, 10)
             }
         });
@@ -401,25 +810,33 @@ exports.scheduleCampaign = async (req, res) => {
         const { campaignData, scheduleTime } = req.body;
         
         // Validate schedule time
-        const scheduledDate = new Date(scheduleTime);
-        if (scheduledDate <= new Date()) {
-            return res.status(400).json({ error: 'Schedule time must be in the future' });
+        const scheduleError = validateScheduleTime(scheduleTime);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const retryPolicyErrors = retryPolicy.validateRetryPolicy(campaignData.retryPolicy);
+        if (retryPolicyErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid retry policy', details: retryPolicyErrors });
         }
 
         // Create scheduled campaign
+        const { contacts, ...campaignFields } = campaignData;
         const campaign = {
-            ...campaignData,
+            ...campaignFields,
+            retryPolicy: retryPolicy.normalizeRetryPolicy(campaignData.retryPolicy),
             status: 'scheduled',
             scheduleTime
         };
 
         await redisService.saveCampaign(campaign.id, campaign);
 
-        // Set up scheduled execution
-        const delay = scheduledDate.getTime() - Date.now();
-        setTimeout(() => {
-            executeCampaign(campaign.id);
-        }, delay);
+        if (Array.isArray(contacts)) {
+            await redisService.saveCampaignQueue(campaign.id, contacts, queueTtlFor(scheduleTime));
+        }
+
+        // Persist the schedule so it survives restarts
+        await campaignScheduler.schedule(campaign.id, scheduleTime);
 
         res.json({
             message: 'Campaign scheduled successfully',
@@ -432,8 +849,156 @@ exports.scheduleCampaign = async (req, res) => {
     }
 };
 
+// Start a scheduled campaign (called by the campaign scheduler when it fires)
+exports.runScheduledCampaign = async (campaignId) => {
+    const campaign = await redisService.getCampaign(campaignId);
+    
+    if (!campaign) {
+        logger.warn(`Scheduled campaign ${campaignId} no longer exists`);
+        return;
+    }
+    
+    if (campaign.status !== 'scheduled') {
+        logger.warn(`Scheduled campaign ${campaignId} is ${campaign.status}, not starting it`);
+        return;
+    }
+
+    const updatedCampaign = await redisService.updateCampaign(campaignId, {
+        status: 'active',
+        startTime: new Date().toISOString()
+    });
+
+    broadcastToClients({
+        type: 'campaign_update',
+        campaignId,
+        campaign: updatedCampaign
+    });
+
+    await executeCampaign(campaignId);
+};
+
+// List scheduled campaigns
+exports.getScheduledCampaigns = async (req, res) => {
+    try {
+        const entries = await campaignScheduler.list();
+        
+        const scheduled = [];
+        for (const entry of entries) {
+            const campaign = await redisService.getCampaign(entry.campaignId);
+            scheduled.push({
+                ...entry,
+                name: campaign?.name,
+                status: campaign?.status || 'missing',
+                totalContacts: campaign?.totalContacts,
+                queued: await redisService.getQueueLength(entry.campaignId)
+            });
+        }
+
+        res.json({ scheduled });
+
+    } catch (error) {
+        logger.error('Error getting scheduled campaigns:', error);
+        res.status(500).json({ error: 'Failed to get scheduled campaigns' });
+    }
+};
+
+// Move a scheduled campaign to a new start time
+exports.rescheduleCampaign = async (req, res) => {
+    try {
+        const { campaignId } = req.params;
+        const { scheduleTime } = req.body;
+
+        const scheduleError = validateScheduleTime(scheduleTime);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const campaign = await redisService.getCampaign(campaignId);
+        if (!campaign || campaign.status !== 'scheduled') {
+            return res.status(404).json({ error: 'Scheduled campaign not found' });
+        }
+
+        const fireAt = await campaignScheduler.reschedule(campaignId, scheduleTime);
+        if (fireAt === null) {
+            return res.status(404).json({ error: 'Scheduled campaign not found' });
+        }
+
+        await redisService.setCampaignQueueTtl(campaignId, queueTtlFor(scheduleTime));
+        const updatedCampaign = await redisService.updateCampaign(campaignId, { scheduleTime });
+
+        broadcastToClients({
+            type: 'campaign_update',
+            campaignId,
+            campaign: updatedCampaign
+        });
+
+        res.json({
+            message: 'Campaign rescheduled successfully',
+            campaign: updatedCampaign
+        });
+
+    } catch (error) {
+        logger.error('Error rescheduling campaign:', error);
+        res.status(500).json({ error: 'Failed to reschedule campaign' });
+    }
+};
+
+// Cancel a scheduled campaign before it starts
+exports.cancelScheduledCampaign = async (req, res) => {
+    try {
+        const { campaignId } = req.params;
+
+        const cancelled = await campaignScheduler.cancel(campaignId);
+        if (!cancelled) {
+            return res.status(404).json({ error: 'Scheduled campaign not found' });
+        }
+
+        let updatedCampaign = null;
+        if (await redisService.getCampaign(campaignId)) {
+            updatedCampaign = await redisService.updateCampaign(campaignId, {
+                status: 'cancelled',
+                endTime: new Date().toISOString()
+            });
+        }
+        await redisService.deleteCampaignQueue(campaignId);
+
+        broadcastToClients({
+            type: 'campaign_update',
+            campaignId,
+            campaign: updatedCampaign
+        });
+
+        logger.info(`Scheduled campaign ${campaignId} cancelled`);
+
+        res.json({
+            message: 'Scheduled campaign cancelled',
+            campaign: updatedCampaign
+        });
+
+    } catch (error) {
+        logger.error('Error cancelling scheduled campaign:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled campaign' });
+    }
+};
+
+// Pending status updates per call, so near-simultaneous end events are applied one at a time
+const callStatusUpdates = new Map();
+
 // Update call status (called from webhook)
-exports.updateCallStatus = async (callId, status, details) => {
+exports.updateCallStatus = (callId, status, details) => {
+    const previous = callStatusUpdates.get(callId) || Promise.resolve();
+    const next = previous.then(() => applyCallStatus(callId, status, details));
+    callStatusUpdates.set(callId, next);
+
+    next.then(() => {
+        if (callStatusUpdates.get(callId) === next) {
+            callStatusUpdates.delete(callId);
+        }
+    });
+    return next;
+};
+
+async function applyCallStatus(callId, status, details) {
     try {
         // Find campaign containing this call
         const campaigns = await redisService.getAllCampaigns();
@@ -442,12 +1007,35 @@ exports.updateCallStatus = async (callId, status, details) => {
             const calls = await redisService.getCampaignCalls(campaign.id);
             
             if (calls[callId]) {
+                // A contact is only put back once per call, however many end events arrive
+                const alreadyRetried = calls[callId].retryScheduled === true;
+
+                // Stats count each call once. The one exception: a call counted as
+                // completed by an end event without a reason (e.g. hang) is moved to
+                // the outcome a later event reports (e.g. customer-did-not-answer).
+                const counted = calls[callId].countedOutcome;
+                const reclassify = counted === 'completed' && status !== 'completed' &&
+                    !calls[callId].details?.endReason && Boolean(details?.endReason);
+
+                const countNow = !counted || reclassify;
+
+                if (!countNow && counted !== status) {
+                    logger.info(`Call ${callId} already counted as ${counted}, ignoring later ${status}`);
+                }
+
                 // Update call result
-                calls[callId].status = status;
-                calls[callId].endTime = new Date().toISOString();
+                if (countNow) {
+                    calls[callId].status = status;
+                    calls[callId].endTime = new Date().toISOString();
+                }
                 
                 if (details) {
-                    calls[callId].details = details;
+                    // Later end events (e.g. end-of-call-report) add to earlier details
+                    calls[callId].details = { ...calls[callId].details, ...details };
+                }
+                
+                if (countNow && ['completed', ...retryPolicy.RETRYABLE_OUTCOMES].includes(status)) {
+                    calls[callId].countedOutcome = status;
                 }
                 
                 await redisService.addCallToCampaign(campaign.id, callId, calls[callId]);
@@ -455,14 +1043,34 @@ exports.updateCallStatus = async (callId, status, details) => {
                 // Update campaign stats
                 const updatedStats = { ...campaign.stats };
                 
-                if (status === 'completed') {
+                if (reclassify) {
+                    // Undo the completed count; the call was already taken off inProgress
+                    updatedStats.completed = Math.max(0, updatedStats.completed - 1);
+                    updatedStats.inProgress++;
+                    logger.info(`Call ${callId} reclassified from completed to ${status}`);
+                }
+                
+                if (countNow && status === 'completed') {
                     updatedStats.completed++;
                     updatedStats.inProgress = Math.max(0, updatedStats.inProgress - 1);
-                } else if (status === 'failed' || status === 'no-answer' || status === 'busy') {
-                    updatedStats.failed++;
+                } else if (countNow && retryPolicy.RETRYABLE_OUTCOMES.includes(status) && !alreadyRetried) {
+                    // Only count a failure once the contact has no attempts left
+                    const retried = await scheduleRetry(campaign, calls[callId].contact, status);
+                    
+                    if (retried) {
+                        calls[callId].retryScheduled = true;
+                        await redisService.addCallToCampaign(campaign.id, callId, calls[callId]);
+                        updatedStats.retried = (updatedStats.retried || 0) + 1;
+                    } else {
+                        updatedStats.failed++;
+                    }
                     updatedStats.inProgress = Math.max(0, updatedStats.inProgress - 1);
                 }
 
+                if (['completed', 'failed', 'no-answer', 'busy'].includes(status)) {
+                    await callCapacity.releaseCall(campaign.id, callId);
+                }
+
                 await redisService.updateCampaign(campaign.id, { stats: updatedStats });
 
                 // Broadcast update
@@ -478,4 +1086,4 @@ exports.updateCallStatus = async (callId, status, details) => {
     } catch (error) {
         logger.error(`Error updating call status for ${callId}:`, error);
     }
-};
\ No newline at end of file
+}
\ No newline at end of file
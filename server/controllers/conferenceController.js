@@ -1,6 +1,11 @@
 const twilioService = require('../services/twilioService');
 const vapiService = require('../services/vapiService');
 const redisService = require('../services/redisService');
+const transferEscalation = require('../services/transferEscalation');
+const conferenceHistory = require('../services/conferenceHistory');
+const transferRoutingService = require('../services/transferRoutingService');
+const transferRouting = require('../utils/transferRouting');
+const { normalizeTimeZone } = require('../utils/callingWindow');
 const logger = require('../utils/logger');
 const { broadcastToClients } = require('../websocket');
 
@@ -18,20 +23,23 @@ class ConferenceController {
     }
   }
 
-  // when agent answers from queue
+  // when agent answers at the transfer destination
   static async handleQueueAgentJoin(conferenceId, callSid) {
     try {
         const conferenceData = await ConferenceController.getConferenceData(conferenceId);
         
-        if (conferenceData && callSid === conferenceData.queueCallSid) {
-            logger.info('🎉 Agent joined from queue!', { conferenceId });
+        if (conferenceData) {
+            logger.info(`🎉 Agent joined from ${conferenceData.destination?.name || 'queue'}!`, { conferenceId });
             
             // Update conference status
             await ConferenceController.updateConferenceData(conferenceId, {
                 status: 'agent_connected',
+                agentCallSid: callSid,
                 agentJoinedAt: new Date().toISOString(),
                 participants: ['customer', 'hold_assistant', 'agent']
             });
+
+            await transferEscalation.agentJoined(conferenceId);
             
             // Notify hold assistant to leave
             if (conferenceData.holdAssistantCallId) {
@@ -53,7 +61,11 @@ class ConferenceController {
             // Broadcast update
             broadcastToClients({
                 type: 'agent_connected',
-                data: { conferenceId, timestamp: new Date().toISOString() }
+                data: {
+                    conferenceId,
+                    destination: conferenceData.destination?.name || null,
+                    timestamp: new Date().toISOString()
+                }
             });
         }
     } catch (error) {
@@ -88,6 +100,88 @@ class ConferenceController {
     }
   }
 
+  /**
+   * Record a participant leg (by Twilio CallSid) on the conference
+   */
+  static async recordParticipant(conferenceId, callSid, updates) {
+    const conferenceData = await ConferenceController.getConferenceData(conferenceId);
+    if (!conferenceData || !callSid) return null;
+
+    const participantDetails = conferenceData.participantDetails || {};
+    participantDetails[callSid] = { callSid, ...participantDetails[callSid], ...updates };
+
+    return ConferenceController.updateConferenceData(conferenceId, { participantDetails });
+  }
+
+  /**
+   * Which leg joined: a supervisor, the routed destination, the customer or the hold assistant
+   */
+  static participantRole(conferenceData, callSid, from, to) {
+    if (callSid && callSid === conferenceData.supervisorCallSid) {
+      return 'supervisor';
+    }
+
+    if (callSid === conferenceData.queueCallSid ||
+      [from, to].some(address => transferRouting.matchesAddress(conferenceData.destination, address))) {
+      return 'agent';
+    }
+
+    const normalizedFrom = from?.replace('+1', '').replace('+', '');
+    const normalizedCustomer = conferenceData.customerPhone?.replace('+1', '').replace('+', '');
+    if (callSid === conferenceData.customerCallSid || (normalizedFrom && normalizedFrom === normalizedCustomer)) {
+      return 'customer';
+    }
+
+    // The hold assistant's Twilio leg is the only other one we create
+    const known = Object.values(conferenceData.participantDetails || {});
+    if (conferenceData.holdAssistantCallId && !known.some(participant => participant.role === 'hold_assistant')) {
+      return 'hold_assistant';
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Conference as shown on the dashboard, with participants and wait time
+   */
+  static summarizeConference(conferenceData) {
+    const createdAt = new Date(conferenceData.createdAt).getTime();
+    const waitUntil = conferenceData.agentJoinedAt ? new Date(conferenceData.agentJoinedAt).getTime() : Date.now();
+
+    return {
+      conferenceId: conferenceData.conferenceId,
+      status: conferenceData.status,
+      customerName: conferenceData.customerName || null,
+      customerPhone: conferenceData.customerPhone || null,
+      leadId: conferenceData.leadId || null,
+      leadType: conferenceData.assistantType || null,
+      originalCallId: conferenceData.originalCallId || null,
+      holdAssistantCallId: conferenceData.holdAssistantCallId || null,
+      destination: conferenceData.destination?.name || null,
+      escalationStep: conferenceData.escalation?.step || null,
+      createdAt: conferenceData.createdAt,
+      agentJoinedAt: conferenceData.agentJoinedAt || null,
+      waitingForAgent: !conferenceData.agentJoinedAt,
+      waitTime: Math.max(0, Math.floor((waitUntil - createdAt) / 1000)),
+      participants: Object.values(conferenceData.participantDetails || {})
+        .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))
+    };
+  }
+
+  /**
+   * All conferences still held in Redis
+   */
+  static async listConferenceData() {
+    const conferences = [];
+
+    for await (const key of redisService.client.scanIterator({ MATCH: 'conference:*', COUNT: 100 })) {
+      const data = await redisService.client.get(key);
+      if (data) conferences.push(JSON.parse(data));
+    }
+
+    return conferences;
+  }
+
   /**
    * Create a conference bridge for customer waiting
    */
@@ -287,22 +381,250 @@ class ConferenceController {
     }
   }
 
+  /**
+   * List active conferences for the dashboard
+   */
+  static async listActiveConferences(req, res) {
+    try {
+      const conferences = (await ConferenceController.listConferenceData())
+        .filter(conferenceData => conferenceData.status !== 'ended')
+        .map(ConferenceController.summarizeConference)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+      res.json({
+        success: true,
+        conferences,
+        count: conferences.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing conferences:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Search finished conferences kept in the durable history
+   */
+  static async getConferenceHistory(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates'
+        });
+      }
+
+      const result = await conferenceHistory.search(req.query);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('Error searching conference history:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * One conference from the durable history
+   */
+  static async getConferenceHistoryEntry(req, res) {
+    try {
+      const conference = await conferenceHistory.get(req.params.conferenceId);
+
+      if (!conference) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conference not found in history'
+        });
+      }
+
+      res.json({
+        success: true,
+        conference
+      });
+
+    } catch (error) {
+      logger.error('Error getting conference history entry:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Transfer answer rate and waits by destination and hour, for queue staffing
+   */
+  static async getConferenceMetrics(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates'
+        });
+      }
+
+      // Hours are bucketed in the business-hours zone unless another is asked for
+      const routing = await transferRoutingService.getCachedRouting();
+      const timeZone = req.query.timeZone ? normalizeTimeZone(req.query.timeZone) : routing.businessHours.timeZone;
+      if (!timeZone) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown time zone ${req.query.timeZone}`
+        });
+      }
+
+      const metrics = await conferenceHistory.metrics(req.query, timeZone);
+
+      if (metrics.error) {
+        return res.status(400).json({
+          success: false,
+          error: metrics.error
+        });
+      }
+
+      res.json({
+        success: true,
+        ...metrics
+      });
+
+    } catch (error) {
+      logger.error('Error calculating conference metrics:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mute/unmute or hold/unhold a participant
+   */
+  static async updateParticipant(req, res) {
+    try {
+      const { conferenceId, callSid } = req.params;
+      const updates = {};
+
+      ['muted', 'hold'].forEach(field => {
+        if (typeof req.body[field] === 'boolean') updates[field] = req.body[field];
+      });
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'muted or hold (true/false) is required'
+        });
+      }
+
+      const conferenceData = await ConferenceController.getConferenceData(conferenceId);
+      if (!conferenceData) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conference not found'
+        });
+      }
+
+      await twilioService.updateParticipant(conferenceId, callSid, updates);
+      await ConferenceController.recordParticipant(conferenceId, callSid, updates);
+
+      logger.info(`🎚️ Participant ${callSid} in ${conferenceId} updated`, updates);
+
+      broadcastToClients({
+        type: 'conference_participant_updated',
+        data: { conferenceId, callSid, ...updates }
+      });
+
+      res.json({
+        success: true,
+        conferenceId,
+        callSid,
+        message: 'Participant updated'
+      });
+
+    } catch (error) {
+      logger.error('Error updating conference participant:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Hang up one participant's leg
+   */
+  static async removeParticipant(req, res) {
+    try {
+      const { conferenceId, callSid } = req.params;
+
+      const conferenceData = await ConferenceController.getConferenceData(conferenceId);
+      if (!conferenceData) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conference not found'
+        });
+      }
+
+      // participant-leave records when the leg actually drops
+      await twilioService.removeParticipant(conferenceId, callSid);
+
+      res.json({
+        success: true,
+        conferenceId,
+        callSid,
+        message: 'Participant removed'
+      });
+
+    } catch (error) {
+      logger.error('Error removing conference participant:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * End conference
    */
   static async endConference(req, res) {
     try {
       const { conferenceId } = req.params;
+      const endRequestedAt = new Date().toISOString();
 
       logger.info('Ending conference', { conferenceId });
 
       // Get conference data
       const conferenceData = await ConferenceController.getConferenceData(conferenceId);
       
+      transferEscalation.stop(conferenceId);
+
       // End VAPI call if active
-      if (conferenceData?.vapiCallId) {
+      const vapiCallId = conferenceData?.vapiCallId || conferenceData?.holdAssistantCallId;
+      if (vapiCallId) {
         try {
-          await vapiService.endCall(conferenceData.vapiCallId);
+          await vapiService.endCall(vapiCallId);
         } catch (err) {
           logger.error('Error ending VAPI call:', err);
         }
@@ -312,10 +634,14 @@ class ConferenceController {
       await twilioService.endConference(conferenceId);
 
       // Update Redis
-      await ConferenceController.updateConferenceData(conferenceId, {
+      const endedData = await ConferenceController.updateConferenceData(conferenceId, {
         status: 'ended',
-        endedAt: new Date().toISOString()
+        endedAt: new Date().toISOString(),
+        endRequestedAt,
+        endedBy: 'dashboard',
+        endedByUser: req.user?.username || null
       });
+      await conferenceHistory.record(endedData);
 
       // Notify WebSocket
       broadcastToClients({
@@ -348,6 +674,9 @@ class ConferenceController {
         StatusCallbackEvent,
         CallSid,
         FriendlyName,
+        CallStatus,
+        Muted,
+        Hold,
         From,
         To
       } = req.body;
@@ -369,51 +698,55 @@ class ConferenceController {
               from: From
             });
 
-            // Check if this is the queue agent joining
-            if (From === '+18336130051' || To === '+18336130051') {
-              logger.info('🎉 Queue agent detected joining conference');
-              await ConferenceController.handleQueueAgentJoin(FriendlyName, CallSid);
-            } else {
-              // Update participant list for other joins (customer, hold assistant)
-              const conferenceData = await ConferenceController.getConferenceData(FriendlyName);
-              if (conferenceData) {
-                // For SIP transfers, we identify customer by phone number match
-                const normalizedFrom = From?.replace('+1', '').replace('+', '');
-                const normalizedCustomer = conferenceData.customerPhone?.replace('+1', '').replace('+', '');
-                
-                let participantType = 'other';
-                if (normalizedFrom === normalizedCustomer) {
-                  participantType = 'customer';
+            const conferenceData = await ConferenceController.getConferenceData(FriendlyName);
+
+            if (conferenceData) {
+              // The call to the routed destination: conference callbacks carry no
+              // From/To, so match the call SID, then the number or SIP address
+              const participantType = ConferenceController.participantRole(conferenceData, CallSid, From, To);
+
+              await ConferenceController.recordParticipant(FriendlyName, CallSid, {
+                role: participantType,
+                joinedAt: new Date().toISOString(),
+                leftAt: null,
+                muted: Muted === 'true',
+                hold: Hold === 'true'
+              });
+
+              if (participantType === 'agent') {
+                logger.info('🎉 Transfer destination agent detected joining conference');
+                await ConferenceController.handleQueueAgentJoin(FriendlyName, CallSid);
+              } else {
+                // Update participant list for other joins (customer, hold assistant)
+                if (participantType === 'customer') {
                   // Update conference with customer call info for SIP transfer
                   await ConferenceController.updateConferenceData(FriendlyName, {
                     customerCallSid: CallSid,
                     customerJoinedAt: new Date().toISOString(),
                     status: 'customer_connected'
                   });
-                  
+
                   if (!conferenceData.participants.includes('customer')) {
                     conferenceData.participants.push('customer');
                   }
-                } else if (CallSid === conferenceData.holdAssistantCallId) {
-                  participantType = 'hold_assistant';
                 }
-                
-                logger.info(`�� ${participantType} joined conference ${FriendlyName}`, {
+
+                logger.info(`👥 ${participantType} joined conference ${FriendlyName}`, {
                   callSid: CallSid,
                   participantCount: conferenceData.participants.length + 1
                 });
-                
-                // Broadcast participant join
-                broadcastToClients({
-                  type: 'conference_participant_joined',
-                  data: {
-                    conferenceId: FriendlyName,
-                    participantType,
-                    callSid: CallSid,
-                    participants: conferenceData.participants
-                  }
-                });
               }
+
+              // Broadcast participant join
+              broadcastToClients({
+                type: 'conference_participant_joined',
+                data: {
+                  conferenceId: FriendlyName,
+                  participantType,
+                  callSid: CallSid,
+                  participants: conferenceData.participants
+                }
+              });
             }
           }
           break;
@@ -426,8 +759,28 @@ class ConferenceController {
 
             const conferenceData = await ConferenceController.getConferenceData(FriendlyName);
             if (conferenceData) {
+              const participant = conferenceData.participantDetails?.[CallSid];
+
+              const updatedData = await ConferenceController.recordParticipant(FriendlyName, CallSid, {
+                leftAt: new Date().toISOString()
+              });
+
+              // Legs hung up by the end of the conference can be reported after it
+              if (updatedData?.status === 'ended') {
+                await conferenceHistory.record(updatedData);
+              }
+
+              broadcastToClients({
+                type: 'conference_participant_left',
+                data: {
+                  conferenceId: FriendlyName,
+                  participantType: participant?.role || 'other',
+                  callSid: CallSid
+                }
+              });
+
               // Check if hold assistant left (expected after agent joins)
-              if (CallSid === conferenceData.holdAssistantCallId) {
+              if (CallSid === conferenceData.holdAssistantCallId || participant?.role === 'hold_assistant') {
                 logger.info('🤖 Hold assistant left conference as expected');
                 await ConferenceController.updateConferenceData(FriendlyName, {
                   status: 'agent_and_customer_connected',
@@ -451,14 +804,16 @@ class ConferenceController {
         case 'conference-end':
           if (FriendlyName) {
             logger.info(`🏁 Conference ended: ${FriendlyName}`);
+            transferEscalation.stop(FriendlyName);
             const conferenceData = await ConferenceController.getConferenceData(FriendlyName);
             
             if (conferenceData) {
-              await ConferenceController.updateConferenceData(FriendlyName, {
+              const endedData = await ConferenceController.updateConferenceData(FriendlyName, {
                 status: 'ended',
-                endedAt: new Date().toISOString(),
+                endedAt: conferenceData.endedAt || new Date().toISOString(),
                 twilioConferenceSid: ConferenceSid
               });
+              await conferenceHistory.record(endedData);
 
               // Broadcast conference end
               broadcastToClients({
@@ -474,6 +829,11 @@ class ConferenceController {
           break;
 
         default:
+          if (!StatusCallbackEvent && CallStatus) {
+            // Call status callback for a dialed transfer destination
+            await transferEscalation.handleDestinationCallStatus(CallSid, CallStatus);
+            break;
+          }
           logger.info(`📝 Unhandled conference event: ${StatusCallbackEvent}`);
       }
 
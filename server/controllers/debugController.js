@@ -0,0 +1,104 @@
+const webhookStore = require('../services/webhookStore');
+const webhookController = require('./webhookController');
+const ConferenceController = require('./conferenceController');
+const logger = require('../utils/logger');
+
+// Stored webhooks, newest first
+// (?source=vapi|twilio&type=&callId=&conference=&from=&to=&limit=&full=true)
+exports.getWebhooks = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const events = await webhookStore.query({ ...req.query, full: req.query.full === 'true' });
+
+        res.json({
+            total: events.length,
+            events
+        });
+
+    } catch (error) {
+        logger.error('Error getting stored webhooks:', error);
+        res.status(500).json({ error: 'Failed to get stored webhooks' });
+    }
+};
+
+exports.getWebhook = async (req, res) => {
+    try {
+        const event = await webhookStore.get(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Webhook event not found' });
+        }
+
+        res.json(event);
+
+    } catch (error) {
+        logger.error('Error getting stored webhook:', error);
+        res.status(500).json({ error: 'Failed to get stored webhook' });
+    }
+};
+
+// Run a stored webhook through its handler again. Signature checks and
+// de-duplication are skipped; everything else (state changes, broadcasts,
+// campaign stats) happens as it did the first time.
+exports.replayWebhook = async (req, res) => {
+    try {
+        const event = await webhookStore.get(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Webhook event not found' });
+        }
+
+        const handler = event.source === 'twilio'
+            ? ConferenceController.handleTwilioWebhook
+            : webhookController.handleVapiWebhook;
+
+        logger.warn(`🔁 Replaying ${event.source} webhook ${event.id} (${event.type || 'unknown type'}) for ${req.user?.username || 'unknown'}`);
+
+        const replayRequest = {
+            method: event.method,
+            originalUrl: event.path,
+            headers: event.headers,
+            body: event.body,
+            rawBody: JSON.stringify(event.body),
+            webhookReplay: true
+        };
+        const result = await runHandler(handler, replayRequest);
+
+        res.json({
+            replayed: event.id,
+            source: event.source,
+            type: event.type,
+            callId: event.callId,
+            handlerStatus: result.statusCode,
+            handlerResponse: result.body
+        });
+
+    } catch (error) {
+        logger.error('Error replaying webhook:', error);
+        res.status(500).json({ error: 'Failed to replay webhook' });
+    }
+};
+
+// Minimal stand-in for the Express response the webhook handlers write to
+async function runHandler(handler, replayRequest) {
+    const result = { statusCode: 200, body: null };
+    const response = {
+        status(code) {
+            result.statusCode = code;
+            return response;
+        },
+        json(body) {
+            result.body = body;
+            return response;
+        },
+        send(body) {
+            result.body = body;
+            return response;
+        }
+    };
+
+    await handler(replayRequest, response);
+    return result;
+}
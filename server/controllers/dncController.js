@@ -0,0 +1,126 @@
+const dncService = require('../services/dncService');
+const csvProcessor = require('../services/csvProcessor');
+const logger = require('../utils/logger');
+
+// Columns checked (in order) for the number in an imported CSV
+const PHONE_COLUMNS = ['phone_number', 'phone', 'number', 'phonenumber'];
+
+// List the do-not-call numbers
+exports.getNumbers = async (req, res) => {
+    try {
+        const numbers = await dncService.list();
+
+        res.json({
+            total: numbers.length,
+            numbers
+        });
+
+    } catch (error) {
+        logger.error('Error getting do-not-call list:', error);
+        res.status(500).json({ error: 'Failed to get do-not-call list' });
+    }
+};
+
+// Check a single number
+exports.checkNumber = async (req, res) => {
+    try {
+        const entry = await dncService.get(req.params.phoneNumber);
+
+        res.json({
+            phoneNumber: dncService.normalize(req.params.phoneNumber),
+            blocked: Boolean(entry),
+            entry
+        });
+
+    } catch (error) {
+        logger.error('Error checking do-not-call number:', error);
+        res.status(500).json({ error: 'Failed to check number' });
+    }
+};
+
+// Add a single number
+exports.addNumber = async (req, res) => {
+    try {
+        const { phone_number, reason } = req.body;
+
+        const entry = await dncService.add(phone_number, { source: 'manual', reason });
+        if (!entry) {
+            return res.status(400).json({ error: 'Invalid phone number format' });
+        }
+
+        res.json({
+            message: 'Number added to do-not-call list',
+            entry
+        });
+
+    } catch (error) {
+        logger.error('Error adding do-not-call number:', error);
+        res.status(500).json({ error: 'Failed to add number' });
+    }
+};
+
+// Remove a single number
+exports.removeNumber = async (req, res) => {
+    try {
+        const removed = await dncService.remove(req.params.phoneNumber);
+        if (!removed) {
+            return res.status(404).json({ error: 'Number is not on the do-not-call list' });
+        }
+
+        res.json({ message: 'Number removed from do-not-call list' });
+
+    } catch (error) {
+        logger.error('Error removing do-not-call number:', error);
+        res.status(500).json({ error: 'Failed to remove number' });
+    }
+};
+
+// Import numbers from an uploaded CSV
+exports.importCSV = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const rows = await csvProcessor.parseCSV(req.file.path);
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'CSV file is empty' });
+        }
+
+        const column = PHONE_COLUMNS.find(name => name in rows[0]);
+        if (!column) {
+            return res.status(400).json({
+                error: 'Invalid CSV structure',
+                details: [`Missing phone column (one of: ${PHONE_COLUMNS.join(', ')})`]
+            });
+        }
+
+        const result = await dncService.importNumbers(rows.map(row => row[column]), 'import');
+
+        res.json({
+            message: 'Do-not-call list imported',
+            ...result,
+            total: await dncService.count()
+        });
+
+    } catch (error) {
+        logger.error('Error importing do-not-call list:', error);
+        res.status(500).json({ error: 'Failed to import do-not-call list' });
+    }
+};
+
+// Export the list as CSV
+exports.exportCSV = async (req, res) => {
+    try {
+        const numbers = await dncService.list();
+        const csv = csvProcessor.toCSV(numbers, ['phoneNumber', 'source', 'reason', 'callId', 'addedAt']);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="dnc-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(csv);
+
+    } catch (error) {
+        logger.error('Error exporting do-not-call list:', error);
+        res.status(500).json({ error: 'Failed to export do-not-call list' });
+    }
+};
@@ -0,0 +1,35 @@
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+// Configured channels (secrets left out)
+exports.getChannels = async (req, res) => {
+    try {
+        res.json({ channels: notificationService.describeChannels() });
+
+    } catch (error) {
+        logger.error('Error getting notification channels:', error);
+        res.status(500).json({ error: 'Failed to get notification channels' });
+    }
+};
+
+// Send a test notification to one channel, skipping routing and rate limits
+exports.testChannel = async (req, res) => {
+    try {
+        const channel = notificationService.getChannel(req.params.channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Notification channel not found' });
+        }
+
+        await notificationService.send(channel, {
+            event: 'test',
+            title: `Test notification for ${channel.id}`,
+            message: `This is a test of the ${channel.type} channel "${channel.id}" sent at ${new Date().toISOString()}.`
+        });
+
+        res.json({ message: `Test notification sent to ${channel.id}` });
+
+    } catch (error) {
+        logger.error('Error sending test notification:', error);
+        res.status(500).json({ error: 'Failed to send test notification', details: error.message });
+    }
+};
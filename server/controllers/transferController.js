@@ -0,0 +1,73 @@
+const transferRoutingService = require('../services/transferRoutingService');
+const logger = require('../utils/logger');
+
+exports.getRouting = async (req, res) => {
+    try {
+        res.json({ routing: await transferRoutingService.getRouting() });
+
+    } catch (error) {
+        logger.error('Error getting transfer routing:', error);
+        res.status(500).json({ error: 'Failed to get transfer routing' });
+    }
+};
+
+// Replace destinations, rules, default destination and business hours
+exports.updateRouting = async (req, res) => {
+    try {
+        const { routing, errors } = await transferRoutingService.setRouting(req.body);
+
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid transfer routing', details: errors });
+        }
+
+        res.json({
+            message: 'Transfer routing updated',
+            routing
+        });
+
+    } catch (error) {
+        logger.error('Error updating transfer routing:', error);
+        res.status(500).json({ error: 'Failed to update transfer routing' });
+    }
+};
+
+// Go back to the configured destinations and rules
+exports.resetRouting = async (req, res) => {
+    try {
+        const routing = await transferRoutingService.resetRouting();
+
+        res.json({
+            message: 'Transfer routing reset to defaults',
+            routing
+        });
+
+    } catch (error) {
+        logger.error('Error resetting transfer routing:', error);
+        res.status(500).json({ error: 'Failed to reset transfer routing' });
+    }
+};
+
+// Where a transfer with these details would go (?leadType=&assistant=&organizationId=&at=)
+exports.previewRoute = async (req, res) => {
+    try {
+        const { leadType, assistant, organizationId, at } = req.query;
+        const now = at ? new Date(at) : new Date();
+
+        if (isNaN(now.getTime())) {
+            return res.status(400).json({ error: 'at must be an ISO date' });
+        }
+
+        const route = await transferRoutingService.resolve({
+            leadType,
+            assistants: [].concat(assistant || []),
+            organizationId,
+            now
+        });
+
+        res.json({ at: now.toISOString(), route });
+
+    } catch (error) {
+        logger.error('Error previewing transfer route:', error);
+        res.status(500).json({ error: 'Failed to preview transfer route' });
+    }
+};
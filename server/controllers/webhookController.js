@@ -1,8 +1,13 @@
 const crypto = require('crypto');
 const callMonitor = require('../services/callMonitor');
-const campaignController = require('./campaignController');
+const callStateMachine = require('../services/callStateMachine');
+const dispositionService = require('../services/dispositionService');
+const transcriptService = require('../services/transcriptService');
+const alertService = require('../services/alertService');
+const webhookDedup = require('../services/webhookDedup');
 const { broadcastToClients } = require('../websocket');
 const logger = require('../utils/logger');
+const callStates = require('../utils/callStates');
 const vapiConfig = require('../config/vapi.config');
 
 // Validate webhook signature
@@ -45,20 +50,27 @@ function validateWebhookSignature(req) {
     }
 }
 
+// Vapi does not echo our customer metadata back, so fall back to the monitored call
+function getCampaignId(call) {
+    return call.customer?.metadata?.campaignId ||
+        callMonitor.getCall(call.id)?.customer?.metadata?.campaignId ||
+        null;
+}
+
 // Handle Vapi webhooks - ENHANCED for better call status detection
 exports.handleVapiWebhook = async (req, res) => {
+    let claimedEvent = null;
+    
     try {
-        // Validate webhook signature
-        if (!validateWebhookSignature(req)) {
+        // Validate webhook signature (replays come from the stored, already-verified copy)
+        if (!req.webhookReplay && !validateWebhookSignature(req)) {
             logger.warn('Invalid webhook signature received');
             return res.status(401).json({ error: 'Invalid signature' });
         }
         
-        // Log the webhook payload for debugging - ENHANCED LOGGING
-        logger.info('=== VAPI WEBHOOK RECEIVED ===');
-        logger.info('Headers:', JSON.stringify(req.headers, null, 2));
-        logger.info('Raw Body:', req.rawBody ? req.rawBody.substring(0, 1000) : 'No raw body');
-        logger.info('Parsed Body:', JSON.stringify(req.body, null, 2));
+        // Full payloads are kept in the webhook store; see GET /api/debug/webhooks
+        logger.info(`=== VAPI WEBHOOK ${req.webhookReplay ? 'REPLAYED' : 'RECEIVED'} ===`);
+        logger.debug('Parsed Body:', JSON.stringify(req.body, null, 2));
         
         // Extract data from webhook - handle both nested and flat structures
         const webhookData = req.body.message || req.body;
@@ -67,6 +79,13 @@ exports.handleVapiWebhook = async (req, res) => {
         logger.info('Webhook Type:', type);
         logger.info('Call ID:', webhookData.call?.id || 'No call ID');
         
+        // Vapi retries deliveries; handle each event once (replays are deliberate repeats)
+        if (!req.webhookReplay && !await webhookDedup.markProcessed(webhookData, req.rawBody)) {
+            logger.info(`♻️  Duplicate ${type} webhook for call ${webhookData.call?.id}, skipping`);
+            return res.json({ received: true, duplicate: true, timestamp: new Date().toISOString() });
+        }
+        if (!req.webhookReplay) claimedEvent = webhookData;
+        
         // ENHANCED: Log call status if available
         if (webhookData.call?.status) {
             logger.info(`🔄 Call Status in Webhook: ${webhookData.call.status}`);
@@ -104,7 +123,14 @@ exports.handleVapiWebhook = async (req, res) => {
             case 'end-of-call-report':
             case 'hang':
                 logger.info(`🏁 Call Ended Event: ${webhookData.call?.id}, Status: ${webhookData.call?.status}`);
-                handleCallEnded(webhookData.call || webhookData);
+                handleCallEnded(webhookData.call || webhookData, webhookData.endedReason, webhookData.analysis?.summary);
+                
+                if (type === 'end-of-call-report') {
+                    dispositionService.setFromEndOfCallReport(webhookData)
+                        .catch(error => logger.error('Error setting disposition from end-of-call-report:', error));
+                    transcriptService.recordFromReport(webhookData.call?.id, webhookData.artifact?.messages || webhookData.messages)
+                        .catch(error => logger.error('Error saving transcript from end-of-call-report:', error));
+                }
                 break;
                 
             case 'conversation-update':
@@ -172,7 +198,7 @@ exports.handleVapiWebhook = async (req, res) => {
                 
             default:
                 logger.info(`❓ Unhandled webhook type: ${type}`);
-                logger.info('Full webhook data for unhandled type:', JSON.stringify(webhookData, null, 2));
+                logger.debug('Full webhook data for unhandled type:', JSON.stringify(webhookData, null, 2));
                 
                 // ENHANCED: Try to detect call status changes even in unknown webhook types
                 if (webhookData.call?.status) {
@@ -186,7 +212,12 @@ exports.handleVapiWebhook = async (req, res) => {
         
     } catch (error) {
         logger.error('Error handling webhook:', error);
-        logger.error('Request body that caused error:', JSON.stringify(req.body, null, 2));
+        logger.debug('Request body that caused error:', JSON.stringify(req.body, null, 2));
+        
+        // Let Vapi's retry of this event through instead of dropping it as a duplicate
+        if (claimedEvent) {
+            await webhookDedup.release(claimedEvent, req.rawBody);
+        }
         res.status(500).json({ error: 'Webhook processing failed' });
     }
 };
@@ -211,24 +242,9 @@ function handleTranscriptEvent(webhookData) {
     }
     
     // AUTOMATIC ANSWERED DETECTION: If we're getting transcripts, the call must be answered
-    if (callData.status !== 'in-progress' && callData.status !== 'answered') {
+    if (callData.status !== 'in-progress') {
         logger.info(`🎯 TRANSCRIPT DETECTED: Call ${call.id} must be answered, updating status`);
-        callMonitor.updateCall(call.id, {
-            status: 'in-progress',
-            answeredAt: callData.answeredAt || new Date().toISOString()
-        });
-        
-        // Broadcast that call is answered
-        broadcastToClients({
-            type: 'call_answered',
-            call: {
-                ...call,
-                status: 'in-progress',
-                answeredAt: callData.answeredAt || new Date().toISOString()
-            }
-        });
-        
-        logger.info(`Call ${call.id} automatically marked as answered due to transcript`);
+        callStateMachine.transition(call.id, 'in-progress', { source: 'vapi', event: 'transcript' });
     }
     
     // Initialize transcript array if not exists
@@ -269,7 +285,18 @@ function handleTranscriptEvent(webhookData) {
         callData.transcript = callData.transcript.slice(-100);
     }
     
-    callMonitor.updateCall(call.id, callData);
+    callMonitor.updateCall(call.id, { transcript: callData.transcript });
+    
+    if (transcriptType === 'partial') {
+        transcriptService.recordPartial(call.id, transcriptEntry.speaker, transcriptEntry.timestamp);
+    } else {
+        saveTranscriptLine(call.id, {
+            speaker: transcriptEntry.speaker,
+            text: transcript,
+            timestamp: transcriptEntry.timestamp,
+            source: 'transcript'
+        });
+    }
     
     // Broadcast transcript update (send both partial and final for real-time updates)
     broadcastToClients({
@@ -286,6 +313,21 @@ function handleTranscriptEvent(webhookData) {
     logger.info(`Broadcasted ${transcriptType} transcript for call ${call.id}`);
 }
 
+// Persist a final transcript line, anchoring offsets to when the call was answered,
+// then run the alert rules on it. Lines already stored (e.g. repeated in a later
+// conversation-update) are not alerted on twice.
+function saveTranscriptLine(callId, line) {
+    const callData = callMonitor.getCall(callId);
+
+    transcriptService.setCallStart(callId, callData?.answeredAt || callData?.createdAt);
+    transcriptService.recordFinal(callId, line)
+        .then(entry => entry && alertService.evaluate(callId, entry, {
+            phoneNumber: callData?.customer?.number,
+            campaignId: callData?.customer?.metadata?.campaignId
+        }))
+        .catch(error => logger.error(`Error saving transcript for call ${callId}:`, error));
+}
+
 // Handle call started event
 function handleCallStarted(call) {
     if (!call || !call.id) {
@@ -293,12 +335,18 @@ function handleCallStarted(call) {
         return;
     }
     
-    // Update call in monitor
-    callMonitor.addCall({
-        ...call,
-        status: 'started',
-        startedAt: new Date().toISOString()
-    });
+    const startedAt = new Date().toISOString();
+    
+    // A late call-started must not reset a call that has moved on
+    if (callMonitor.getCall(call.id)) {
+        callMonitor.updateCall(call.id, { startedAt });
+    } else {
+        callMonitor.addCall({
+            ...call,
+            status: 'queued',
+            startedAt
+        });
+    }
     
     // Broadcast to WebSocket clients
     broadcastToClients({
@@ -310,47 +358,45 @@ function handleCallStarted(call) {
 }
 
 // Handle call ringing event
-function handleCallRinging(call) {
+function handleCallRinging(call, event = 'ringing') {
     if (!call || !call.id) return;
     
-    callMonitor.updateCall(call.id, {
-        status: 'ringing',
-        ringingAt: new Date().toISOString()
-    });
-    
-    broadcastToClients({
-        type: 'call_ringing',
-        call
-    });
-    
-    logger.info(`Call ringing: ${call.id}`);
+    const result = callStateMachine.transition(call.id, 'ringing', { source: 'vapi', event });
+    if (result.changed) {
+        logger.info(`Call ringing: ${call.id}`);
+    }
 }
 
 // Handle call answered event
-function handleCallAnswered(call) {
+function handleCallAnswered(call, event = 'answered') {
     if (!call || !call.id) return;
     
-    callMonitor.updateCall(call.id, {
-        status: 'in-progress',
-        answeredAt: new Date().toISOString()
-    });
-    
-    broadcastToClients({
-        type: 'call_answered',
-        call
-    });
-    
-    logger.info(`Call answered: ${call.id}`);
+    const result = callStateMachine.transition(call.id, 'in-progress', { source: 'vapi', event });
+    if (result.changed) {
+        logger.info(`Call answered: ${call.id}`);
+    }
 }
 
 // Handle call ended event - ENHANCED with extended monitoring and cleanup
-function handleCallEnded(call) {
+function handleCallEnded(call, reportedEndedReason, summary) {
     if (!call || !call.id) return;
     
-    // SAFETY CHECK: Don't end calls that have active listeners
+    // Vapi reports endedReason on the message (end-of-call-report) or on the call
+    const endedReason = reportedEndedReason || call.endedReason || call.endReason;
+    
     const callData = callMonitor.getCall(call.id);
-    if (callData && callData.hasActiveListeners) {
-        logger.warn(`🛡️  IGNORING CALL END: Call ${call.id} has active listeners, not ending`);
+    
+    // call-ended, hang and end-of-call-report all end the call: the first one does the
+    // work, later ones only add their reason and summary
+    if (callData?.status === 'ended') {
+        logger.info(`Call ${call.id} already ended, merging end details only`);
+        callStateMachine.amendEnd(call.id, { endReason: endedReason, summary, campaignId: getCampaignId(call) });
+        
+        // Ended from the dashboard: Vapi's confirmation still starts the cleanup
+        if (!callData.cleanupPending) {
+            callMonitor.updateCall(call.id, { cleanupPending: true });
+            scheduleEndedCallCleanup(call, callData.duration || 0, callData.endedAt);
+        }
         return;
     }
     
@@ -366,31 +412,39 @@ function handleCallEnded(call) {
         logger.info(`Call ${call.id} ended without being answered. Total duration from creation: ${totalDuration}s`);
     }
     
-    // Enhanced call end logging
-    logger.info(`Call ending details - ID: ${call.id}, Duration: ${duration}s, End Reason: ${call.endReason || 'unknown'}`);
-    if (callData) {
-        logger.info(`Call lifecycle - Added: ${callData.addedAt}, Answered: ${callData.answeredAt || 'never'}, Ended: ${endedAt}`);
-    }
-    
     // Update call status but don't immediately close streams
-    callMonitor.updateCall(call.id, {
-        status: 'ended',
-        endedAt,
-        duration,
-        endReason: call.endReason || 'unknown',
-        wasAnswered: duration > 0,
-        // Mark that cleanup is pending
-        cleanupPending: true
+    const result = callStateMachine.transition(call.id, 'ended', {
+        source: 'vapi',
+        event: 'call end',
+        campaignId: getCampaignId(call),
+        updates: {
+            endedAt,
+            duration,
+            endReason: endedReason || 'unknown',
+            wasAnswered: duration > 0,
+            // Mark that cleanup is pending
+            cleanupPending: true
+        },
+        details: {
+            duration,
+            endReason: endedReason,
+            ...(summary && { summary })
+        }
     });
+    if (!result.changed) return;
     
-    // Update campaign if this call is part of one
-    if (call.customer?.metadata?.campaignId) {
-        campaignController.updateCallStatus(call.id, 'completed', {
-            duration,
-            endReason: call.endReason
-        });
-    }
+    // Enhanced call end logging
+    logger.info(`Call ending details - ID: ${call.id}, Duration: ${duration}s, End Reason: ${endedReason || 'unknown'}`);
+    logger.info(`Call lifecycle - Added: ${callData.addedAt}, Answered: ${callData.answeredAt || 'never'}, Ended: ${endedAt}`);
+    
+    scheduleEndedCallCleanup(call, duration, endedAt);
     
+    logger.info(`Call ended: ${call.id}, duration: ${duration}s, cleanup scheduled`);
+}
+
+// Close streams, then drop the call from the monitor, after long enough delays that
+// late transcripts arrive and supervisors can still look at the call
+function scheduleEndedCallCleanup(call, duration, endedAt) {
     // EXTENDED: Keep calls in monitor much longer for debugging and monitoring
     const initialDelay = process.env.NODE_ENV === 'development' ? 600000 : 300000; // 10 min dev, 5 min prod
     logger.info(`Call ${call.id} marked as ended, delaying stream cleanup for ${initialDelay/1000} seconds`);
@@ -399,6 +453,10 @@ function handleCallEnded(call) {
     setTimeout(() => {
         logger.info(`Starting cleanup for call ${call.id}`);
         
+        // Late transcript lines have arrived by now; stored lines are kept
+        transcriptService.finish(call.id);
+        alertService.finish(call.id);
+        
         // Now broadcast the ended event to close audio streams
         broadcastToClients({
             type: 'call_ended',
@@ -455,8 +513,6 @@ function handleCallEnded(call) {
         }, removalDelay);
         
     }, initialDelay);
-    
-    logger.info(`Call ended: ${call.id}, duration: ${duration}s, cleanup scheduled`);
 }
 
 // Handle call failed event - ENHANCED with better state management
@@ -466,6 +522,20 @@ function handleCallFailed(call) {
     const failedAt = new Date().toISOString();
     const callData = callMonitor.getCall(call.id);
     
+    const result = callStateMachine.transition(call.id, 'failed', {
+        source: 'vapi',
+        event: 'failure',
+        campaignId: getCampaignId(call),
+        updates: {
+            failedAt,
+            failureReason: call.failureReason || 'unknown'
+        },
+        details: {
+            failureReason: call.failureReason
+        }
+    });
+    if (!result.changed && callData) return;
+    
     // Enhanced failure logging
     logger.error(`Call failed - ID: ${call.id}, Reason: ${call.failureReason || 'unknown'}`);
     if (callData) {
@@ -473,28 +543,6 @@ function handleCallFailed(call) {
         logger.error(`Call lifecycle - Added: ${callData.addedAt}, Failed: ${failedAt}, Total duration: ${totalDuration}s`);
     }
     
-    callMonitor.updateCall(call.id, {
-        status: 'failed',
-        failedAt: failedAt,
-        failureReason: call.failureReason || 'unknown'
-    });
-    
-    // Update campaign if this call is part of one
-    if (call.customer?.metadata?.campaignId) {
-        campaignController.updateCallStatus(call.id, 'failed', {
-            failureReason: call.failureReason
-        });
-    }
-    
-    broadcastToClients({
-        type: 'call_failed',
-        call: {
-            ...call,
-            failedAt,
-            failureReason: call.failureReason || 'unknown'
-        }
-    });
-    
     // Clean up phone tracking
     const callController = require('./callController');
     if (call.customer?.number) {
@@ -506,6 +554,8 @@ function handleCallFailed(call) {
     
     setTimeout(() => {
         logger.info(`Removing failed call ${call.id} from monitor`);
+        transcriptService.finish(call.id);
+        alertService.finish(call.id);
         const removed = callMonitor.removeCall(call.id, true); // Force removal for failed calls
         
         if (removed) {
@@ -548,7 +598,14 @@ function handleSpeechUpdate(call, message) {
         callData.transcript = callData.transcript.slice(-100);
     }
     
-    callMonitor.updateCall(call.id, callData);
+    callMonitor.updateCall(call.id, { transcript: callData.transcript });
+    
+    saveTranscriptLine(call.id, {
+        speaker: transcriptEntry.speaker,
+        text: message.content,
+        timestamp: transcriptEntry.timestamp,
+        source: 'transcript'
+    });
     
     broadcastToClients({
         type: 'transcript_update',
@@ -569,8 +626,7 @@ function handleTranscriptUpdate(call, transcript) {
     if (!callData) return;
     
     // Store complete transcript
-    callData.fullTranscript = transcript;
-    callMonitor.updateCall(call.id, callData);
+    callMonitor.updateCall(call.id, { fullTranscript: transcript });
     
     // Parse and broadcast individual messages if needed
     if (Array.isArray(transcript)) {
@@ -592,80 +648,53 @@ function handleTranscriptUpdate(call, transcript) {
 function handleStatusUpdate(call) {
     if (!call || !call.id) return;
     
-    const updates = {
-        status: call.status,
-        updatedAt: new Date().toISOString()
-    };
-    
     logger.info(`🔄 Call status update - ID: ${call.id}, Status: ${call.status}`);
     
-    // Enhanced state validation and tracking
-    const currentCall = callMonitor.getCall(call.id);
-    if (currentCall) {
-        logger.info(`📈 Status transition for ${call.id}: ${currentCall.status} → ${call.status}`);
-        
-        // Track important state transitions
-        if (!currentCall.statusHistory) {
-            currentCall.statusHistory = [];
-        }
-        currentCall.statusHistory.push({
-            from: currentCall.status,
-            to: call.status,
-            timestamp: updates.updatedAt
-        });
-        updates.statusHistory = currentCall.statusHistory;
-    } else {
+    if (!callMonitor.getCall(call.id)) {
         logger.warn(`⚠️ Status update for unknown call: ${call.id}`);
         // Try to add the call if it doesn't exist
         callMonitor.addCall({
             ...call,
+            status: 'queued',
             addedAt: new Date().toISOString(),
             extendedMonitoring: true
         });
     }
     
-    // ENHANCED: Track when call is answered for duration with better detection
-    const answeredStatuses = ['in-progress', 'answered', 'active', 'connected', 'conversation-started'];
-    if (answeredStatuses.includes(call.status)) {
-        updates.answeredAt = new Date().toISOString();
-        logger.info(`✅ Call ${call.id} ANSWERED at ${updates.answeredAt} - STATUS: ${call.status}`);
-        handleCallAnswered(call);
-    } else if (call.status === 'ringing') {
-        logger.info(`📞 Call ${call.id} is ringing - user's phone is ringing`);
-        handleCallRinging(call);
-    } else if (call.status === 'queued') {
-        logger.info(`⏳ Call ${call.id} is queued - waiting to be processed`);
-        // Don't treat queued as no-answer - it's still processing
-    } else if (call.status === 'failed') {
-        logger.error(`❌ Call ${call.id} failed with status update`);
-        handleCallFailed(call);
-    } else if (call.status === 'ended') {
-        logger.info(`🏁 Call ${call.id} ended via status update`);
-        handleCallEnded(call);
-    } else {
-        logger.warn(`❓ Unknown call status for ${call.id}: ${call.status} - checking if should be marked as answered`);
-        
-        // Try to detect answered calls even with unknown status
-        if (call.status && !['queued', 'ringing', 'failed', 'ended', 'no-answer'].includes(call.status)) {
+    const state = callStates.normalize(call.status);
+    switch (state) {
+        case 'queued':
+            logger.info(`⏳ Call ${call.id} is queued - waiting to be processed`);
+            // Don't treat queued as no-answer - it's still processing
+            break;
+        case 'ringing':
+            logger.info(`📞 Call ${call.id} is ringing - user's phone is ringing`);
+            handleCallRinging(call, 'status-update');
+            break;
+        case 'in-progress':
+            logger.info(`✅ Call ${call.id} ANSWERED - STATUS: ${call.status}`);
+            handleCallAnswered(call, 'status-update');
+            break;
+        case 'failed':
+            logger.error(`❌ Call ${call.id} failed with status update`);
+            handleCallFailed(call);
+            break;
+        case 'ended':
+            logger.info(`🏁 Call ${call.id} ended via status update`);
+            handleCallEnded(call);
+            break;
+        case 'no-answer':
+            handleCallNoAnswer(call);
+            break;
+        case 'transferring':
+        case 'ending':
+            callStateMachine.transition(call.id, state, { source: 'vapi', event: 'status-update' });
+            break;
+        default:
+            // Try to detect answered calls even with unknown status
             logger.info(`🎯 ASSUMING ANSWERED: Unknown status '${call.status}' likely means call is active`);
-            updates.answeredAt = new Date().toISOString();
-            handleCallAnswered(call);
-        }
+            handleCallAnswered(call, `status-update: ${call.status}`);
     }
-    
-    callMonitor.updateCall(call.id, updates);
-    
-    // Broadcast enhanced status update
-    broadcastToClients({
-        type: 'call_status_update',
-        callId: call.id,
-        status: call.status,
-        previousStatus: currentCall?.status,
-        timestamp: updates.updatedAt,
-        statusHistory: updates.statusHistory
-    });
-    
-    logger.info(`✅ Call status updated: ${call.id} - ${call.status}`);
 }
 
 // Handle function call (for Vapi function calling)
@@ -690,8 +719,7 @@ function handleMessageUpdate(call, messages) {
     if (!callData) return;
     
     // Store messages
-    callData.messages = messages;
-    callMonitor.updateCall(call.id, callData);
+    callMonitor.updateCall(call.id, { messages });
     
     broadcastToClients({
         type: 'message_update',
@@ -738,6 +766,14 @@ function handleConversationUpdate(data) {
                     timestamp: message.timestamp || new Date().toISOString()
                 });
                 
+                saveTranscriptLine(data.call.id, {
+                    speaker: message.role === 'assistant' ? 'assistant' : 'customer',
+                    text: message.content,
+                    timestamp: message.timestamp,
+                    secondsFromStart: message.secondsFromStart,
+                    source: 'conversation-update'
+                });
+                
                 // Broadcast transcript update
                 broadcastToClients({
                     type: 'transcript_update',
@@ -756,7 +792,7 @@ function handleConversationUpdate(data) {
             callData.transcript = callData.transcript.slice(-100);
         }
         
-        callMonitor.updateCall(data.call.id, callData);
+        callMonitor.updateCall(data.call.id, { transcript: callData.transcript });
     }
 }
 
@@ -772,18 +808,16 @@ function handleCallConnected(call) {
         return;
     }
     
-    // Update call status to connected/ringing
-    callMonitor.updateCall(call.id, {
-        status: 'ringing',
-        connectedAt: new Date().toISOString()
-    });
-    
-    broadcastToClients({
-        type: 'call_connected',
-        call
+    // The phone is ringing on the customer's side
+    const result = callStateMachine.transition(call.id, 'ringing', {
+        source: 'vapi',
+        event: 'phone-connected',
+        updates: { connectedAt: new Date().toISOString() }
     });
     
-    logger.info(`Call connected: ${call.id}`);
+    if (result.changed) {
+        logger.info(`Call connected: ${call.id}`);
+    }
 }
 
 
@@ -791,7 +825,6 @@ function handleCallConnected(call) {
 function handleCallNoAnswer(call) {
     if (!call || !call.id) return;
     
-    const noAnswerAt = new Date().toISOString();
     const callData = callMonitor.getCall(call.id);
     
     // Enhanced logging to debug status transitions
@@ -799,43 +832,24 @@ function handleCallNoAnswer(call) {
     if (callData) {
         logger.warn(`Call lifecycle - Added: ${callData.addedAt}, Current status: ${callData.status}`);
         logger.warn(`Status history:`, callData.statusHistory || []);
-        
-        // Check if call was actually answered but misclassified
-        if (callData.answeredAt || callData.transcript?.length > 0) {
-            logger.error(`⚠️  POTENTIAL STATUS MISMATCH: Call ${call.id} marked as no-answer but has answer indicators!`);
-            logger.error(`- Answered at: ${callData.answeredAt}`);
-            logger.error(`- Transcript entries: ${callData.transcript?.length || 0}`);
-            
-            // Don't treat as no-answer if we have evidence it was answered
-            logger.warn(`Treating as answered call instead of no-answer`);
-            return;
-        }
     }
     
-    logger.info(`Call ${call.id} was not answered after timeout`);
-    
-    callMonitor.updateCall(call.id, {
-        status: 'no-answer',
-        endedAt: noAnswerAt,
-        endReason: 'no-answer',
-        wasAnswered: false
-    });
-    
-    // Update campaign if this call is part of one
-    if (call.customer?.metadata?.campaignId) {
-        campaignController.updateCallStatus(call.id, 'no-answer', {
+    // Rejected when the call shows signs of having been answered
+    const result = callStateMachine.transition(call.id, 'no-answer', {
+        source: 'vapi',
+        event: 'no-answer',
+        campaignId: getCampaignId(call),
+        updates: {
+            endReason: 'no-answer',
+            wasAnswered: false
+        },
+        details: {
             endReason: 'no-answer'
-        });
-    }
-    
-    broadcastToClients({
-        type: 'call_no_answer',
-        call: {
-            ...call,
-            status: 'no-answer',
-            endedAt: noAnswerAt
         }
     });
+    if (!result.changed && callData) return;
+    
+    logger.info(`Call ${call.id} was not answered after timeout`);
     
     // Clean up phone tracking
     const callController = require('./callController');
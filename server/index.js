@@ -24,6 +24,18 @@ const webhookRoutes = require('./routes/webhooks');
 const crmRoutes = require('./routes/crm');
 const conferenceRoutes = require('./routes/conference');
 const vapiToolsRoutes = require('./routes/vapiTools');
+const dncRoutes = require('./routes/dnc');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const debugRoutes = require('./routes/debug');
+const transferRoutes = require('./routes/transfers');
+const callbackRoutes = require('./routes/callbacks');
+
+// Authentication
+const authService = require('./services/authService');
+const { authenticate, authorize, requireRole } = require('./middleware/auth');
 
 // WebSocket server
 const { initializeWebSocketServer } = require('./websocket');
@@ -146,11 +158,22 @@ app.use((req, res, next) => {
 app.use(express.static(path.join(__dirname, '../client')));
 
 // API routes
+// Dashboard APIs need a session: viewers can read, supervisors can act, admins can
+// also configure (see middleware/auth.js). Webhooks and Vapi tools are called by
+// Vapi/Twilio and are not behind a session.
+app.use('/api/auth', authRoutes);
 app.use('/api/health', healthRoutes);
-app.use('/api/calls', callRoutes);
-app.use('/api/campaigns', campaignRoutes);
+app.use('/api/calls', authenticate, authorize, callRoutes);
+app.use('/api/campaigns', authenticate, authorize, campaignRoutes);
 app.use('/webhook', webhookRoutes);
-app.use('/api/crm', crmRoutes);
+app.use('/api/crm', authenticate, authorize, crmRoutes);
+app.use('/api/dnc', authenticate, authorize, dncRoutes);
+app.use('/api/alerts', authenticate, authorize, alertRoutes);
+app.use('/api/notifications', authenticate, authorize, notificationRoutes);
+app.use('/api/transfers', authenticate, authorize, transferRoutes);
+app.use('/api/callbacks', authenticate, authorize, callbackRoutes);
+app.use('/api/audit', authenticate, requireRole('supervisor'), auditRoutes);
+app.use('/api/debug', authenticate, requireRole('admin'), debugRoutes);
 app.use('/api/vapi-tools', vapiToolsRoutes);
 // Add alias for more intuitive VAPI URLs
 app.use('/api/vapi', vapiToolsRoutes);
@@ -230,6 +253,12 @@ server.listen(PORT, async () => {
   
   // Initialize Redis FIRST before anything else that might use it
   await initializeRedis();
+
+  // Create the first dashboard admin if there are no users yet
+  await authService.ensureAdminUser();
+  if (!authService.enabled) {
+    logger.warn('⚠️  AUTH_ENABLED=false - the dashboard, API and WebSocket are open to anyone');
+  }
   
   // Initialize WebSocket with a small delay to ensure HTTP server is ready
   setTimeout(() => {
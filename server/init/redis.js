@@ -1,4 +1,5 @@
 const redisService = require('../services/redisService');
+const campaignScheduler = require('../services/campaignScheduler');
 const logger = require('../utils/logger');
 
 async function initializeRedis() {
@@ -26,6 +27,13 @@ async function initializeRedis() {
         
         logger.info('Redis initialized successfully');
         
+        // Re-arm scheduled campaigns that were persisted before the restart
+        try {
+            await campaignScheduler.restore();
+        } catch (error) {
+            logger.error('Failed to restore scheduled campaigns:', error);
+        }
+        
         return true;
     } catch (error) {
         logger.error('Failed to initialize Redis:', error);
@@ -45,6 +53,7 @@ async function initializeRedis() {
 async function shutdownRedis() {
     try {
         logger.info('Shutting down Redis connection...');
+        campaignScheduler.shutdown();
         await redisService.disconnect();
         logger.info('Redis connection closed');
     } catch (error) {
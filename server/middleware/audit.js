@@ -0,0 +1,45 @@
+// server/middleware/audit.js
+const auditService = require('../services/auditService');
+
+const outcomeFor = (status) => {
+    if (status < 400) return 'success';
+    if (status < 500) return 'rejected';
+    return 'failed';
+};
+
+// Record the request in the audit log once the response has been sent.
+// Use after authenticate so the actor is known.
+exports.audit = (action) => (req, res, next) => {
+    const callId = req.params.callId || null;
+    const context = auditService.callContext(callId);
+
+    // Keep the response body so the result can be logged with the entry
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        const body = req.body || {};
+
+        auditService.record({
+            user: req.user,
+            ip: req.ip,
+            action,
+            callId,
+            campaignId: req.params.campaignId || req.params.id || body.campaignId || body.id ||
+                body.campaignData?.id || responseBody?.campaign?.id || context.campaignId || null,
+            phoneNumber: context.phoneNumber,
+            payload: body,
+            result: {
+                status: res.statusCode,
+                outcome: outcomeFor(res.statusCode),
+                message: responseBody?.error || responseBody?.message || null
+            }
+        });
+    });
+
+    next();
+};
@@ -0,0 +1,76 @@
+// server/middleware/auth.js
+const authService = require('../services/authService');
+const redisService = require('../services/redisService');
+const logger = require('../utils/logger');
+
+const SESSION_COOKIE = 'bl_session';
+
+// Used for every request when AUTH_ENABLED=false (local development only)
+const ANONYMOUS_ADMIN = { username: 'anonymous', role: 'admin' };
+
+const parseCookies = (header = '') => {
+    const cookies = {};
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+};
+
+// Session token from "Authorization: Bearer <token>" or the session cookie
+const getToken = (req) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+};
+
+// Resolve the logged-in user for a request (HTTP or WebSocket upgrade), or null
+const resolveUser = async (req) => {
+    if (!authService.enabled) return ANONYMOUS_ADMIN;
+
+    const session = await authService.getSession(getToken(req));
+    return session ? { username: session.username, role: session.role } : null;
+};
+
+exports.SESSION_COOKIE = SESSION_COOKIE;
+exports.getToken = getToken;
+exports.resolveUser = resolveUser;
+
+// Require a valid session; sets req.user
+exports.authenticate = async (req, res, next) => {
+    try {
+        if (authService.enabled && !redisService.isConnected) {
+            return res.status(503).json({ error: 'Authentication unavailable: Redis is not connected' });
+        }
+
+        const user = await resolveUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+};
+
+// Require at least `role` (viewer < supervisor < admin). Use after authenticate.
+exports.requireRole = (role) => (req, res, next) => {
+    if (!authService.hasRole(req.user, role)) {
+        logger.warn(`🚫 ${req.user?.username} (${req.user?.role}) denied ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+};
+
+// Default policy for a router: viewers may read, supervisors may change things
+exports.authorize = (req, res, next) => {
+    const role = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'viewer' : 'supervisor';
+    return exports.requireRole(role)(req, res, next);
+};
@@ -0,0 +1,11 @@
+// server/middleware/webhookStore.js
+const webhookStore = require('../services/webhookStore');
+const logger = require('../utils/logger');
+
+// Keep a redacted copy of every inbound webhook; never holds up the response
+exports.recordWebhook = (source) => (req, res, next) => {
+    webhookStore.record(source, req)
+        .then(id => id && logger.debug(`Stored ${source} webhook ${req.originalUrl} as ${id}`))
+        .catch(error => logger.error(`Error recording ${source} webhook:`, error));
+    next();
+};
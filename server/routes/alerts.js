@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const { requireRole } = require('../middleware/auth');
+
+// Recent alerts (?severity=&campaignId=&limit=)
+router.get('/', alertController.getAlerts);
+
+// Rule configuration (changes are admin only)
+router.get('/rules', alertController.getRules);
+router.put('/rules', requireRole('admin'), alertController.updateRules);
+router.delete('/rules', requireRole('admin'), alertController.resetRules);
+
+// Alerts for one call
+router.get('/calls/:callId', alertController.getCallAlerts);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+
+// Operator actions on calls and campaigns
+router.get('/', auditController.getAuditLog);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const authController = require('../controllers/authController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: { error: 'Too many login attempts, please try again later.' }
+});
+
+router.post('/login', loginLimiter, authController.login);
+router.post('/logout', authController.logout);
+
+// Current user
+router.get('/me', authenticate, authController.me);
+
+// User management (admin only)
+router.get('/users', authenticate, requireRole('admin'), authController.getUsers);
+router.post('/users', authenticate, requireRole('admin'), authController.createUser);
+router.put('/users/:username', authenticate, requireRole('admin'), authController.updateUser);
+router.delete('/users/:username', authenticate, requireRole('admin'), authController.deleteUser);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const callbackController = require('../controllers/callbackController');
+const { audit } = require('../middleware/audit');
+
+// Callbacks booked when no agent answered a transfer
+router.get('/', callbackController.getCallbacks);
+router.patch('/:callbackId', audit('callback.update'), callbackController.updateCallback);
+
+module.exports = router;
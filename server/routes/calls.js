@@ -1,36 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const callController = require('../controllers/callController');
+const { requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 // Create a new call
-router.post('/create', callController.createCall);
+router.post('/create', audit('call.create'), callController.createCall);
 
 // Control an active call (mute, unmute, etc.)
-router.post('/:callId/control', callController.controlCall);
+router.post('/:callId/control', audit('call.control'), callController.controlCall);
 
 // Transfer a call
-router.post('/:callId/transfer', callController.transferCall);
+router.post('/:callId/transfer', audit('call.transfer'), callController.transferCall);
+
+// Supervisor listen / whisper / barge-in (dials the supervisor's phone)
+router.get('/:callId/supervise', callController.getSupervision);
+router.post('/:callId/supervise', audit('call.supervise'), callController.superviseCall);
+router.delete('/:callId/supervise', audit('call.supervise_end'), callController.stopSupervision);
 
 // Get active calls
 router.get('/active', callController.getActiveCalls);
 
+// Durable call history (finished calls)
+router.get('/history', callController.getCallHistory);
+router.get('/history/:callId', callController.getCallHistoryEntry);
+
 // End a call
-router.post('/:callId/end', callController.endCall);
+router.post('/:callId/end', audit('call.end'), callController.endCall);
 
 // Get call details
 router.get('/:callId', callController.getCallDetails);
 
 // Update call status
-router.patch('/:callId/status', callController.updateCallStatus);
+router.patch('/:callId/status', audit('call.status'), callController.updateCallStatus);
+
+// Call disposition (qualified, transferred, not-interested, ...)
+router.get('/:callId/disposition', callController.getDisposition);
+router.post('/:callId/disposition', audit('call.disposition'), callController.setDisposition);
+
+// Stored transcript (?format=json|text|vtt)
+router.get('/:callId/transcript', callController.getTranscript);
+
+// WAV recording (supports Range requests) and its metadata
+router.get('/:callId/recording', callController.getRecording);
+router.get('/:callId/recording/metadata', callController.getRecordingMetadata);
 
 // Listener tracking endpoints
 router.post('/:callId/add-listener', callController.addListener);
 router.post('/:callId/remove-listener', callController.removeListener);
 
-// DEBUG ENDPOINTS - For monitoring and debugging the call system
-router.get('/debug/info', callController.getDebugInfo);
-router.delete('/debug/phone/:phoneNumber', callController.cleanupPhoneNumber);
-router.post('/debug/cleanup-phone-tracking', callController.forceCleanupPhoneTracking);
-router.post('/debug/:callId/force-answered', callController.forceCallAnswered);
+// DEBUG ENDPOINTS - For monitoring and debugging the call system (admin only)
+router.get('/debug/info', requireRole('admin'), callController.getDebugInfo);
+router.delete('/debug/phone/:phoneNumber', requireRole('admin'), callController.cleanupPhoneNumber);
+router.post('/debug/cleanup-phone-tracking', requireRole('admin'), callController.forceCleanupPhoneTracking);
+router.post('/debug/:callId/force-answered', requireRole('admin'), audit('call.force_answered'), callController.forceCallAnswered);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const campaignController = require('../controllers/campaignController');
+const { audit } = require('../middleware/audit');
 
 // Configure multer for CSV uploads
 const upload = multer({
@@ -19,10 +20,17 @@ const upload = multer({
 });
 
 // Start a new campaign
-router.post('/start', campaignController.startCampaign);
+router.post('/start', audit('campaign.start'), campaignController.startCampaign);
 
-// Stop current campaign
-router.post('/stop', campaignController.stopCampaign);
+// Stop the only running campaign (use /:id/stop when several are running)
+router.post('/stop', audit('campaign.stop'), campaignController.stopCampaign);
+
+// Per-campaign controls
+router.post('/:id/stop', audit('campaign.stop'), campaignController.stopCampaign);
+router.get('/:id/status', campaignController.getCampaignStatus);
+router.get('/:id/export', campaignController.exportCampaignResults);
+router.post('/:id/pause', audit('campaign.pause'), campaignController.pauseCampaign);
+router.post('/:id/resume', audit('campaign.resume'), campaignController.resumeCampaign);
 
 // Get campaign status
 router.get('/status/:campaignId', campaignController.getCampaignStatus);
@@ -34,6 +42,11 @@ router.get('/', campaignController.getAllCampaigns);
 router.post('/upload', upload.single('csv'), campaignController.uploadCSV);
 
 // Schedule a campaign
-router.post('/schedule', campaignController.scheduleCampaign);
+router.post('/schedule', audit('campaign.schedule'), campaignController.scheduleCampaign);
+
+// Scheduled campaigns (persisted in Redis, re-armed on boot)
+router.get('/scheduled', campaignController.getScheduledCampaigns);
+router.put('/scheduled/:campaignId', audit('campaign.reschedule'), campaignController.rescheduleCampaign);
+router.delete('/scheduled/:campaignId', audit('campaign.cancel'), campaignController.cancelScheduledCampaign);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const ConferenceController = require('../controllers/conferenceController');
+const { authenticate, authorize, requireRole } = require('../middleware/auth');
+const { recordWebhook } = require('../middleware/webhookStore');
+const { audit } = require('../middleware/audit');
 
 // Validation middleware (optional - you can add your validators)
 const validateConferenceCreate = (req, res, next) => {
@@ -26,6 +29,12 @@ const validateAgentAdd = (req, res, next) => {
   next();
 };
 
+// Twilio webhook endpoint (called by Twilio, so no dashboard session)
+router.post('/webhook/twilio', recordWebhook('twilio'), ConferenceController.handleTwilioWebhook);
+
+// Everything below needs a logged-in user
+router.use(authenticate, authorize);
+
 // Create new conference bridge
 router.post('/create', validateConferenceCreate, ConferenceController.createConference);
 
@@ -35,14 +44,23 @@ router.post('/add-agent', validateAgentAdd, ConferenceController.addAgentToConfe
 // Get conference status
 router.get('/status/:conferenceId', ConferenceController.getConferenceStatus);
 
-// End conference
-router.post('/end/:conferenceId', ConferenceController.endConference);
+// Active conferences with participants, for the dashboard
+router.get('/active', ConferenceController.listActiveConferences);
 
-// Twilio webhook endpoint
-router.post('/webhook/twilio', ConferenceController.handleTwilioWebhook);
+// Finished conferences and transfer metrics
+router.get('/history', ConferenceController.getConferenceHistory);
+router.get('/history/:conferenceId', ConferenceController.getConferenceHistoryEntry);
+router.get('/metrics', ConferenceController.getConferenceMetrics);
+
+// Mute/hold or hang up one participant
+router.post('/participant/:conferenceId/:callSid', audit('conference.participant_update'), ConferenceController.updateParticipant);
+router.delete('/participant/:conferenceId/:callSid', audit('conference.participant_remove'), ConferenceController.removeParticipant);
+
+// End conference
+router.post('/end/:conferenceId', audit('conference.end'), ConferenceController.endConference);
 
 // Test endpoint
-router.post('/test', ConferenceController.testConferenceFlow);
+router.post('/test', requireRole('admin'), ConferenceController.testConferenceFlow);
 
 // Health check for conference system
 router.get('/health', (req, res) => {
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const debugController = require('../controllers/debugController');
+const { audit } = require('../middleware/audit');
+
+// Stored inbound webhooks
+router.get('/webhooks', debugController.getWebhooks);
+router.get('/webhooks/:id', debugController.getWebhook);
+router.post('/webhooks/:id/replay', audit('webhook.replay'), debugController.replayWebhook);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const dncController = require('../controllers/dncController');
+const { requireRole } = require('../middleware/auth');
+
+// Configure multer for CSV uploads
+const upload = multer({
+    dest: 'data/',
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed'));
+        }
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB max
+    }
+});
+
+// List and export
+router.get('/', dncController.getNumbers);
+router.get('/export', dncController.exportCSV);
+router.get('/check/:phoneNumber', dncController.checkNumber);
+
+// Import a CSV with a phone_number column
+router.post('/import', upload.single('csv'), dncController.importCSV);
+
+// Single-number add/remove (taking a number off the list is admin only)
+router.post('/', dncController.addNumber);
+router.delete('/:phoneNumber', requireRole('admin'), dncController.removeNumber);
+
+module.exports = router;
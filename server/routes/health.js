@@ -4,6 +4,7 @@ const router = express.Router();
 const redisService = require('../services/redisService');
 const redisMonitor = require('../utils/redisMonitor');
 const logger = require('../utils/logger');
+const { authenticate, authorize, requireRole } = require('../middleware/auth');
 
 // Basic health check
 router.get('/', async (req, res) => {
@@ -25,6 +26,10 @@ router.get('/', async (req, res) => {
     }
 });
 
+// The basic check above stays public for the platform's health probe;
+// the detailed checks below need a logged-in user
+router.use(authenticate, authorize);
+
 // Redis health check
 router.get('/redis', async (req, res) => {
     try {
@@ -66,15 +71,9 @@ router.get('/metrics', async (req, res) => {
     }
 });
 
-// Redis Cloud specific metrics (protected endpoint)
-router.get('/redis/cloud', async (req, res) => {
+// Redis Cloud specific metrics (admin only)
+router.get('/redis/cloud', requireRole('admin'), async (req, res) => {
     try {
-        // Add basic auth check here if needed
-        const authHeader = req.headers.authorization;
-        if (!authHeader || authHeader !== `Bearer ${process.env.WEBHOOK_SECRET}`) {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-        
         const cloudMetrics = await redisMonitor.getCloudMetrics();
         res.json(cloudMetrics);
     } catch (error) {
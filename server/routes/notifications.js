@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { requireRole } = require('../middleware/auth');
+
+router.get('/channels', notificationController.getChannels);
+router.post('/channels/:channelId/test', requireRole('admin'), notificationController.testChannel);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const { requireRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// Transfer destinations and routing rules (changes are admin only)
+router.get('/routing', transferController.getRouting);
+router.put('/routing', requireRole('admin'), audit('transfer.routing_update'), transferController.updateRouting);
+router.delete('/routing', requireRole('admin'), audit('transfer.routing_reset'), transferController.resetRouting);
+
+// Which destination a transfer would use
+router.get('/routing/preview', transferController.previewRoute);
+
+module.exports = router;
@@ -4,6 +4,10 @@ const logger = require('../utils/logger');
 const twilioService = require('../services/twilioService');
 const vapiService = require('../services/vapiService');
 const redisService = require('../services/redisService');
+const dispositionService = require('../services/dispositionService');
+const transferRoutingService = require('../services/transferRoutingService');
+const transferEscalation = require('../services/transferEscalation');
+const transferRouting = require('../utils/transferRouting');
 const { broadcastToClients } = require('../websocket');
 
 /**
@@ -34,6 +38,23 @@ function formatPhoneToE164(phone) {
     return phone;
 }
 
+/**
+ * Record the transfer outcome as the call's disposition without failing the tool call
+ */
+function recordTransferDisposition(callId, disposition, notes, transfer) {
+    if (!callId) return;
+
+    dispositionService.setDisposition(callId, disposition, {
+        source: 'transfer-tool',
+        notes,
+        callFields: {
+            transferOutcome: transfer.outcome,
+            conferenceId: transfer.conferenceId || null
+        }
+    })
+        .catch(error => logger.error(`Failed to record ${disposition} disposition for ${callId}:`, error));
+}
+
 /**
  * VAPI Custom Tool: Transfer to Conference
  * This endpoint is called by VAPI when the Hair Straightener assistant
@@ -152,6 +173,13 @@ router.post('/transfer-conference', async (req, res) => {
             source: 'qualification_data'
         });
         
+        // Pick the queue, line or SIP address for this lead
+        const route = await transferRoutingService.resolve({
+            ...transferRoutingService.contextForCall(call, finalQualificationData),
+            now: new Date()
+        });
+        const destination = route.destination;
+        
         // Generate unique conference ID
         const conferenceId = `conf_${Date.now()}_${finalLeadId}`;
         
@@ -176,7 +204,13 @@ router.post('/transfer-conference', async (req, res) => {
             createdAt: new Date().toISOString(),
             status: 'initializing',
             participants: [],
-            convoso_lead_id: message.call.assistant?.variableValues?.convoso_lead_id || finalLeadId
+            convoso_lead_id: message.call.assistant?.variableValues?.convoso_lead_id || finalLeadId,
+            destination,
+            transferRoute: {
+                ruleId: route.ruleId,
+                ruleName: route.ruleName,
+                destinations: route.destinations
+            }
         };
 
         await redisService.client.setEx(
@@ -224,25 +258,9 @@ router.post('/transfer-conference', async (req, res) => {
             JSON.stringify(conferenceData)
         );
 
-        // Dial the senior consultant queue into conference
-        const queueCall = await twilioService.client.calls.create({
-            to: '+18336130051', // Tier 2 senior consultant queue
-            from: process.env.TWILIO_PHONE_NUMBER,
-            twiml: `
-                <Response>
-                    <Say>Connecting qualified ${dynamicLeadType} lead. Conference ID: ${conferenceId.slice(-6)}.</Say>
-                    <Dial>
-                        <Conference 
-                            beep="false" 
-                            statusCallback="${process.env.SERVER_BASE_URL}/api/conference/webhook/twilio"
-                            statusCallbackEvent="join leave end">
-                            ${conferenceId}
-                        </Conference>
-                    </Dial>
-                </Response>
-            `,
-            statusCallback: `${process.env.SERVER_BASE_URL}/api/conference/webhook/twilio`,
-            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+        // Dial the routed destination into conference
+        const queueCall = await twilioService.dialDestinationIntoConference(conferenceId, destination, {
+            leadType: dynamicLeadType
         });
 
         // Update conference data with queue call info
@@ -264,6 +282,7 @@ router.post('/transfer-conference', async (req, res) => {
                 customerPhone,
                 customerName,
                 status: 'conference_created_seamless_pending',
+                destination: destination.name,
                 participants: ['hold_assistant', 'queue_dialing', 'customer_seamless_join_pending'],
                 transferMethod: 'seamless_call_modification',
                 message: 'Conference created - attempting seamless customer join'
@@ -274,6 +293,7 @@ router.post('/transfer-conference', async (req, res) => {
             conferenceId,
             holdAssistantCallId: holdAssistantCall.id,
             queueCallSid: queueCall.sid,
+            destination: destination.id,
             participants: ['customer_pending', 'hold_assistant', 'queue_dialing']
         });
 
@@ -321,6 +341,11 @@ router.post('/transfer-conference', async (req, res) => {
                 }
             });
 
+            recordTransferDisposition(call.id, 'transferred', `Joined conference ${conferenceId}`, {
+                outcome: 'joined-conference',
+                conferenceId
+            });
+
             logger.info('🎉 Seamless conference join successful', {
                 conferenceId,
                 customerCallSid: activeCall.sid,
@@ -351,6 +376,19 @@ router.post('/transfer-conference', async (req, res) => {
             // Fallback: Customer's call not found, use SIP transfer as backup
             logger.warn(`⚠️  Could not find customer's active call, falling back to SIP transfer`);
             
+            conferenceData.transferMethod = 'sip_fallback';
+            
+            await redisService.client.setEx(
+                `conference:${conferenceId}`,
+                1800,
+                JSON.stringify(conferenceData)
+            );
+            
+            recordTransferDisposition(call.id, 'transferred', `SIP transfer to conference ${conferenceId}`, {
+                outcome: 'sip-fallback',
+                conferenceId
+            });
+            
             // Return SIP transfer as fallback
             res.json({
                 results: [{
@@ -378,6 +416,10 @@ router.post('/transfer-conference', async (req, res) => {
             });
         }
 
+        // Try the next destination, then a callback, if no agent joins in time
+        transferEscalation.start(conferenceId, { callSid: queueCall.sid, destination })
+            .catch(error => logger.error(`Failed to start transfer escalation for ${conferenceId}:`, error));
+
     } catch (error) {
         logger.error('❌ Conference creation error:', error);
         
@@ -397,12 +439,19 @@ router.post('/transfer-conference', async (req, res) => {
             errorMessage = 'Invalid phone number format';
         }
         
+        // The tool only runs for qualified leads, even if the transfer itself failed
+        recordTransferDisposition(req.body.message?.call?.id, 'qualified', errorMessage, {
+            outcome: shouldTransferToQueue ? 'queue-fallback' : 'failed'
+        });
+        
         logger.error(`Conference creation failed: ${errorMessage}`, {
             error: error.message,
             stack: error.stack,
             customerPhone: req.body.message?.call?.customer?.number
         });
         
+        const fallbackDestination = shouldTransferToQueue ? await transferRoutingService.getFallbackDestination() : null;
+        
         // Return error response to VAPI with fallback options
         res.json({
             results: [{
@@ -416,7 +465,7 @@ router.post('/transfer-conference', async (req, res) => {
                     // Provide fallback transfer if appropriate
                     ...(shouldTransferToQueue && {
                         fallbackTransfer: {
-                            destination: "+18336130051",
+                            destination: transferRouting.getAddress(fallbackDestination),
                             message: "Let me transfer you directly to our senior consultant queue"
                         }
                     })
@@ -443,12 +492,13 @@ router.post('/join-conference/:conferenceId', async (req, res) => {
         if (!conferenceData) {
             logger.warn(`Conference ${conferenceId} not found in Redis`);
             
-            // Fallback TwiML - transfer to queue directly
+            // Fallback TwiML - transfer to the default destination directly
+            const fallbackDestination = await transferRoutingService.getFallbackDestination();
             const fallbackTwiML = `
             <Response>
                 <Say>I apologize, but I'm having trouble connecting you to the conference. Let me transfer you directly to our senior consultant.</Say>
                 <Dial>
-                    <Number>+18336130051</Number>
+                    ${transferRouting.dialNoun(fallbackDestination)}
                 </Dial>
             </Response>
             `;
@@ -515,11 +565,12 @@ router.post('/join-conference/:conferenceId', async (req, res) => {
         logger.error('❌ Conference join TwiML error:', error);
         
         // Error fallback TwiML
+        const fallbackDestination = await transferRoutingService.getFallbackDestination();
         const errorTwiML = `
         <Response>
             <Say>I apologize, but I'm experiencing technical difficulties. Let me transfer you to our support team.</Say>
             <Dial>
-                <Number>+18336130051</Number>
+                ${transferRouting.dialNoun(fallbackDestination)}
             </Dial>
         </Response>
         `;
@@ -1,17 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const { recordWebhook } = require('../middleware/webhookStore');
 const logger = require('../utils/logger');
 
-// Log all webhook requests
+// Log all webhook requests; full payloads go to the webhook store (/api/debug/webhooks)
 router.use((req, res, next) => {
-    logger.info(`Webhook received: ${req.method} ${req.path}`, {
-        headers: req.headers,
-        body: req.body
-    });
+    logger.info(`Webhook received: ${req.method} ${req.path}`);
     next();
 });
 
+router.post('*', recordWebhook('vapi'));
+
 // Main Vapi webhook endpoint
 router.post('/vapi', webhookController.handleVapiWebhook);
 
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const callMonitor = require('./callMonitor');
+const callHistory = require('./callHistory');
+const dncService = require('./dncService');
+const dispositionService = require('./dispositionService');
+const notificationService = require('./notificationService');
+const alertRules = require('../utils/alertRules');
+const { defaultRules } = require('../config/alertRules.config');
+const { broadcastToClients } = require('../websocket');
+const logger = require('../utils/logger');
+
+const RULES_KEY = 'alert_rules';
+const CALL_ALERTS_KEY = 'call_alerts:';
+const RECENT_ALERTS_KEY = 'alerts_recent';
+const MAX_RECENT_ALERTS = 500;
+
+// Saved rules are re-read this often so every instance picks up changes
+const RULES_CACHE_MS = 60 * 1000;
+
+// Server-side rules engine for final transcript lines
+class AlertService {
+    constructor() {
+        this.compiledRules = null;
+        this.rulesLoadedAt = 0;
+        this.lastFired = new Map(); // `${callId}:${ruleId}` -> ms
+    }
+
+    // Saved rules, or the defaults when none have been saved
+    async getRules() {
+        if (redisService.isConnected) {
+            const data = await redisService.client.get(RULES_KEY);
+            if (data) return JSON.parse(data);
+        }
+        return defaultRules.map(alertRules.normalizeRule);
+    }
+
+    // Replace the rule set; returns validation errors (nothing is saved if any)
+    async setRules(rules) {
+        const errors = alertRules.validateRules(rules);
+        if (errors.length > 0) return { errors };
+
+        const normalized = rules.map(alertRules.normalizeRule);
+        await redisService.client.set(RULES_KEY, JSON.stringify(normalized));
+        this.compiledRules = null;
+
+        logger.info(`🚨 Alert rules updated (${normalized.length} rules)`);
+        return { rules: normalized };
+    }
+
+    async resetRules() {
+        await redisService.client.del(RULES_KEY);
+        this.compiledRules = null;
+        return this.getRules();
+    }
+
+    async getCompiledRules() {
+        if (!this.compiledRules || Date.now() - this.rulesLoadedAt > RULES_CACHE_MS) {
+            const rules = await this.getRules();
+            this.compiledRules = rules.map(alertRules.compileRule);
+            this.rulesLoadedAt = Date.now();
+        }
+        return this.compiledRules;
+    }
+
+    // Run every rule against one final transcript line; returns the alerts raised.
+    // `context.phoneNumber` is used when the call is no longer monitored.
+    async evaluate(callId, { speaker, text, timestamp }, context = {}) {
+        if (!callId || !text) return [];
+
+        const rules = await this.getCompiledRules();
+        const raised = [];
+
+        for (const rule of rules) {
+            const matched = alertRules.matchRule(rule, { speaker, text });
+            if (matched.length === 0 || this.isCoolingDown(callId, rule)) continue;
+
+            this.lastFired.set(`${callId}:${rule.id}`, Date.now());
+
+            const alert = await this.raise(callId, rule, { speaker, text, timestamp, matched }, context);
+            raised.push(alert);
+        }
+
+        return raised;
+    }
+
+    isCoolingDown(callId, rule) {
+        const last = this.lastFired.get(`${callId}:${rule.id}`);
+        return Boolean(last && Date.now() - last < rule.cooldownSeconds * 1000);
+    }
+
+    async raise(callId, rule, { speaker, text, timestamp, matched }, context = {}) {
+        const call = callMonitor.getCall(callId);
+        const alert = {
+            id: crypto.randomUUID(),
+            callId,
+            campaignId: call?.customer?.metadata?.campaignId || context.campaignId || null,
+            phoneNumber: call?.customer?.number || context.phoneNumber || null,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            severity: rule.severity,
+            speaker,
+            text,
+            matched,
+            timestamp: timestamp || new Date().toISOString()
+        };
+
+        await this.save(alert);
+
+        if (call) {
+            callMonitor.updateCall(callId, { alerts: [...(call.alerts || []), alert] });
+        }
+
+        broadcastToClients({
+            type: 'call_alert',
+            callId,
+            alert
+        });
+
+        logger.warn(`🚨 ${rule.severity.toUpperCase()} alert "${rule.name}" on call ${callId}: "${text}"`);
+
+        // Outbound channels (webhook/email/SMS) must not hold up the transcript
+        notificationService.notifyAlert(alert);
+
+        for (const action of rule.actions) {
+            await this.runAction(action, alert);
+        }
+
+        return alert;
+    }
+
+    async save(alert) {
+        if (!redisService.isConnected) return;
+
+        try {
+            const key = `${CALL_ALERTS_KEY}${alert.callId}`;
+            await redisService.client.rPush(key, JSON.stringify(alert));
+            await redisService.client.expire(key, callHistory.retentionDays * 24 * 60 * 60);
+
+            await redisService.client.lPush(RECENT_ALERTS_KEY, JSON.stringify(alert));
+            await redisService.client.lTrim(RECENT_ALERTS_KEY, 0, MAX_RECENT_ALERTS - 1);
+        } catch (error) {
+            logger.error(`Error saving alert for call ${alert.callId}:`, error);
+        }
+    }
+
+    async runAction(action, alert) {
+        try {
+            if (action === 'dnc') {
+                await this.addToDNC(alert);
+            }
+        } catch (error) {
+            logger.error(`Error running alert action ${action} for call ${alert.callId}:`, error);
+        }
+    }
+
+    // Put the customer on the do-not-call list when they ask us to stop calling
+    async addToDNC(alert) {
+        const entry = await dncService.addFromRefusal(alert.callId, alert.phoneNumber, alert.text, alert.matched[0]);
+        if (!entry) return;
+
+        broadcastToClients({
+            type: 'dnc_added',
+            callId: alert.callId,
+            entry
+        });
+
+        await dispositionService.setDisposition(alert.callId, 'dnc', {
+            source: 'transcript',
+            notes: entry.reason
+        });
+    }
+
+    async getCallAlerts(callId) {
+        const alerts = await redisService.client.lRange(`${CALL_ALERTS_KEY}${callId}`, 0, -1);
+        return alerts.map(alert => JSON.parse(alert));
+    }
+
+    // Most recent alerts across all calls, newest first
+    async getRecentAlerts({ limit = 100, severity, campaignId } = {}) {
+        const alerts = (await redisService.client.lRange(RECENT_ALERTS_KEY, 0, MAX_RECENT_ALERTS - 1))
+            .map(alert => JSON.parse(alert))
+            .filter(alert => (!severity || alert.severity === severity) && (!campaignId || alert.campaignId === campaignId));
+
+        return alerts.slice(0, Math.min(parseInt(limit) || 100, MAX_RECENT_ALERTS));
+    }
+
+    // Forget cooldowns once a call is over
+    finish(callId) {
+        for (const key of this.lastFired.keys()) {
+            if (key.startsWith(`${callId}:`)) {
+                this.lastFired.delete(key);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const alertService = new AlertService();
+
+module.exports = alertService;
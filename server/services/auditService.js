@@ -0,0 +1,116 @@
+const redisService = require('./redisService');
+const callMonitor = require('./callMonitor');
+const logger = require('../utils/logger');
+
+const AUDIT_STREAM_KEY = 'audit_log';
+const PAGE_SIZE = 200;
+const MAX_QUERY_LIMIT = 1000;
+
+// Payload fields that must never be written to the log
+const SECRET_FIELDS = ['password', 'token', 'secret'];
+
+// Append-only record of operator actions (who did what to which call or campaign).
+// Entries live in a Redis stream, so they are ordered, timestamped and never edited.
+class AuditService {
+    get maxEntries() {
+        return parseInt(process.env.AUDIT_LOG_MAX_ENTRIES) || 0;
+    }
+
+    // Strip secrets and shorten long lists (e.g. campaign contacts) before storing
+    sanitize(value, depth = 0) {
+        if (Array.isArray(value)) {
+            return value.length > 20 ? `[${value.length} items]` : value.map(item => this.sanitize(item, depth + 1));
+        }
+        if (value && typeof value === 'object') {
+            if (depth > 4) return '[object]';
+
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                key,
+                SECRET_FIELDS.includes(key) ? '[redacted]' : this.sanitize(item, depth + 1)
+            ]));
+        }
+        return value;
+    }
+
+    // Campaign and phone number of a monitored call, captured when the action is taken
+    callContext(callId) {
+        const call = callId ? callMonitor.getCall(callId) : null;
+        return {
+            campaignId: call?.customer?.metadata?.campaignId || null,
+            phoneNumber: call?.customer?.number || null
+        };
+    }
+
+    async record({ user, ip, action, callId = null, campaignId = null, phoneNumber = null, payload = {}, result }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            actor: user?.username || 'unknown',
+            role: user?.role || null,
+            ip: ip || null,
+            action,
+            callId,
+            campaignId,
+            phoneNumber,
+            payload: this.sanitize(payload),
+            result
+        };
+
+        // Always in the application log, even if Redis is down
+        logger.info(`📝 AUDIT ${entry.actor} ${action}${callId ? ` call=${callId}` : ''}${campaignId ? ` campaign=${campaignId}` : ''} -> ${result.outcome} (${result.status})`);
+
+        if (!redisService.isConnected) {
+            logger.warn(`⚠️  Audit entry for ${action} not stored: Redis is not connected`);
+            return null;
+        }
+
+        try {
+            const options = this.maxEntries > 0
+                ? { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxEntries } }
+                : undefined;
+            const id = await redisService.client.xAdd(AUDIT_STREAM_KEY, '*', { entry: JSON.stringify(entry) }, options);
+            return { id, ...entry };
+        } catch (error) {
+            logger.error(`Error storing audit entry for ${action}:`, error);
+            return null;
+        }
+    }
+
+    matches(entry, { actor, action, callId, campaignId, outcome }) {
+        return (!actor || entry.actor === actor) &&
+            (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+            (!callId || entry.callId === callId) &&
+            (!campaignId || entry.campaignId === campaignId) &&
+            (!outcome || entry.result?.outcome === outcome);
+    }
+
+    // Newest first. Filters: actor, action (exact or prefix such as "call"), callId,
+    // campaignId, outcome, from/to (ISO dates) and limit.
+    async query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 100, MAX_QUERY_LIMIT);
+        const start = filters.from ? `${new Date(filters.from).getTime()}-0` : '-';
+        let end = filters.to ? `${new Date(filters.to).getTime()}-${Number.MAX_SAFE_INTEGER}` : '+';
+
+        const entries = [];
+        while (entries.length < limit) {
+            const page = await redisService.client.xRevRange(AUDIT_STREAM_KEY, end, start, { COUNT: PAGE_SIZE });
+
+            for (const { id, message } of page) {
+                const entry = { id, ...JSON.parse(message.entry) };
+                if (this.matches(entry, filters)) {
+                    entries.push(entry);
+                    if (entries.length === limit) break;
+                }
+            }
+
+            if (page.length < PAGE_SIZE) break;
+            end = `(${page[page.length - 1].id}`;
+        }
+
+        return entries;
+    }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
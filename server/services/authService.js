@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_KEY = 'auth_users';
+const SESSION_KEY = 'auth_session:';
+const USER_SESSIONS_KEY = 'auth_user_sessions:';
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'supervisor', 'admin'];
+
+// Dashboard users and login sessions, both kept in Redis
+class AuthService {
+    get enabled() {
+        return process.env.AUTH_ENABLED !== 'false';
+    }
+
+    get sessionTtlSeconds() {
+        return (parseInt(process.env.AUTH_SESSION_HOURS) || 12) * 60 * 60;
+    }
+
+    hasRole(user, role) {
+        return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, salt, expected] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const hash = await scrypt(String(password), salt, 64);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    // User without its password hash, for the API
+    toPublicUser({ passwordHash, ...user }) {
+        return user;
+    }
+
+    async getUser(username) {
+        const data = await redisService.client.hGet(USERS_KEY, String(username).toLowerCase());
+        return data ? JSON.parse(data) : null;
+    }
+
+    async listUsers() {
+        const users = await redisService.client.hGetAll(USERS_KEY);
+        return Object.values(users)
+            .map(user => this.toPublicUser(JSON.parse(user)))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    validateUser({ username, password, role }, { requirePassword = true } = {}) {
+        const errors = [];
+        if (username !== undefined && !/^[a-z0-9._-]{3,32}$/i.test(username)) {
+            errors.push('username must be 3-32 letters, digits, ".", "_" or "-"');
+        }
+        if ((requirePassword || password !== undefined) && (typeof password !== 'string' || password.length < 8)) {
+            errors.push('password must be at least 8 characters');
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            errors.push(`role must be one of ${ROLES.join(', ')}`);
+        }
+        return errors;
+    }
+
+    async createUser({ username, password, role = 'viewer' }) {
+        const key = String(username).toLowerCase();
+        const user = {
+            username: key,
+            role,
+            passwordHash: await this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+
+        const created = await redisService.client.hSetNX(USERS_KEY, key, JSON.stringify(user));
+        if (!created) return null;
+
+        logger.info(`👤 Created ${role} user ${key}`);
+        return this.toPublicUser(user);
+    }
+
+    // Change a user's role and/or password; their sessions are ended
+    async updateUser(username, { password, role }) {
+        const user = await this.getUser(username);
+        if (!user) return null;
+
+        if (role) user.role = role;
+        if (password) user.passwordHash = await this.hashPassword(password);
+        user.updatedAt = new Date().toISOString();
+
+        await redisService.client.hSet(USERS_KEY, user.username, JSON.stringify(user));
+        await this.destroyUserSessions(user.username);
+
+        logger.info(`👤 Updated user ${user.username}`);
+        return this.toPublicUser(user);
+    }
+
+    async deleteUser(username) {
+        const key = String(username).toLowerCase();
+        const removed = await redisService.client.hDel(USERS_KEY, key);
+        if (removed) {
+            await this.destroyUserSessions(key);
+            logger.info(`👤 Deleted user ${key}`);
+        }
+        return removed > 0;
+    }
+
+    // Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no users yet
+    async ensureAdminUser() {
+        if (!this.enabled || !redisService.isConnected) return;
+
+        try {
+            if (await redisService.client.hLen(USERS_KEY) > 0) return;
+
+            const username = process.env.ADMIN_USERNAME || 'admin';
+            const password = process.env.ADMIN_PASSWORD;
+            if (!password || this.validateUser({ username, password }).length > 0) {
+                logger.warn('⚠️  No dashboard users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD (8+ characters) to create the first admin.');
+                return;
+            }
+
+            await this.createUser({ username, password, role: 'admin' });
+        } catch (error) {
+            logger.error('Error creating admin user:', error);
+        }
+    }
+
+    // Check credentials and start a session; returns { token, user } or null
+    async login(username, password) {
+        const user = username ? await this.getUser(username) : null;
+
+        // Hash anyway so unknown usernames take as long as wrong passwords
+        const valid = await this.verifyPassword(password, user?.passwordHash || 'scrypt$00$00');
+        if (!user || !valid) return null;
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            username: user.username,
+            role: user.role,
+            createdAt: new Date().toISOString()
+        };
+
+        await redisService.client.set(`${SESSION_KEY}${token}`, JSON.stringify(session), {
+            EX: this.sessionTtlSeconds
+        });
+        await redisService.client.sAdd(`${USER_SESSIONS_KEY}${user.username}`, token);
+        await redisService.client.expire(`${USER_SESSIONS_KEY}${user.username}`, this.sessionTtlSeconds);
+
+        logger.info(`🔐 ${user.username} logged in`);
+        return { token, user: this.toPublicUser(user) };
+    }
+
+    // The session's user, or null when the token is unknown or expired
+    async getSession(token) {
+        if (!token || !redisService.isConnected) return null;
+
+        const data = await redisService.client.get(`${SESSION_KEY}${token}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async logout(token) {
+        const session = await this.getSession(token);
+        if (!session) return;
+
+        await redisService.client.del(`${SESSION_KEY}${token}`);
+        await redisService.client.sRem(`${USER_SESSIONS_KEY}${session.username}`, token);
+    }
+
+    async destroyUserSessions(username) {
+        const tokens = await redisService.client.sMembers(`${USER_SESSIONS_KEY}${username}`);
+        if (tokens.length > 0) {
+            await redisService.client.del(tokens.map(token => `${SESSION_KEY}${token}`));
+        }
+        await redisService.client.del(`${USER_SESSIONS_KEY}${username}`);
+    }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+authService.ROLES = ROLES;
+
+module.exports = authService;
@@ -0,0 +1,107 @@
+const { v4: uuidv4 } = require('uuid');
+const redisService = require('./redisService');
+const vapiConfig = require('../config/vapi.config');
+const logger = require('../utils/logger');
+
+// Sorted set of `<campaignId>|<callId or reservation>` members scored by acquire time
+const SLOTS_KEY = 'campaign_call_slots';
+
+// Vapi ends calls after maxDurationSeconds (1800), so older slots are leaked ones
+const STALE_SLOT_MS = 35 * 60 * 1000;
+
+// Shared budget of Vapi lines across every running campaign. Slot checks are not
+// atomic across processes; the system runs as a single instance.
+class CallCapacity {
+    get limit() {
+        return vapiConfig.maxConcurrentCalls;
+    }
+
+    async pruneStale() {
+        const removed = await redisService.client.zRemRangeByScore(SLOTS_KEY, 0, Date.now() - STALE_SLOT_MS);
+        if (removed > 0) {
+            logger.warn(`Released ${removed} stale campaign call slot(s)`);
+        }
+    }
+
+    async getHolders() {
+        const members = await redisService.client.zRange(SLOTS_KEY, 0, -1);
+        return members.map(member => {
+            const [campaignId, holder] = member.split('|');
+            return { member, campaignId, holder };
+        });
+    }
+
+    // Reserve up to `wanted` lines for a campaign, bounded by its own maxConcurrent
+    async reserve(campaignId, wanted, campaignMax) {
+        await this.pruneStale();
+
+        const holders = await this.getHolders();
+        const campaignInUse = holders.filter(h => h.campaignId === campaignId).length;
+        const available = Math.min(
+            wanted,
+            this.limit - holders.length,
+            campaignMax - campaignInUse
+        );
+
+        if (available <= 0) {
+            return [];
+        }
+
+        const now = Date.now();
+        const reservations = Array.from({ length: available }, () => `${campaignId}|res_${uuidv4()}`);
+        await redisService.client.zAdd(SLOTS_KEY, reservations.map(value => ({ score: now, value })));
+
+        return reservations;
+    }
+
+    // Swap a reservation for the Vapi call ID once the call is created
+    async assign(reservation, callId) {
+        const [campaignId] = reservation.split('|');
+        await redisService.client.zRem(SLOTS_KEY, reservation);
+        await redisService.client.zAdd(SLOTS_KEY, { score: Date.now(), value: `${campaignId}|${callId}` });
+    }
+
+    // Give back a reservation that was never dialed
+    async releaseReservation(reservation) {
+        await redisService.client.zRem(SLOTS_KEY, reservation);
+    }
+
+    // Free the line held by a finished call
+    async releaseCall(campaignId, callId) {
+        const removed = await redisService.client.zRem(SLOTS_KEY, `${campaignId}|${callId}`);
+        if (removed > 0) {
+            logger.info(`Released call slot for ${callId} (campaign ${campaignId})`);
+        }
+        return removed > 0;
+    }
+
+    // Lines a campaign currently holds (reserved or on a live call)
+    async countForCampaign(campaignId) {
+        await this.pruneStale();
+
+        const holders = await this.getHolders();
+        return holders.filter(h => h.campaignId === campaignId).length;
+    }
+
+    async getUsage() {
+        await this.pruneStale();
+
+        const holders = await this.getHolders();
+        const byCampaign = {};
+        holders.forEach(({ campaignId }) => {
+            byCampaign[campaignId] = (byCampaign[campaignId] || 0) + 1;
+        });
+
+        return {
+            limit: this.limit,
+            inUse: holders.length,
+            available: Math.max(0, this.limit - holders.length),
+            byCampaign
+        };
+    }
+}
+
+// Create singleton instance
+const callCapacity = new CallCapacity();
+
+module.exports = callCapacity;
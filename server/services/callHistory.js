@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+const { formatToE164 } = require('../utils/validators');
+
+// Sorted-set indexes of call IDs scored by call creation time (ms)
+const INDEX_KEY = 'call_history_index';
+const CAMPAIGN_INDEX = 'call_history:by_campaign:';
+const PHONE_INDEX = 'call_history:by_phone:';
+const LEAD_INDEX = 'call_history:by_lead:';
+const STATUS_INDEX = 'call_history:by_status:';
+const ASSISTANT_INDEX = 'call_history:by_assistant:';
+
+// Intersections of several indexes, built per search
+const SEARCH_KEY = 'call_history:search:';
+const SEARCH_TTL = 60;
+
+const MAX_PAGE_SIZE = 200;
+
+// Durable record of finished calls, kept after CallMonitor forgets them
+class CallHistory {
+    get retentionDays() {
+        return parseInt(process.env.CALL_HISTORY_RETENTION_DAYS) || 90;
+    }
+
+    // Shape a monitor entry into the stored record (drops raw webhook payloads)
+    toRecord(call) {
+        const metadata = call.customer?.metadata || {};
+
+        return {
+            id: call.id,
+            campaignId: metadata.campaignId || null,
+            assistantType: metadata.assistantType || metadata.caseType || call.contact?.case_type || null,
+            status: call.status,
+            endReason: call.endReason || null,
+            phoneNumber: call.customer?.number || null,
+            customerName: call.customer?.name || [metadata.first_name, metadata.last_name].filter(Boolean).join(' ') || null,
+            leadId: metadata.leadId || call.contact?.leadid || null,
+            convosoId: metadata.convoso_id || metadata.lead_id || null,
+            createdAt: call.createdAt || call.addedAt,
+            answeredAt: call.answeredAt || null,
+            endedAt: call.endedAt || null,
+            duration: call.duration || 0,
+            disposition: call.disposition || null,
+            alerts: call.alerts || [],
+            metadata,
+            transcript: (call.transcript || []).map(({ raw, ...entry }) => entry),
+            statusHistory: call.statusHistory || [],
+            events: call.events || [],
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    // Indexes a record belongs to besides the main one
+    indexKeys(record) {
+        const phone = this.normalizePhone(record.phoneNumber);
+
+        return [
+            record.campaignId && `${CAMPAIGN_INDEX}${record.campaignId}`,
+            phone && `${PHONE_INDEX}${phone}`,
+            record.leadId && `${LEAD_INDEX}${record.leadId}`,
+            record.status && `${STATUS_INDEX}${record.status}`,
+            record.assistantType && `${ASSISTANT_INDEX}${String(record.assistantType).toLowerCase()}`
+        ].filter(Boolean);
+    }
+
+    // Write (or overwrite) a call's history record
+    async record(call) {
+        if (!call?.id || !redisService.isConnected) return;
+
+        try {
+            const record = this.toRecord(call);
+            const score = new Date(record.createdAt).getTime() || Date.now();
+            const ttl = this.retentionDays * 24 * 60 * 60;
+            const secondaryIndexes = this.indexKeys(record);
+
+            // A call is recorded again as it changes; drop it from indexes it no longer matches
+            const previous = await this.get(call.id);
+            const staleIndexes = previous
+                ? this.indexKeys(previous).filter(key => !secondaryIndexes.includes(key))
+                : [];
+
+            await redisService.client.setEx(`call_history:${call.id}`, ttl, JSON.stringify(record));
+            await redisService.client.zAdd(INDEX_KEY, { score, value: call.id });
+
+            for (const key of staleIndexes) {
+                await redisService.client.zRem(key, call.id);
+            }
+
+            for (const key of secondaryIndexes) {
+                await redisService.client.zAdd(key, { score, value: call.id });
+                await redisService.client.expire(key, ttl);
+            }
+
+            await this.prune(secondaryIndexes);
+        } catch (error) {
+            logger.error(`Error recording call history for ${call.id}:`, error);
+        }
+    }
+
+    // Drop index entries older than the retention window (records expire on their own)
+    async prune(keys = []) {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+        for (const key of [INDEX_KEY, ...keys]) {
+            await redisService.client.zRemRangeByScore(key, 0, cutoff);
+        }
+    }
+
+    normalizePhone(phone) {
+        return phone ? formatToE164(phone) : null;
+    }
+
+    async get(callId) {
+        const data = await redisService.client.get(`call_history:${callId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Index holding exactly the calls that match the field filters. Several filters
+    // are intersected into a short-lived key; scores stay the call creation time.
+    async matchingIndex(filters) {
+        const keys = this.indexKeys({
+            campaignId: filters.campaignId,
+            phoneNumber: filters.phone,
+            leadId: filters.leadId,
+            status: filters.status,
+            assistantType: filters.assistantType
+        });
+
+        if (keys.length === 0) return { key: INDEX_KEY, temporary: false };
+        if (keys.length === 1) return { key: keys[0], temporary: false };
+
+        const key = `${SEARCH_KEY}${crypto.randomUUID()}`;
+        await redisService.client.zInterStore(key, keys, { AGGREGATE: 'MIN' });
+        await redisService.client.expire(key, SEARCH_TTL);
+        return { key, temporary: true };
+    }
+
+    // Search history. Filters: from, to, campaignId, assistantType, status, phone, leadId.
+    // Newest first, with page (1-based) and limit. Returns { error } for invalid dates.
+    async search(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 50, MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const from = filters.from ? new Date(filters.from).getTime() : '-inf';
+        const to = filters.to ? new Date(filters.to).getTime() : '+inf';
+
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return { error: 'from and to must be valid dates' };
+        }
+        if (typeof from === 'number' && typeof to === 'number' && from > to) {
+            return { error: 'from must be before to' };
+        }
+
+        // Only the requested page is read from Redis
+        const index = await this.matchingIndex(filters);
+        try {
+            const total = await redisService.client.zCount(index.key, from, to);
+            const callIds = await redisService.client.zRange(index.key, to, from, {
+                BY: 'SCORE',
+                REV: true,
+                LIMIT: { offset: (page - 1) * limit, count: limit }
+            });
+
+            const values = callIds.length > 0
+                ? await redisService.client.mGet(callIds.map(id => `call_history:${id}`))
+                : [];
+
+            return {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit),
+                calls: values.filter(Boolean).map(value => JSON.parse(value))
+            };
+        } finally {
+            if (index.temporary) await redisService.client.del(index.key);
+        }
+    }
+}
+
+// Create singleton instance
+const callHistory = new CallHistory();
+
+module.exports = callHistory;
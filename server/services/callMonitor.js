@@ -1,5 +1,8 @@
 const WebSocket = require('ws');
 const logger = require('../utils/logger');
+const callHistory = require('./callHistory');
+const recordingService = require('./recordingService');
+const callStates = require('../utils/callStates');
 
 class CallMonitor {
     constructor() {
@@ -44,8 +47,9 @@ class CallMonitor {
         }
     }
 
-    // Update existing call - ENHANCED with state history tracking
-    updateCall(callId, updates) {
+    // Update existing call - ENHANCED with state history tracking.
+    // Status changes should come through callStateMachine, which passes its source here
+    updateCall(callId, updates, source = 'webhook_update') {
         const call = this.activeCalls.get(callId);
         if (call) {
             // Track status changes
@@ -57,7 +61,7 @@ class CallMonitor {
                     from: call.status,
                     to: updates.status,
                     timestamp: new Date().toISOString(),
-                    source: 'webhook_update'
+                    source
                 });
                 
                 // Track in separate history map for debugging
@@ -79,6 +83,11 @@ class CallMonitor {
             
             this.activeCalls.set(callId, updatedCall);
             
+            // Persist finished calls right away; removeCall writes the final version
+            if (updates.status && updates.status !== call.status && callStates.isFinal(updates.status)) {
+                callHistory.record(updatedCall);
+            }
+            
             // If audio stream becomes available, set it up
             if (updates.monitor?.listenUrl && !this.audioStreams.has(callId)) {
                 logger.info(`Audio stream URL now available for call ${callId}`);
@@ -102,7 +111,7 @@ class CallMonitor {
         const call = this.activeCalls.get(callId);
         if (call) {
             // SAFETY CHECK: Prevent removal of active calls unless forced
-            if (!force && (call.status === 'ringing' || call.status === 'in-progress' || call.status === 'answered')) {
+            if (!force && callStates.isLive(call.status)) {
                 logger.warn(`🛡️  BLOCKED REMOVAL: Call ${callId} is active (${call.status}), use force=true to override`);
                 return false;
             }
@@ -120,6 +129,9 @@ class CallMonitor {
                 logger.info(`Call ${callId} status history:`, call.statusHistory);
             }
             
+            // Keep the call (transcript, status history, events) after the monitor forgets it
+            callHistory.record(call);
+            
             if (call.addedAt) {
                 const totalLifetime = Math.floor((Date.now() - new Date(call.addedAt).getTime()) / 1000);
                 logger.info(`Call ${callId} total lifetime: ${totalLifetime}s`);
@@ -129,6 +141,7 @@ class CallMonitor {
         
         // Close audio stream if exists
         this.closeAudioStream(callId);
+        recordingService.finish(callId);
         
         // Clean up all tracking
         this.activeCalls.delete(callId);
@@ -174,7 +187,7 @@ class CallMonitor {
             logger.info(`Setting up audio stream for call ${callId} (attempt ${retryCount + 1}/${maxRetries + 1}): ${listenUrl}`);
             
             const ws = new WebSocket(listenUrl);
-            let audioBuffer = Buffer.alloc(0);
+            let audioBytes = 0;
             let connectionTimeout;
             let isConnected = false;
             
@@ -205,13 +218,14 @@ class CallMonitor {
             ws.on('message', (data, isBinary) => {
                 if (isBinary) {
                     // Handle audio data
-                    audioBuffer = Buffer.concat([audioBuffer, data]);
+                    audioBytes += data.length;
+                    this.saveAudioBuffer(callId, data);
                     
                     // Emit audio data to listeners with enhanced info
                     this.emitToListeners(callId, {
                         type: 'audio_data',
                         data: data,
-                        bufferSize: audioBuffer.length,
+                        bufferSize: audioBytes,
                         timestamp: new Date().toISOString()
                     });
                 } else {
@@ -219,6 +233,9 @@ class CallMonitor {
                     try {
                         const message = JSON.parse(data.toString());
                         logger.info(`Audio stream message for call ${callId}:`, message);
+                        if (message.type === 'start') {
+                            recordingService.setFormat(callId, message, this.activeCalls.get(callId));
+                        }
                         this.handleStreamMessage(callId, message);
                     } catch (error) {
                         logger.error(`Error parsing stream message for call ${callId}:`, error);
@@ -231,9 +248,11 @@ class CallMonitor {
                 logger.info(`Audio stream closed for call ${callId} - Code: ${code}, Reason: ${reason}`);
                 this.audioStreams.delete(callId);
                 
-                // Save audio buffer if needed
-                if (audioBuffer.length > 0) {
-                    this.saveAudioBuffer(callId, audioBuffer);
+                const willRetry = code !== 1000 && retryCount < maxRetries && isConnected;
+                
+                // Close the recording unless the stream is about to reconnect
+                if (!willRetry) {
+                    recordingService.finish(callId);
                 }
                 
                 // Notify listeners
@@ -246,7 +265,7 @@ class CallMonitor {
                 });
                 
                 // Retry if appropriate
-                if (code !== 1000 && retryCount < maxRetries && isConnected) {
+                if (willRetry) {
                     logger.info(`Audio stream closed unexpectedly for call ${callId}, will retry`);
                     this.handleAudioStreamRetry(callId, listenUrl, retryCount, `close_code_${code}`);
                 }
@@ -384,13 +403,9 @@ class CallMonitor {
         }
     }
 
-    // Save audio buffer
+    // Save a chunk of listen-stream audio to the call's recording (when recording is enabled)
     saveAudioBuffer(callId, buffer) {
-        // In production, we might want to:
-        // - Save to S3 or cloud storage
-        // - Convert to different format
-        // - Process for analytics
-        logger.info(`Audio buffer for call ${callId} ready for processing (${buffer.length} bytes)`);
+        recordingService.append(callId, buffer, this.activeCalls.get(callId));
     }
 
     // Get enhanced call statistics for debugging
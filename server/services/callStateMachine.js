@@ -0,0 +1,138 @@
+const callMonitor = require('./callMonitor');
+const { broadcastToClients } = require('../websocket');
+const logger = require('../utils/logger');
+const callStates = require('../utils/callStates');
+const retryPolicy = require('../utils/retryPolicy');
+
+// Checks a transition must pass on top of the transition table; force skips them
+const GUARDS = {
+    // Vapi reports no-answer for calls that were in fact picked up
+    'no-answer': (call) => (call.answeredAt || call.transcript?.length > 0)
+        ? 'call has answer indicators'
+        : null,
+    // Someone is listening in; keep the call until they leave
+    'ended': (call, { source }) => (source === 'vapi' && call.hasActiveListeners)
+        ? 'call has active listeners'
+        : null
+};
+
+// Fields left out of call_state_changed broadcasts; clients fetch them separately
+const OMITTED_FIELDS = ['transcript', 'events', 'messages', 'fullTranscript'];
+
+// Single place where a monitored call's status changes. Webhooks, operator
+// controls and the monitor all go through transition(), which checks the move,
+// stamps the timestamps, broadcasts call_state_changed and reports final
+// outcomes to the call's campaign.
+class CallStateMachine {
+    // Returns { changed, from, to, call } or { changed: false, reason }
+    transition(callId, status, options = {}) {
+        const { source = 'system', event, updates = {}, details = {}, force = false } = options;
+
+        const to = callStates.normalize(status);
+        if (!to) {
+            return this.reject(callId, status, options, `unknown state '${status}'`);
+        }
+
+        const call = callMonitor.getCall(callId);
+        if (!call) {
+            // Not monitored (e.g. after a restart): the campaign still needs the outcome
+            if (callStates.isFinal(to) && options.campaignId) {
+                this.reportOutcome(callId, to, updates, details);
+            }
+            return this.reject(callId, to, options, 'call is not monitored');
+        }
+
+        const from = callStates.normalize(call.status) || 'queued';
+        if (from === to) {
+            return { changed: false, from, to, reason: `already ${to}` };
+        }
+
+        if (!callStates.canTransition(from, to)) {
+            return this.reject(callId, to, options, `${from} → ${to} is not allowed`, from);
+        }
+
+        const guardReason = GUARDS[to]?.(call, { source, event });
+        if (guardReason) {
+            if (!force) {
+                return this.reject(callId, to, options, guardReason, from);
+            }
+            logger.warn(`⚠️  Forcing call ${callId} ${from} → ${to} despite guard: ${guardReason}`);
+        }
+
+        const timestamp = new Date().toISOString();
+        const timestampField = callStates.TIMESTAMP_FIELDS[to];
+
+        callMonitor.updateCall(callId, {
+            ...updates,
+            status: to,
+            ...(timestampField && !call[timestampField] && { [timestampField]: updates[timestampField] || timestamp })
+        }, source);
+
+        const updatedCall = callMonitor.getCall(callId);
+        logger.info(`🔀 Call ${callId}: ${from} → ${to} (${source}${event ? `: ${event}` : ''})`);
+
+        broadcastToClients({
+            type: 'call_state_changed',
+            callId,
+            from,
+            status: to,
+            source,
+            event,
+            timestamp,
+            call: this.summarize(updatedCall)
+        });
+
+        if (callStates.isFinal(to) && (updatedCall.customer?.metadata?.campaignId || options.campaignId)) {
+            this.reportOutcome(callId, to, updatedCall, details);
+        }
+
+        return { changed: true, from, to, call: updatedCall };
+    }
+
+    // Later end events (hang, then end-of-call-report) add their reason and summary
+    // to a call that has already ended without moving it again
+    amendEnd(callId, { endReason, summary, campaignId } = {}) {
+        const call = callMonitor.getCall(callId);
+        if (call && call.status !== 'ended') return false;
+
+        if (call && endReason) {
+            callMonitor.updateCall(callId, { endReason });
+        }
+
+        if (call?.customer?.metadata?.campaignId || campaignId) {
+            this.reportOutcome(callId, 'ended', { endReason }, {
+                ...(endReason && { endReason }),
+                ...(summary && { summary })
+            });
+        }
+        return true;
+    }
+
+    // Campaign stats count each call once per outcome; see campaignController.updateCallStatus
+    reportOutcome(callId, state, call, details) {
+        const campaignController = require('../controllers/campaignController');
+
+        let outcome = state;
+        if (state === 'ended') {
+            outcome = retryPolicy.outcomeFromEndedReason(details.endReason || call.endReason);
+        }
+
+        campaignController.updateCallStatus(callId, outcome, details);
+    }
+
+    reject(callId, status, { source = 'system', event }, reason, from) {
+        logger.warn(`⏪ Ignoring ${event || status} for call ${callId} from ${source}: ${reason}`);
+        return { changed: false, from, to: status, reason };
+    }
+
+    summarize(call) {
+        const summary = { ...call };
+        OMITTED_FIELDS.forEach(field => delete summary[field]);
+        return summary;
+    }
+}
+
+// Create singleton instance
+const callStateMachine = new CallStateMachine();
+
+module.exports = callStateMachine;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const { broadcastToClients } = require('../websocket');
+const logger = require('../utils/logger');
+
+const CALLBACKS_KEY = 'callbacks';
+const CALLBACK_KEY = 'callback:';
+const CALLBACK_TTL = 60 * 60 * 24 * 30;
+
+// Callbacks promised to customers (e.g. when no agent answered a transfer),
+// ordered by when they are due
+class CallbackService {
+    async book({ phoneNumber, customerName = null, leadId = null, leadType = null, organizationId = null,
+        callId = null, conferenceId = null, reason = '', dueAt }) {
+        const callback = {
+            id: crypto.randomUUID(),
+            status: 'pending',
+            phoneNumber,
+            customerName,
+            leadId,
+            leadType,
+            organizationId,
+            callId,
+            conferenceId,
+            reason,
+            dueAt: new Date(dueAt).toISOString(),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.save(callback);
+
+        broadcastToClients({
+            type: 'callback_booked',
+            callback
+        });
+
+        logger.info(`📅 Callback booked for ${phoneNumber} at ${callback.dueAt} (${reason})`);
+        return callback;
+    }
+
+    async save(callback) {
+        await redisService.client.setEx(`${CALLBACK_KEY}${callback.id}`, CALLBACK_TTL, JSON.stringify(callback));
+        await redisService.client.zAdd(CALLBACKS_KEY, { score: new Date(callback.dueAt).getTime(), value: callback.id });
+    }
+
+    async get(id) {
+        const data = await redisService.client.get(`${CALLBACK_KEY}${id}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Soonest first (?status=&limit=)
+    async list({ status, limit } = {}) {
+        const ids = await redisService.client.zRange(CALLBACKS_KEY, 0, -1);
+        const callbacks = [];
+
+        for (const id of ids) {
+            const callback = await this.get(id);
+            if (!callback) {
+                // Expired
+                await redisService.client.zRem(CALLBACKS_KEY, id);
+                continue;
+            }
+            if (!status || callback.status === status) {
+                callbacks.push(callback);
+                if (limit && callbacks.length >= limit) break;
+            }
+        }
+
+        return callbacks;
+    }
+
+    async updateStatus(id, status, { updatedBy = null, notes } = {}) {
+        const callback = await this.get(id);
+        if (!callback) return null;
+
+        const updated = {
+            ...callback,
+            status,
+            updatedBy,
+            updatedAt: new Date().toISOString(),
+            ...(notes !== undefined && { notes })
+        };
+        await this.save(updated);
+
+        broadcastToClients({
+            type: 'callback_updated',
+            callback: updated
+        });
+
+        return updated;
+    }
+}
+
+// Create singleton instance
+const callbackService = new CallbackService();
+
+module.exports = callbackService;
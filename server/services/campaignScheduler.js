@@ -0,0 +1,129 @@
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+
+// Sorted set of campaign IDs scored by their fire time (ms since epoch)
+const SCHEDULE_KEY = 'scheduled_campaigns';
+
+// setTimeout overflows past ~24.8 days, so long delays are armed in hops
+const MAX_TIMER_DELAY = 2147483647;
+
+class CampaignScheduler {
+    constructor() {
+        this.timers = new Map();
+    }
+
+    // Persist a campaign's fire time and arm a local timer for it
+    async schedule(campaignId, scheduleTime) {
+        const fireAt = new Date(scheduleTime).getTime();
+        if (isNaN(fireAt)) {
+            throw new Error(`Invalid schedule time: ${scheduleTime}`);
+        }
+
+        await redisService.client.zAdd(SCHEDULE_KEY, { score: fireAt, value: campaignId });
+        this.arm(campaignId, fireAt);
+
+        logger.info(`📅 Campaign ${campaignId} scheduled for ${new Date(fireAt).toISOString()}`);
+        return fireAt;
+    }
+
+    // Move an already scheduled campaign to a new fire time
+    async reschedule(campaignId, scheduleTime) {
+        const score = await redisService.client.zScore(SCHEDULE_KEY, campaignId);
+        if (score === null) {
+            return null;
+        }
+
+        return this.schedule(campaignId, scheduleTime);
+    }
+
+    // Drop a campaign from the schedule; returns false if it was not scheduled
+    async cancel(campaignId) {
+        this.disarm(campaignId);
+        const removed = await redisService.client.zRem(SCHEDULE_KEY, campaignId);
+
+        if (removed > 0) {
+            logger.info(`📅 Scheduled campaign ${campaignId} cancelled`);
+        }
+        return removed > 0;
+    }
+
+    // List scheduled campaigns ordered by fire time
+    async list() {
+        const entries = await redisService.client.zRangeWithScores(SCHEDULE_KEY, 0, -1);
+
+        return entries.map(({ value, score }) => ({
+            campaignId: value,
+            scheduleTime: new Date(score).toISOString(),
+            armed: this.timers.has(value)
+        }));
+    }
+
+    // Re-arm every persisted schedule (called on boot once Redis is up)
+    async restore() {
+        const entries = await redisService.client.zRangeWithScores(SCHEDULE_KEY, 0, -1);
+        const now = Date.now();
+
+        for (const { value: campaignId, score: fireAt } of entries) {
+            if (fireAt <= now) {
+                logger.warn(`📅 Scheduled campaign ${campaignId} was due at ${new Date(fireAt).toISOString()} while the server was down - starting now`);
+            }
+            this.arm(campaignId, fireAt);
+        }
+
+        logger.info(`📅 Restored ${entries.length} scheduled campaign(s)`);
+        return entries.length;
+    }
+
+    arm(campaignId, fireAt) {
+        this.disarm(campaignId);
+
+        const delay = Math.max(0, fireAt - Date.now());
+        const timer = setTimeout(() => {
+            if (delay > MAX_TIMER_DELAY) {
+                this.arm(campaignId, fireAt);
+            } else {
+                this.fire(campaignId);
+            }
+        }, Math.min(delay, MAX_TIMER_DELAY));
+
+        this.timers.set(campaignId, timer);
+    }
+
+    disarm(campaignId) {
+        const timer = this.timers.get(campaignId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(campaignId);
+        }
+    }
+
+    async fire(campaignId) {
+        this.timers.delete(campaignId);
+
+        try {
+            // Only the instance that removes the entry gets to start the campaign
+            const claimed = await redisService.client.zRem(SCHEDULE_KEY, campaignId);
+            if (claimed === 0) {
+                logger.info(`📅 Scheduled campaign ${campaignId} already started or cancelled`);
+                return;
+            }
+
+            logger.info(`⏰ Firing scheduled campaign ${campaignId}`);
+            const campaignController = require('../controllers/campaignController');
+            await campaignController.runScheduledCampaign(campaignId);
+        } catch (error) {
+            logger.error(`Error firing scheduled campaign ${campaignId}:`, error);
+        }
+    }
+
+    // Clear local timers (entries stay in Redis for the next boot)
+    shutdown() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+// Create singleton instance
+const campaignScheduler = new CampaignScheduler();
+
+module.exports = campaignScheduler;
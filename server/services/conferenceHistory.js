@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const { getLocalTime } = require('../utils/callingWindow');
+const logger = require('../utils/logger');
+
+// Sorted-set indexes of conference IDs scored by transfer start time (ms)
+const INDEX_KEY = 'conference_history_index';
+const OUTCOME_INDEX = 'conference_history:by_outcome:';
+const DESTINATION_INDEX = 'conference_history:by_destination:';
+const LEAD_TYPE_INDEX = 'conference_history:by_lead_type:';
+const LEAD_INDEX = 'conference_history:by_lead:';
+
+// Intersections of several indexes, built per search
+const SEARCH_KEY = 'conference_history:search:';
+const SEARCH_TTL = 60;
+
+const MAX_PAGE_SIZE = 200;
+
+// Metrics read every matching record, so they cover at most this many days
+const METRICS_DEFAULT_DAYS = 7;
+const METRICS_MAX_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles whose hang-up ends the conversation (the hold assistant leaving is expected)
+const HANGUP_ROLES = ['customer', 'agent', 'supervisor'];
+
+const seconds = (from, to) => (from && to
+    ? Math.max(0, Math.round((new Date(to).getTime() - new Date(from).getTime()) / 1000))
+    : null);
+
+const median = (values) => {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+const rate = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : null);
+
+// Durable record of each transfer conference, kept after its 30-minute live state expires
+class ConferenceHistory {
+    // 0 (the default) keeps records until they are deleted
+    get retentionDays() {
+        return parseInt(process.env.CONFERENCE_HISTORY_RETENTION_DAYS) || 0;
+    }
+
+    // Destinations dialed, in order, from the escalation steps
+    destinationsTried(conferenceData) {
+        const dialed = (conferenceData.escalation?.history || [])
+            .filter(entry => ['dialing', 'next_destination'].includes(entry.step))
+            .map(entry => ({ id: entry.destinationId, name: entry.destinationName }));
+
+        if (dialed.length === 0 && conferenceData.destination) {
+            dialed.push({ id: conferenceData.destination.id, name: conferenceData.destination.name });
+        }
+        return dialed;
+    }
+
+    // Role that left first, or how the conference was ended if that came first
+    firstHangup(conferenceData, participants) {
+        const hangups = participants
+            .filter(participant => participant.leftAt && HANGUP_ROLES.includes(participant.role))
+            .map(participant => ({ by: participant.role, at: participant.leftAt }));
+
+        if (conferenceData.endRequestedAt) {
+            hangups.push({ by: conferenceData.endedBy || 'system', at: conferenceData.endRequestedAt });
+        }
+
+        hangups.sort((a, b) => new Date(a.at) - new Date(b.at));
+        return hangups[0]?.by || null;
+    }
+
+    // Shape the live conference state into the stored record
+    toRecord(conferenceData) {
+        const participants = Object.values(conferenceData.participantDetails || {})
+            .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+        const customer = participants.find(participant => participant.role === 'customer');
+        const endedAt = conferenceData.endedAt || conferenceData.endRequestedAt || null;
+
+        // The customer waits from joining until an agent picks up, or until they or the conference are gone
+        const holdStart = conferenceData.customerJoinedAt || customer?.joinedAt || conferenceData.createdAt;
+        const holdEnd = conferenceData.agentJoinedAt || customer?.leftAt || endedAt;
+
+        const fallbacks = [
+            conferenceData.transferMethod === 'sip_fallback' && 'sip',
+            (conferenceData.escalation?.destinationIndex || 0) > 0 && 'next_destination',
+            conferenceData.callbackId && 'callback'
+        ].filter(Boolean);
+
+        let outcome = 'no_agent';
+        if (conferenceData.agentJoinedAt) outcome = 'agent_connected';
+        else if (conferenceData.callbackId) outcome = 'callback_booked';
+        else if (customer?.leftAt) outcome = 'abandoned';
+
+        return {
+            conferenceId: conferenceData.conferenceId,
+            originalCallId: conferenceData.originalCallId || null,
+            holdAssistantCallId: conferenceData.holdAssistantCallId || null,
+            leadId: conferenceData.leadId || null,
+            leadType: conferenceData.assistantType || null,
+            organizationId: conferenceData.qualificationData?.organizationId || null,
+            customerName: conferenceData.customerName || null,
+            customerPhone: conferenceData.customerPhone || null,
+            transferMethod: conferenceData.transferMethod || null,
+            routeRule: conferenceData.transferRoute?.ruleName || null,
+            destination: conferenceData.destination
+                ? { id: conferenceData.destination.id, name: conferenceData.destination.name }
+                : null,
+            destinationsTried: this.destinationsTried(conferenceData),
+            outcome,
+            transferSucceeded: !!conferenceData.agentJoinedAt,
+            fallbacks,
+            callbackId: conferenceData.callbackId || null,
+            createdAt: conferenceData.createdAt,
+            customerJoinedAt: conferenceData.customerJoinedAt || customer?.joinedAt || null,
+            agentJoinedAt: conferenceData.agentJoinedAt || null,
+            endedAt,
+            timeToAgent: seconds(conferenceData.createdAt, conferenceData.agentJoinedAt),
+            holdDuration: seconds(holdStart, holdEnd),
+            duration: seconds(conferenceData.createdAt, endedAt),
+            firstHangup: this.firstHangup(conferenceData, participants),
+            endedBy: conferenceData.endedBy || null,
+            endedByUser: conferenceData.endedByUser || null,
+            participants,
+            escalation: conferenceData.escalation?.history || [],
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    // Indexes a record belongs to besides the main one. Destinations are indexed
+    // by both id and name, lead types case-insensitively, as search matches them.
+    indexKeys(record) {
+        const destinations = (record.destinationsTried || [])
+            .flatMap(tried => [tried.id, tried.name])
+            .filter(Boolean)
+            .map(value => `${DESTINATION_INDEX}${String(value).toLowerCase()}`);
+
+        return [...new Set([
+            record.outcome && `${OUTCOME_INDEX}${record.outcome}`,
+            record.leadType && `${LEAD_TYPE_INDEX}${String(record.leadType).toLowerCase()}`,
+            record.leadId && `${LEAD_INDEX}${record.leadId}`,
+            ...destinations
+        ].filter(Boolean))];
+    }
+
+    // Write (or overwrite) a conference's history record
+    async record(conferenceData) {
+        if (!conferenceData?.conferenceId || !redisService.isConnected) return;
+
+        const { conferenceId } = conferenceData;
+
+        try {
+            const record = this.toRecord(conferenceData);
+            const score = new Date(record.createdAt).getTime() || Date.now();
+            const key = `conference_history:${conferenceId}`;
+            const ttl = this.retentionDays * 24 * 60 * 60;
+            const secondaryIndexes = this.indexKeys(record);
+
+            // A conference is recorded again as it changes; drop it from indexes it no longer matches
+            const previous = await this.get(conferenceId);
+            const staleIndexes = previous
+                ? this.indexKeys(previous).filter(indexKey => !secondaryIndexes.includes(indexKey))
+                : [];
+
+            if (ttl > 0) {
+                await redisService.client.setEx(key, ttl, JSON.stringify(record));
+            } else {
+                await redisService.client.set(key, JSON.stringify(record));
+            }
+            await redisService.client.zAdd(INDEX_KEY, { score, value: conferenceId });
+
+            for (const indexKey of staleIndexes) {
+                await redisService.client.zRem(indexKey, conferenceId);
+            }
+
+            for (const indexKey of secondaryIndexes) {
+                await redisService.client.zAdd(indexKey, { score, value: conferenceId });
+                if (ttl > 0) await redisService.client.expire(indexKey, ttl);
+            }
+
+            await this.prune(secondaryIndexes);
+        } catch (error) {
+            logger.error(`Error recording conference history for ${conferenceId}:`, error);
+        }
+    }
+
+    // Drop index entries older than the retention window (records expire on their own)
+    async prune(keys = []) {
+        if (this.retentionDays <= 0) return;
+
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        for (const key of [INDEX_KEY, ...keys]) {
+            await redisService.client.zRemRangeByScore(key, 0, cutoff);
+        }
+    }
+
+    async get(conferenceId) {
+        const data = await redisService.client.get(`conference_history:${conferenceId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Index holding exactly the conferences that match the field filters. Several
+    // filters are intersected into a short-lived key; scores stay the start time.
+    async matchingIndex(filters) {
+        const keys = this.indexKeys({
+            outcome: filters.outcome,
+            leadType: filters.leadType,
+            leadId: filters.leadId,
+            destinationsTried: filters.destination ? [{ id: filters.destination }] : []
+        });
+
+        if (keys.length === 0) return { key: INDEX_KEY, temporary: false };
+        if (keys.length === 1) return { key: keys[0], temporary: false };
+
+        const key = `${SEARCH_KEY}${crypto.randomUUID()}`;
+        await redisService.client.zInterStore(key, keys, { AGGREGATE: 'MIN' });
+        await redisService.client.expire(key, SEARCH_TTL);
+        return { key, temporary: true };
+    }
+
+    // Records for the given IDs, in the same order
+    async loadRecords(conferenceIds) {
+        const records = [];
+        for (let i = 0; i < conferenceIds.length; i += 100) {
+            const keys = conferenceIds.slice(i, i + 100).map(id => `conference_history:${id}`);
+            const values = await redisService.client.mGet(keys);
+            values.filter(Boolean).forEach(value => records.push(JSON.parse(value)));
+        }
+        return records;
+    }
+
+    // Search history. Filters: from, to, outcome, destination, leadType, leadId.
+    // Newest first, with page (1-based) and limit. Returns { error } for invalid dates.
+    async search(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 50, MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const from = filters.from ? new Date(filters.from).getTime() : '-inf';
+        const to = filters.to ? new Date(filters.to).getTime() : '+inf';
+
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return { error: 'from and to must be valid dates' };
+        }
+        if (typeof from === 'number' && typeof to === 'number' && from > to) {
+            return { error: 'from must be before to' };
+        }
+
+        // Only the requested page is read from Redis
+        const index = await this.matchingIndex(filters);
+        try {
+            const total = await redisService.client.zCount(index.key, from, to);
+            const conferenceIds = await redisService.client.zRange(index.key, to, from, {
+                BY: 'SCORE',
+                REV: true,
+                LIMIT: { offset: (page - 1) * limit, count: limit }
+            });
+
+            return {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit),
+                conferences: await this.loadRecords(conferenceIds)
+            };
+        } finally {
+            if (index.temporary) await redisService.client.del(index.key);
+        }
+    }
+
+    // Date range for metrics: the last METRICS_DEFAULT_DAYS unless given, and at
+    // most METRICS_MAX_DAYS long. Returns { error } for invalid ranges.
+    metricsRange(filters) {
+        const to = filters.to ? new Date(filters.to) : new Date();
+        const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - METRICS_DEFAULT_DAYS * DAY_MS);
+
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+            return { error: 'from and to must be valid dates' };
+        }
+        if (from > to) {
+            return { error: 'from must be before to' };
+        }
+        if (to - from > METRICS_MAX_DAYS * DAY_MS) {
+            return { error: `Metrics cover at most ${METRICS_MAX_DAYS} days; narrow from and to` };
+        }
+        return { from, to };
+    }
+
+    // Answer rate and waits overall, per destination dialed and per local hour
+    // of the transfer, for the same field filters as search within a bounded
+    // date range (see metricsRange). Returns { error } for invalid ranges.
+    async metrics(filters = {}, timeZone) {
+        const range = this.metricsRange(filters);
+        if (range.error) return range;
+
+        const index = await this.matchingIndex(filters);
+        let records;
+        try {
+            const conferenceIds = await redisService.client.zRange(
+                index.key, range.to.getTime(), range.from.getTime(), { BY: 'SCORE', REV: true }
+            );
+            records = await this.loadRecords(conferenceIds);
+        } finally {
+            if (index.temporary) await redisService.client.del(index.key);
+        }
+
+        const answered = records.filter(record => record.transferSucceeded);
+
+        const count = (key) => records.reduce((counts, record) => {
+            [].concat(record[key] ?? 'unknown').forEach(value => {
+                counts[value] = (counts[value] || 0) + 1;
+            });
+            return counts;
+        }, {});
+
+        // Every destination dialed was offered the call; only the last one can have answered it
+        const destinations = new Map();
+        records.forEach(record => {
+            record.destinationsTried.forEach((tried, index) => {
+                const id = tried.id || tried.name || 'unknown';
+                if (!destinations.has(id)) {
+                    destinations.set(id, { id, name: tried.name || id, offered: 0, answered: 0, waits: [] });
+                }
+
+                const stats = destinations.get(id);
+                stats.offered++;
+                if (record.transferSucceeded && index === record.destinationsTried.length - 1) {
+                    stats.answered++;
+                    stats.waits.push(record.timeToAgent);
+                }
+            });
+        });
+
+        const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, conferences: 0, answered: 0, waits: [] }));
+        records.forEach(record => {
+            const stats = hours[Math.floor(getLocalTime(timeZone, new Date(record.createdAt)).minutes / 60)];
+            stats.conferences++;
+            if (record.transferSucceeded) {
+                stats.answered++;
+                stats.waits.push(record.timeToAgent);
+            }
+        });
+
+        return {
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            timeZone,
+            conferences: records.length,
+            answered: answered.length,
+            answerRate: rate(answered.length, records.length),
+            medianWaitSeconds: median(answered.map(record => record.timeToAgent)),
+            medianHoldSeconds: median(records.map(record => record.holdDuration).filter(value => value !== null)),
+            outcomes: count('outcome'),
+            fallbacks: count('fallbacks'),
+            firstHangup: count('firstHangup'),
+            byDestination: [...destinations.values()].map(({ waits, ...stats }) => ({
+                ...stats,
+                answerRate: rate(stats.answered, stats.offered),
+                medianWaitSeconds: median(waits)
+            })),
+            byHour: hours.map(({ waits, ...stats }) => ({
+                ...stats,
+                answerRate: rate(stats.answered, stats.conferences),
+                medianWaitSeconds: median(waits)
+            }))
+        };
+    }
+}
+
+// Create singleton instance
+const conferenceHistory = new ConferenceHistory();
+
+module.exports = conferenceHistory;
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const { parse } = require('csv-parse');
 const logger = require('../utils/logger');
+const callingWindow = require('../utils/callingWindow');
 
 class CSVProcessor {
     constructor() {
@@ -123,6 +124,14 @@ class CSVProcessor {
             processed.case_type = this.cleanString(row.case_type);
             processed.organizationid = this.cleanString(row.organizationid);
 
+            // Work out the contact's local time zone for calling-window checks
+            const location = callingWindow.resolveContactLocation(processed);
+            processed.time_zones = location.timeZones;
+            processed.time_zone_source = location.source;
+            if (location.source === 'unknown') {
+                processed.validation_errors.push('Time zone unknown - will only be called when it is calling hours in every US time zone');
+            }
+
             return processed;
         });
     }
@@ -234,22 +243,28 @@ class CSVProcessor {
             'validation_errors'
         ];
 
-        const csvContent = [
+        await fs.writeFile(outputPath, this.toCSV(data, headers), 'utf-8');
+        logger.info(`Exported processed CSV to ${outputPath}`);
+    }
+
+    // Build CSV text for the given columns
+    toCSV(data, headers) {
+        return [
             headers.join(','),
             ...data.map(row => 
                 headers.map(header => {
-                    const value = row[header];
-                    // Escape values containing commas or quotes
-                    if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
+                    let value = row[header];
+                    if (Array.isArray(value)) {
+                        value = value.join('; ');
+                    }
+                    // Escape values containing commas, quotes or line breaks
+                    if (typeof value === 'string' && /[",\r\n]/.test(value)) {
                         return `"${value.replace(/"/g, '""')}"`;
                     }
                     return value || '';
                 }).join(',')
             )
         ].join('\n');
-
-        await fs.writeFile(outputPath, csvContent, 'utf-8');
-        logger.info(`Exported processed CSV to ${outputPath}`);
     }
 }
 
@@ -0,0 +1,113 @@
+const redisService = require('./redisService');
+const callMonitor = require('./callMonitor');
+const dispositions = require('../utils/dispositions');
+const { broadcastToClients } = require('../websocket');
+const logger = require('../utils/logger');
+
+// Dispositions are kept for 30 days, in line with reporting needs
+const DISPOSITION_TTL = 60 * 60 * 24 * 30;
+
+class DispositionService {
+    async get(callId) {
+        const data = await redisService.client.get(`call_disposition:${callId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Set a call's disposition and roll it into its campaign's stats. `callFields`
+    // are extra details written onto the campaign call result (e.g. transfer outcome).
+    // Returns the stored record, or null when a higher-priority source already set one.
+    async setDisposition(callId, disposition, { source = 'manual', notes = '', setBy = null, callFields = {} } = {}) {
+        const normalized = dispositions.normalizeDisposition(disposition);
+        if (!normalized) {
+            throw new Error(`Unknown disposition: ${disposition}`);
+        }
+
+        const existing = await this.get(callId);
+        if (!dispositions.canOverwrite(existing, source)) {
+            logger.info(`Keeping ${existing.source} disposition "${existing.disposition}" for call ${callId} over ${source} "${normalized}"`);
+            return null;
+        }
+
+        const campaignId = existing?.campaignId || await redisService.findCampaignIdForCall(callId);
+        const record = {
+            callId,
+            campaignId,
+            disposition: normalized,
+            source,
+            notes,
+            setBy,
+            setAt: new Date().toISOString()
+        };
+
+        await redisService.client.setEx(`call_disposition:${callId}`, DISPOSITION_TTL, JSON.stringify(record));
+
+        if (campaignId) {
+            await this.updateCampaign(campaignId, callId, record, existing?.disposition, callFields);
+        }
+
+        if (callMonitor.getCall(callId)) {
+            callMonitor.updateCall(callId, { disposition: record });
+        }
+
+        broadcastToClients({
+            type: 'call_disposition',
+            callId,
+            campaignId,
+            disposition: record
+        });
+
+        logger.info(`🏷️  Call ${callId} disposition: ${normalized} (${source})`);
+        return record;
+    }
+
+    // Write the disposition onto the campaign call result and adjust the totals
+    async updateCampaign(campaignId, callId, record, previousDisposition, callFields = {}) {
+        const calls = await redisService.getCampaignCalls(campaignId);
+        if (calls[callId]) {
+            await redisService.addCallToCampaign(campaignId, callId, {
+                ...calls[callId],
+                ...callFields,
+                disposition: record.disposition,
+                dispositionSource: record.source
+            });
+        }
+
+        const campaign = await redisService.getCampaign(campaignId);
+        if (!campaign) return;
+
+        const counts = { ...(campaign.stats.dispositions || {}) };
+        if (previousDisposition && counts[previousDisposition]) {
+            counts[previousDisposition]--;
+        }
+        counts[record.disposition] = (counts[record.disposition] || 0) + 1;
+
+        const updatedCampaign = await redisService.updateCampaign(campaignId, {
+            stats: { ...campaign.stats, dispositions: counts }
+        });
+
+        broadcastToClients({
+            type: 'campaign_update',
+            campaignId,
+            campaign: updatedCampaign
+        });
+    }
+
+    // Derive a disposition from a Vapi end-of-call-report, if it tells us anything
+    async setFromEndOfCallReport(message) {
+        const callId = message.call?.id;
+        if (!callId) return null;
+
+        const disposition = dispositions.fromEndOfCallReport(message);
+        if (!disposition) return null;
+
+        return this.setDisposition(callId, disposition, {
+            source: 'end-of-call-report',
+            notes: message.analysis?.summary || ''
+        });
+    }
+}
+
+// Create singleton instance
+const dispositionService = new DispositionService();
+
+module.exports = dispositionService;
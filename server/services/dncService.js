@@ -0,0 +1,113 @@
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+const { formatToE164 } = require('../utils/validators');
+
+// Hash of E.164 number -> JSON entry ({ source, reason, addedAt, ... })
+const DNC_KEY = 'dnc_numbers';
+
+class DNCService {
+    normalize(phoneNumber) {
+        if (!phoneNumber) return null;
+        return formatToE164(phoneNumber);
+    }
+
+    async isBlocked(phoneNumber) {
+        const number = this.normalize(phoneNumber);
+        if (!number) return false;
+
+        return Boolean(await redisService.client.hExists(DNC_KEY, number));
+    }
+
+    async get(phoneNumber) {
+        const number = this.normalize(phoneNumber);
+        if (!number) return null;
+
+        const entry = await redisService.client.hGet(DNC_KEY, number);
+        return entry ? { phoneNumber: number, ...JSON.parse(entry) } : null;
+    }
+
+    // Add a number; returns the stored entry or null if the number is invalid
+    async add(phoneNumber, { source = 'manual', reason = '', ...details } = {}) {
+        const number = this.normalize(phoneNumber);
+        if (!number) return null;
+
+        const entry = {
+            source,
+            reason,
+            ...details,
+            addedAt: new Date().toISOString()
+        };
+
+        await redisService.client.hSet(DNC_KEY, number, JSON.stringify(entry));
+        logger.info(`🚫 Added ${number} to do-not-call list (${source}${reason ? `: ${reason}` : ''})`);
+
+        return { phoneNumber: number, ...entry };
+    }
+
+    async remove(phoneNumber) {
+        const number = this.normalize(phoneNumber);
+        if (!number) return false;
+
+        const removed = await redisService.client.hDel(DNC_KEY, number);
+        if (removed > 0) {
+            logger.info(`Removed ${number} from do-not-call list`);
+        }
+        return removed > 0;
+    }
+
+    // Bulk add from an import; existing entries keep their original details
+    async importNumbers(phoneNumbers, source = 'import') {
+        const result = { added: 0, existing: 0, invalid: [] };
+        const addedAt = new Date().toISOString();
+
+        for (const phoneNumber of phoneNumbers) {
+            const number = this.normalize(phoneNumber);
+            if (!number) {
+                result.invalid.push(phoneNumber);
+                continue;
+            }
+
+            const added = await redisService.client.hSetNX(DNC_KEY, number, JSON.stringify({ source, reason: '', addedAt }));
+            if (added) {
+                result.added++;
+            } else {
+                result.existing++;
+            }
+        }
+
+        logger.info(`🚫 Do-not-call import: ${result.added} added, ${result.existing} already listed, ${result.invalid.length} invalid`);
+        return result;
+    }
+
+    async list() {
+        const entries = await redisService.client.hGetAll(DNC_KEY);
+
+        return Object.entries(entries)
+            .map(([phoneNumber, entry]) => ({ phoneNumber, ...JSON.parse(entry) }))
+            .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+    }
+
+    async count() {
+        return redisService.client.hLen(DNC_KEY);
+    }
+
+    // Add the caller when they ask not to be called again during a call.
+    // The request is detected by the alert rules (see alertService).
+    async addFromRefusal(callId, phoneNumber, text, phrase) {
+        if (!phoneNumber) return null;
+
+        if (await this.isBlocked(phoneNumber)) return null;
+
+        return this.add(phoneNumber, {
+            source: 'refusal',
+            reason: `Customer said "${phrase}"`,
+            callId,
+            transcript: text
+        });
+    }
+}
+
+// Create singleton instance
+const dncService = new DNCService();
+
+module.exports = dncService;
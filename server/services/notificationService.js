@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const redisService = require('./redisService');
+const twilioService = require('./twilioService');
+const notificationsConfig = require('../config/notifications.config');
+const logger = require('../utils/logger');
+
+const CHANNEL_TYPES = ['webhook', 'email', 'sms'];
+const EVENTS = ['call_alert', 'campaign_completed', 'campaign_stopped', 'campaign_paused'];
+
+// Sends call alerts and campaign events to the channels in NOTIFICATION_CHANNELS
+class NotificationService {
+    constructor() {
+        this.channels = this.loadChannels(notificationsConfig.channels);
+        this.transporter = null;
+        this.localCounts = new Map(); // rate-limit counts when Redis is down
+    }
+
+    // Keep only channels we can actually deliver to
+    loadChannels(channels) {
+        return channels.filter(channel => {
+            const problem = this.validateChannel(channel);
+            if (problem) {
+                logger.warn(`⚠️  Ignoring notification channel ${channel?.id || '(no id)'}: ${problem}`);
+                return false;
+            }
+            return channel.enabled !== false;
+        }).map(channel => ({
+            ...channel,
+            to: channel.to ? [].concat(channel.to) : [],
+            events: channel.events || ['call_alert'],
+            rateLimit: { ...notificationsConfig.defaultRateLimit, ...channel.rateLimit }
+        }));
+    }
+
+    validateChannel(channel) {
+        if (!channel?.id) return 'missing id';
+        if (!CHANNEL_TYPES.includes(channel.type)) return `type must be one of ${CHANNEL_TYPES.join(', ')}`;
+        if (channel.type === 'webhook' && !channel.url) return 'webhook channels need a url';
+        if (channel.type !== 'webhook' && !channel.to) return `${channel.type} channels need "to"`;
+        if (channel.events && channel.events.some(event => !EVENTS.includes(event))) {
+            return `events may only contain ${EVENTS.join(', ')}`;
+        }
+        if (channel.rateLimit !== undefined) {
+            if (!channel.rateLimit || typeof channel.rateLimit !== 'object') {
+                return 'rateLimit must be an object with max and perSeconds';
+            }
+            const invalid = ['max', 'perSeconds'].find(field => channel.rateLimit[field] !== undefined &&
+                (!Number.isInteger(channel.rateLimit[field]) || channel.rateLimit[field] < 1));
+            if (invalid) return `rateLimit.${invalid} must be a positive integer`;
+        }
+        return null;
+    }
+
+    getChannel(channelId) {
+        return this.channels.find(channel => channel.id === channelId) || null;
+    }
+
+    // Channel settings without secrets, for the API
+    describeChannels() {
+        return this.channels.map(({ secret, ...channel }) => ({
+            ...channel,
+            signed: Boolean(secret)
+        }));
+    }
+
+    // Does this channel want this notification?
+    routes(channel, notification) {
+        if (!channel.events.includes(notification.event)) return false;
+        if (notification.event !== 'call_alert') return true;
+
+        return (!channel.rules || channel.rules.includes(notification.ruleId)) &&
+            (!channel.severities || channel.severities.includes(notification.severity));
+    }
+
+    // Fixed-window limit per channel and alert rule (or campaign event)
+    async withinRateLimit(channel, notification) {
+        const { max, perSeconds } = channel.rateLimit;
+        const window = Math.floor(Date.now() / (perSeconds * 1000));
+        const key = `notification_rate:${channel.id}:${notification.ruleId || notification.event}:${window}`;
+
+        let count;
+        if (redisService.isConnected) {
+            count = await redisService.client.incr(key);
+            if (count === 1) {
+                await redisService.client.expire(key, perSeconds);
+            }
+        } else {
+            count = (this.localCounts.get(key) || 0) + 1;
+            this.localCounts.set(key, count);
+            setTimeout(() => this.localCounts.delete(key), perSeconds * 1000).unref();
+        }
+
+        return count <= max;
+    }
+
+    // Send a notification to every channel routed to it. Never throws.
+    async dispatch(notification) {
+        const results = [];
+
+        for (const channel of this.channels) {
+            if (!this.routes(channel, notification)) continue;
+
+            try {
+                if (!await this.withinRateLimit(channel, notification)) {
+                    logger.warn(`🔕 Notification to ${channel.id} rate limited (${notification.ruleId || notification.event})`);
+                    results.push({ channel: channel.id, status: 'rate-limited' });
+                    continue;
+                }
+
+                await this.send(channel, notification);
+                results.push({ channel: channel.id, status: 'sent' });
+            } catch (error) {
+                logger.error(`Error sending notification to ${channel.id}:`, error.message);
+                results.push({ channel: channel.id, status: 'failed', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    async send(channel, notification) {
+        switch (channel.type) {
+            case 'webhook':
+                return this.sendWebhook(channel, notification);
+            case 'email':
+                return this.sendEmail(channel, notification);
+            case 'sms':
+                return this.sendSms(channel, notification);
+        }
+    }
+
+    // POST the notification as JSON. With a secret, X-Signature is
+    // "sha256=" + HMAC-SHA256 of "<X-Signature-Timestamp>.<body>".
+    async sendWebhook(channel, notification) {
+        const body = JSON.stringify(notification);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Notification-Event': notification.event,
+            'X-Signature-Timestamp': timestamp
+        };
+
+        if (channel.secret) {
+            const signature = crypto.createHmac('sha256', channel.secret)
+                .update(`${timestamp}.${body}`)
+                .digest('hex');
+            headers['X-Signature'] = `sha256=${signature}`;
+        }
+
+        await axios.post(channel.url, body, {
+            headers,
+            timeout: notificationsConfig.webhookTimeoutMs
+        });
+    }
+
+    getTransporter() {
+        if (!this.transporter) {
+            const { host, port, secure, user, pass } = notificationsConfig.smtp;
+            if (!host) {
+                throw new Error('SMTP_HOST is not configured');
+            }
+
+            this.transporter = nodemailer.createTransport({
+                host,
+                port,
+                secure,
+                auth: user ? { user, pass } : undefined
+            });
+        }
+        return this.transporter;
+    }
+
+    async sendEmail(channel, notification) {
+        await this.getTransporter().sendMail({
+            from: notificationsConfig.smtp.from,
+            to: channel.to.join(', '),
+            subject: notification.title,
+            text: notification.message
+        });
+    }
+
+    async sendSms(channel, notification) {
+        const body = `${notification.title}\n${notification.message}`.slice(0, 1600);
+
+        for (const to of channel.to) {
+            await twilioService.client.messages.create({
+                from: twilioService.phoneNumber,
+                to,
+                body
+            });
+        }
+    }
+
+    // Build the notification for an alert raised by alertService
+    fromAlert(alert) {
+        return {
+            event: 'call_alert',
+            ruleId: alert.ruleId,
+            severity: alert.severity,
+            title: `[${alert.severity.toUpperCase()}] ${alert.ruleName} on call ${alert.callId}`,
+            message: [
+                `${alert.speaker === 'assistant' ? 'Assistant' : 'Customer'} said: "${alert.text}"`,
+                alert.phoneNumber && `Phone: ${alert.phoneNumber}`,
+                alert.campaignId && `Campaign: ${alert.campaignId}`,
+                `Time: ${alert.timestamp}`
+            ].filter(Boolean).join('\n'),
+            alert
+        };
+    }
+
+    // Build the notification for a campaign_completed/stopped/paused event
+    fromCampaignEvent(event, campaign) {
+        const stats = campaign?.stats || {};
+        const state = event.replace('campaign_', '');
+
+        return {
+            event,
+            title: `Campaign ${campaign?.name || campaign?.id} ${state}`,
+            message: [
+                `Campaign: ${campaign?.name || ''} (${campaign?.id})`,
+                `Calls: ${stats.total ?? 0} total, ${stats.completed ?? 0} completed, ${stats.failed ?? 0} failed`,
+                stats.dispositions && `Dispositions: ${Object.entries(stats.dispositions).map(([name, count]) => `${name} ${count}`).join(', ')}`
+            ].filter(Boolean).join('\n'),
+            campaign: {
+                id: campaign?.id,
+                name: campaign?.name,
+                status: campaign?.status,
+                stats
+            }
+        };
+    }
+
+    notifyAlert(alert) {
+        return this.dispatch(this.fromAlert(alert));
+    }
+
+    notifyCampaign(event, campaign) {
+        return this.dispatch(this.fromCampaignEvent(event, campaign));
+    }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const WAV_HEADER_SIZE = 44;
+
+// Vapi's listen stream is 16-bit PCM; the "start" message gives the real rate/channels
+const DEFAULT_FORMAT = { sampleRate: 16000, channels: 1 };
+
+// Writes the monitor listen stream to one WAV file per call, with a JSON
+// metadata file beside it. Disabled unless RECORDING_ENABLED=true.
+class RecordingService {
+    constructor() {
+        this.recorders = new Map(); // callId -> { stream, dataBytes, format, metadata, closing }
+    }
+
+    get enabled() {
+        return process.env.RECORDING_ENABLED === 'true';
+    }
+
+    get directory() {
+        return path.resolve(process.env.RECORDINGS_DIR || 'data/recordings');
+    }
+
+    get retentionDays() {
+        return parseInt(process.env.RECORDING_RETENTION_DAYS) || 30;
+    }
+
+    // Call IDs end up in file names, so only allow safe characters
+    fileBase(callId) {
+        if (!/^[A-Za-z0-9_-]+$/.test(String(callId))) return null;
+        return path.join(this.directory, String(callId));
+    }
+
+    audioPath(callId) {
+        const base = this.fileBase(callId);
+        return base && `${base}.wav`;
+    }
+
+    metadataPath(callId) {
+        const base = this.fileBase(callId);
+        return base && `${base}.json`;
+    }
+
+    // 44-byte PCM WAV header for `dataBytes` of audio
+    buildHeader({ sampleRate, channels }, dataBytes) {
+        const header = Buffer.alloc(WAV_HEADER_SIZE);
+        const blockAlign = channels * 2;
+
+        header.write('RIFF', 0);
+        header.writeUInt32LE(36 + dataBytes, 4);
+        header.write('WAVE', 8);
+        header.write('fmt ', 12);
+        header.writeUInt32LE(16, 16);           // fmt chunk size
+        header.writeUInt16LE(1, 20);            // PCM
+        header.writeUInt16LE(channels, 22);
+        header.writeUInt32LE(sampleRate, 24);
+        header.writeUInt32LE(sampleRate * blockAlign, 28);
+        header.writeUInt16LE(blockAlign, 32);
+        header.writeUInt16LE(16, 34);           // bits per sample
+        header.write('data', 36);
+        header.writeUInt32LE(dataBytes, 40);
+
+        return header;
+    }
+
+    // Open (or reopen after a stream reconnect) the call's recording
+    open(callId, call = {}) {
+        if (this.recorders.has(callId)) return this.recorders.get(callId);
+
+        const audioPath = this.audioPath(callId);
+        if (!audioPath) {
+            logger.warn(`Not recording call ${callId}: unsafe call ID for a file name`);
+            return null;
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const existing = this.readMetadata(callId);
+        const resuming = existing && fs.existsSync(audioPath);
+        const metadata = resuming ? existing : {
+            callId,
+            campaignId: call.customer?.metadata?.campaignId || null,
+            phoneNumber: call.customer?.number || null,
+            leadId: call.customer?.metadata?.leadId || null,
+            assistantType: call.customer?.metadata?.assistantType || null,
+            startedAt: new Date().toISOString()
+        };
+
+        const format = resuming ? { sampleRate: metadata.sampleRate, channels: metadata.channels } : { ...DEFAULT_FORMAT };
+        const dataBytes = resuming ? Math.max(fs.statSync(audioPath).size - WAV_HEADER_SIZE, 0) : 0;
+
+        // Audio is appended through a stream; the header is rewritten once in finish()
+        const stream = fs.createWriteStream(audioPath, resuming
+            ? { flags: 'r+', start: WAV_HEADER_SIZE + dataBytes }
+            : { flags: 'w' });
+        stream.on('error', error => logger.error(`Error writing recording for call ${callId}:`, error));
+
+        if (!resuming) {
+            stream.write(this.buildHeader(format, 0));
+        }
+
+        const recorder = { stream, dataBytes, format, formatKnown: resuming, metadata, closing: false };
+        this.recorders.set(callId, recorder);
+
+        logger.info(`🎙️  ${resuming ? 'Resuming' : 'Started'} recording for call ${callId}`);
+        return recorder;
+    }
+
+    // Format from the listen stream's "start" message, which comes before any audio
+    setFormat(callId, { sampleRate, channels }, call) {
+        if (!this.enabled || !sampleRate) return;
+
+        try {
+            const recorder = this.open(callId, call);
+            if (!recorder || recorder.formatKnown) return;
+
+            recorder.format = { sampleRate, channels: channels || 1 };
+            recorder.formatKnown = true;
+        } catch (error) {
+            logger.error(`Error starting recording for call ${callId}:`, error);
+        }
+    }
+
+    append(callId, chunk, call) {
+        if (!this.enabled) return;
+
+        try {
+            const recorder = this.open(callId, call);
+            if (!recorder || recorder.closing) return;
+
+            recorder.stream.write(chunk);
+            recorder.dataBytes += chunk.length;
+        } catch (error) {
+            logger.error(`Error writing recording for call ${callId}:`, error);
+        }
+    }
+
+    // Flush and close the audio, fix up the WAV header and write metadata.
+    // Resolves to the metadata, or null; never rejects.
+    async finish(callId) {
+        const recorder = this.recorders.get(callId);
+        if (!recorder || recorder.closing) return null;
+
+        recorder.closing = true;
+
+        try {
+            const { stream, dataBytes, format } = recorder;
+            await new Promise((resolve, reject) => {
+                stream.end(error => (error ? reject(error) : resolve()));
+            });
+
+            const file = await fs.promises.open(this.audioPath(callId), 'r+');
+            try {
+                await file.write(this.buildHeader(format, dataBytes), 0, WAV_HEADER_SIZE, 0);
+            } finally {
+                await file.close();
+            }
+
+            const metadata = {
+                ...recorder.metadata,
+                file: path.basename(this.audioPath(callId)),
+                sampleRate: format.sampleRate,
+                channels: format.channels,
+                bytes: dataBytes + WAV_HEADER_SIZE,
+                durationSeconds: Math.round(dataBytes / (format.sampleRate * format.channels * 2)),
+                endedAt: new Date().toISOString()
+            };
+            await fs.promises.writeFile(this.metadataPath(callId), JSON.stringify(metadata, null, 2));
+
+            logger.info(`💾 Saved recording for call ${callId} (${metadata.durationSeconds}s)`);
+            return metadata;
+        } catch (error) {
+            logger.error(`Error finishing recording for call ${callId}:`, error);
+            return null;
+        } finally {
+            this.recorders.delete(callId);
+        }
+    }
+
+    readMetadata(callId) {
+        const metadataPath = this.metadataPath(callId);
+        if (!metadataPath || !fs.existsSync(metadataPath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        } catch (error) {
+            logger.error(`Error reading recording metadata for call ${callId}:`, error);
+            return null;
+        }
+    }
+
+    // Metadata and path of a finished recording, or null
+    getRecording(callId) {
+        if (this.recorders.has(callId)) return null;
+
+        const metadata = this.readMetadata(callId);
+        const audioPath = this.audioPath(callId);
+        if (!metadata || !fs.existsSync(audioPath)) return null;
+
+        return { metadata, path: audioPath };
+    }
+
+    // Delete recordings older than the retention period
+    prune() {
+        if (!fs.existsSync(this.directory)) return 0;
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+
+        for (const file of fs.readdirSync(this.directory)) {
+            const filePath = path.join(this.directory, file);
+            const callId = path.parse(file).name;
+
+            if (this.recorders.has(callId)) continue;
+
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) {
+                    fs.unlinkSync(filePath);
+                    removed++;
+                }
+            } catch (error) {
+                logger.error(`Error pruning recording ${file}:`, error);
+            }
+        }
+
+        if (removed > 0) {
+            logger.info(`🧹 Removed ${removed} recording files older than ${this.retentionDays} days`);
+        }
+        return removed;
+    }
+}
+
+// Create singleton instance
+const recordingService = new RecordingService();
+
+// Apply the retention policy hourly
+if (recordingService.enabled) {
+    setInterval(() => {
+        recordingService.prune();
+    }, 60 * 60 * 1000).unref();
+}
+
+module.exports = recordingService;
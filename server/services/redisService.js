@@ -79,7 +79,12 @@ class RedisService {
             const key = `campaign:${campaignId}`;
             const ttl = 60 * 60 * 24 * 7; // 7 days
             
-            await this.client.setEx(key, ttl, JSON.stringify(campaignData));
+            // A paused campaign is kept however long it stays paused
+            if (campaignData.status === 'paused') {
+                await this.client.set(key, JSON.stringify(campaignData));
+            } else {
+                await this.client.setEx(key, ttl, JSON.stringify(campaignData));
+            }
             
             // Add to active campaigns set
             await this.client.sAdd('active_campaigns', campaignId);
@@ -135,6 +140,7 @@ class RedisService {
             
             // Clean up related data
             await this.client.del(`campaign_queue:${campaignId}`);
+            await this.client.del(`campaign_retries:${campaignId}`);
             
             logger.info(`Campaign deleted: ${campaignId}`);
             return true;
@@ -164,10 +170,9 @@ class RedisService {
     }
 
     // Campaign queue operations
-    async saveCampaignQueue(campaignId, contacts) {
+    async saveCampaignQueue(campaignId, contacts, ttl = 60 * 60 * 24) { // 24 hours by default
         try {
             const key = `campaign_queue:${campaignId}`;
-            const ttl = 60 * 60 * 24; // 24 hours
             
             // Store as a list for queue operations
             await this.client.del(key); // Clear existing queue
@@ -210,6 +215,94 @@ class RedisService {
         }
     }
 
+    async setCampaignQueueTtl(campaignId, ttl) {
+        try {
+            const key = `campaign_queue:${campaignId}`;
+            return await this.client.expire(key, ttl);
+        } catch (error) {
+            logger.error(`Error setting queue TTL for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
+    // Keep the queue and pending retries of a paused campaign until it is resumed or stopped
+    async persistCampaignQueue(campaignId) {
+        try {
+            await this.client.persist(`campaign_queue:${campaignId}`);
+            await this.client.persist(`campaign_retries:${campaignId}`);
+            return true;
+        } catch (error) {
+            logger.error(`Error persisting queue for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
+    // Put back the expiry a running campaign's queue and retries normally have
+    async restoreCampaignQueueTtl(campaignId) {
+        try {
+            await this.client.expire(`campaign_queue:${campaignId}`, 60 * 60 * 24);
+            await this.client.expire(`campaign_retries:${campaignId}`, 60 * 60 * 24 * 7);
+            return true;
+        } catch (error) {
+            logger.error(`Error restoring queue TTL for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
+    async deleteCampaignQueue(campaignId) {
+        try {
+            await this.client.del(`campaign_queue:${campaignId}`);
+            await this.client.del(`campaign_retries:${campaignId}`);
+            return true;
+        } catch (error) {
+            logger.error(`Error deleting queue for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
+    // Contact retry operations (sorted set scored by when the retry is due)
+    async scheduleContactRetry(campaignId, contact, dueAt) {
+        try {
+            const key = `campaign_retries:${campaignId}`;
+            await this.client.zAdd(key, { score: dueAt, value: JSON.stringify(contact) });
+            await this.client.expire(key, 60 * 60 * 24 * 7); // 7 days
+            return true;
+        } catch (error) {
+            logger.error(`Error scheduling retry for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
+    // Move retries that are due back onto the end of the campaign queue
+    async requeueDueRetries(campaignId) {
+        try {
+            const retryKey = `campaign_retries:${campaignId}`;
+            const due = await this.client.zRange(retryKey, 0, Date.now(), { BY: 'SCORE' });
+            
+            if (due.length === 0) return 0;
+            
+            const queueKey = `campaign_queue:${campaignId}`;
+            await this.client.rPush(queueKey, due);
+            await this.client.expire(queueKey, 60 * 60 * 24);
+            await this.client.zRem(retryKey, due);
+            
+            logger.info(`Requeued ${due.length} contact retries for campaign ${campaignId}`);
+            return due.length;
+        } catch (error) {
+            logger.error(`Error requeueing retries for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
+    async getRetryCount(campaignId) {
+        try {
+            return await this.client.zCard(`campaign_retries:${campaignId}`);
+        } catch (error) {
+            logger.error(`Error getting retry count for campaign ${campaignId}:`, error);
+            throw error;
+        }
+    }
+
     // Call tracking operations
     async addCallToCampaign(campaignId, callId, callData) {
         try {
@@ -241,6 +334,18 @@ class RedisService {
         }
     }
 
+    // Campaign that placed a call, or null for manual calls
+    async findCampaignIdForCall(callId) {
+        const campaigns = await this.getAllCampaigns();
+
+        for (const campaign of campaigns) {
+            if (await this.client.hExists(`campaign_calls:${campaign.id}`, callId)) {
+                return campaign.id;
+            }
+        }
+        return null;
+    }
+
     // Utility methods
     async ping() {
         try {
@@ -0,0 +1,241 @@
+const redisService = require('./redisService');
+const twilioService = require('./twilioService');
+const callMonitor = require('./callMonitor');
+const { broadcastToClients } = require('../websocket');
+const logger = require('../utils/logger');
+const { escapeXml } = require('../utils/transferRouting');
+
+const SESSION_KEY = 'supervision:';
+const SESSION_TTL = 1800;
+const CONFERENCE_TTL = 1800;
+
+// How the supervisor's conference leg is set up for each mode
+const MODES = {
+    listen: { muted: true, coaching: false },
+    whisper: { muted: false, coaching: true },
+    barge: { muted: false, coaching: false }
+};
+
+// Supervisor listen / whisper / barge-in by dialing the supervisor's phone into
+// a Twilio conference with the customer
+class SupervisionService {
+    async getSession(callId) {
+        const data = await redisService.client.get(`${SESSION_KEY}${callId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async saveSession(session) {
+        await redisService.client.setEx(`${SESSION_KEY}${session.callId}`, SESSION_TTL, JSON.stringify(session));
+    }
+
+    // Live transfer conference this call started (original call) or is part of (hold assistant)
+    async findConference(callId) {
+        for await (const key of redisService.client.scanIterator({ MATCH: 'conference:*', COUNT: 100 })) {
+            const data = await redisService.client.get(key);
+            const conference = data ? JSON.parse(data) : null;
+
+            if (conference && conference.status !== 'ended' &&
+                [conference.originalCallId, conference.holdAssistantCallId].includes(callId)) {
+                return conference;
+            }
+        }
+        return null;
+    }
+
+    async updateConference(conferenceId, updates) {
+        const data = await redisService.client.get(`conference:${conferenceId}`);
+        if (!data) return;
+
+        const conference = { ...JSON.parse(data), ...updates };
+        await redisService.client.setEx(`conference:${conferenceId}`, CONFERENCE_TTL, JSON.stringify(conference));
+    }
+
+    // Join a call as `mode`, or switch an existing session to it.
+    // Returns { session } or { error } when the call cannot be supervised that way.
+    async start(callId, { mode, phoneNumber, user }) {
+        const existing = await this.getSession(callId);
+        if (existing) {
+            const result = await this.changeMode(existing, mode);
+            if (result) return result;
+
+            // The supervisor's leg is gone (hung up, or the conference ended)
+            await redisService.client.del(`${SESSION_KEY}${callId}`);
+        }
+
+        const conference = await this.findConference(callId);
+        if (conference) {
+            return this.joinTransferConference(callId, conference, { mode, phoneNumber, user });
+        }
+
+        // A call still with the assistant has no agent to coach, and moving the
+        // customer's leg into a conference takes it away from the assistant
+        if (mode !== 'barge') {
+            return { error: 'Listen and whisper need an agent in a transfer conference. Use Listen on the card to hear the assistant, or barge to take over the call.' };
+        }
+        return this.takeOverCall(callId, { phoneNumber, user });
+    }
+
+    // Transfer conference: customer, hold assistant and/or agent are already there
+    async joinTransferConference(callId, conference, { mode, phoneNumber, user }) {
+        const { conferenceId, agentCallSid } = conference;
+
+        if (mode === 'whisper' && !agentCallSid) {
+            return { error: 'No agent has joined this conference yet, so there is no one to whisper to' };
+        }
+
+        const supervisorCall = await twilioService.addParticipantToConference({
+            conferenceId,
+            participantPhone: phoneNumber,
+            participantName: user,
+            whisperMessage: `Joining the call with ${escapeXml(conference.customerName || 'the customer')}. You are in ${mode} mode.`,
+            muted: MODES[mode].muted,
+            coach: mode === 'whisper' ? agentCallSid : null
+        });
+
+        await this.updateConference(conferenceId, { supervisorCallSid: supervisorCall.sid });
+
+        return {
+            session: await this.begin({
+                callId,
+                conferenceId,
+                mode,
+                phoneNumber,
+                supervisorCallSid: supervisorCall.sid,
+                takeover: false,
+                startedBy: user
+            })
+        };
+    }
+
+    // Call still with the assistant: move the customer into a new conference with the supervisor
+    async takeOverCall(callId, { phoneNumber, user }) {
+        const call = callMonitor.getCall(callId);
+        const customerNumber = call?.customer?.number;
+        if (!customerNumber) {
+            return { error: 'Call has no customer number to find its phone leg' };
+        }
+
+        const customerCall = await twilioService.findActiveCallByPhone(customerNumber);
+        if (!customerCall) {
+            return { error: `Could not find an active phone leg for ${customerNumber}` };
+        }
+
+        const conferenceId = `supervise_${callId}`;
+
+        // Dial the supervisor first so the customer is not left waiting alone
+        const supervisorCall = await twilioService.addParticipantToConference({
+            conferenceId,
+            participantPhone: phoneNumber,
+            participantName: user,
+            whisperMessage: `Taking over the call with ${escapeXml(call.customer.name || customerNumber)}.`,
+            endConferenceOnExit: true
+        });
+
+        try {
+            await twilioService.transferCallToConference(
+                customerCall.sid,
+                conferenceId,
+                'Please hold for a moment while I connect you with a supervisor.'
+            );
+        } catch (error) {
+            // Without the customer there is nothing to take over; don't leave the supervisor ringing
+            await twilioService.hangUpCall(supervisorCall.sid)
+                .catch(hangUpError => logger.warn(`Could not hang up supervisor leg ${supervisorCall.sid}: ${hangUpError.message}`));
+            throw error;
+        }
+
+        return {
+            session: await this.begin({
+                callId,
+                conferenceId,
+                mode: 'barge',
+                phoneNumber,
+                supervisorCallSid: supervisorCall.sid,
+                customerCallSid: customerCall.sid,
+                takeover: true,
+                startedBy: user
+            })
+        };
+    }
+
+    async begin(details) {
+        const session = { ...details, startedAt: new Date().toISOString() };
+        await this.saveSession(session);
+
+        logger.info(`🎧 ${session.startedBy} supervising call ${session.callId} (${session.mode}) in ${session.conferenceId}`);
+        this.broadcast(session, true);
+        return session;
+    }
+
+    // Returns the updated session, an error, or null when the supervisor's leg is gone
+    async changeMode(session, mode) {
+        if (session.mode === mode) return { session };
+
+        if (session.takeover) {
+            return { error: 'The supervisor has taken over this call; only barge is available' };
+        }
+
+        const conference = await this.findConference(session.callId);
+        if (!conference) return null;
+
+        if (mode === 'whisper' && !conference.agentCallSid) {
+            return { error: 'No agent has joined this conference yet, so there is no one to whisper to' };
+        }
+
+        try {
+            await twilioService.updateParticipant(session.conferenceId, session.supervisorCallSid, {
+                ...MODES[mode],
+                ...(mode === 'whisper' && { callSidToCoach: conference.agentCallSid })
+            });
+        } catch (error) {
+            logger.warn(`Supervisor leg for call ${session.callId} is no longer in ${session.conferenceId}: ${error.message}`);
+            return null;
+        }
+
+        // Keep the conference dashboard's view of the supervisor's leg current
+        const participantDetails = conference.participantDetails || {};
+        if (participantDetails[session.supervisorCallSid]) {
+            participantDetails[session.supervisorCallSid].muted = MODES[mode].muted;
+            await this.updateConference(session.conferenceId, { participantDetails });
+        }
+
+        const updated = { ...session, mode, updatedAt: new Date().toISOString() };
+        await this.saveSession(updated);
+
+        logger.info(`🎧 Supervision of call ${session.callId} switched to ${mode}`);
+        this.broadcast(updated, true);
+        return { session: updated };
+    }
+
+    // Hang up the supervisor's leg; returns the ended session or null
+    async stop(callId) {
+        const session = await this.getSession(callId);
+        if (!session) return null;
+
+        await twilioService.removeParticipant(session.conferenceId, session.supervisorCallSid)
+            .catch(error => logger.warn(`Could not hang up supervisor leg ${session.supervisorCallSid}: ${error.message}`));
+
+        await redisService.client.del(`${SESSION_KEY}${callId}`);
+
+        logger.info(`🎧 Supervision of call ${callId} ended`);
+        this.broadcast(session, false);
+        return session;
+    }
+
+    broadcast(session, active) {
+        broadcastToClients({
+            type: 'call_supervision',
+            callId: session.callId,
+            conferenceId: session.conferenceId,
+            mode: session.mode,
+            takeover: session.takeover,
+            supervisor: session.startedBy,
+            active
+        });
+    }
+}
+
+// Create singleton instance
+const supervisionService = new SupervisionService();
+
+module.exports = supervisionService;
@@ -0,0 +1,167 @@
+const redisService = require('./redisService');
+const callHistory = require('./callHistory');
+const logger = require('../utils/logger');
+
+// Final transcript lines are kept as a Redis list per call, in spoken order
+const TRANSCRIPT_KEY = 'call_transcript:';
+const TRANSCRIPT_META_KEY = 'call_transcript_meta:';
+
+// Persists the final transcript of each call so it outlives the monitor card.
+// Partials are only tracked in memory to know when an utterance started.
+class TranscriptService {
+    constructor() {
+        // callId -> { source, startedAt, partials: { speaker: firstPartialAt }, seen: Set, writes: Promise }
+        this.pending = new Map();
+    }
+
+    get ttl() {
+        return callHistory.retentionDays * 24 * 60 * 60;
+    }
+
+    getState(callId) {
+        if (!this.pending.has(callId)) {
+            this.pending.set(callId, { source: null, startedAt: null, partials: {}, seen: new Set(), writes: Promise.resolve() });
+        }
+        return this.pending.get(callId);
+    }
+
+    // Queue a Redis write behind the call's earlier ones so lines keep their spoken order
+    enqueue(callId, write) {
+        const state = this.getState(callId);
+        const result = state.writes.then(write);
+        state.writes = result.catch(error => logger.error(`Error saving transcript for call ${callId}:`, error));
+        return result;
+    }
+
+    // Remember when the call started so lines can be offset for WebVTT
+    setCallStart(callId, startedAt) {
+        const state = this.getState(callId);
+        if (state.startedAt || !startedAt) return;
+
+        state.startedAt = startedAt;
+        // Failures are logged by enqueue
+        this.enqueue(callId, () => this.saveMeta(callId, { startedAt })).catch(() => {});
+    }
+
+    async saveMeta(callId, meta) {
+        if (!redisService.isConnected) return;
+
+        const existing = await this.getMeta(callId);
+        await redisService.client.setEx(
+            `${TRANSCRIPT_META_KEY}${callId}`,
+            this.ttl,
+            JSON.stringify({ ...existing, ...meta, callId })
+        );
+    }
+
+    async getMeta(callId) {
+        const data = await redisService.client.get(`${TRANSCRIPT_META_KEY}${callId}`);
+        return data ? JSON.parse(data) : {};
+    }
+
+    // A partial line only marks when the speaker started talking
+    recordPartial(callId, speaker, timestamp = new Date().toISOString()) {
+        const state = this.getState(callId);
+        if (!state.partials[speaker]) {
+            state.partials[speaker] = timestamp;
+        }
+    }
+
+    // Append a final line. `source` is 'transcript' (live events) or
+    // 'conversation-update'; once one source has written a call, the other is
+    // ignored so the same utterance is not stored twice.
+    async recordFinal(callId, { speaker, text, timestamp, secondsFromStart, source = 'transcript' }) {
+        if (!callId || !text || !redisService.isConnected) return null;
+
+        const state = this.getState(callId);
+        if (state.source && state.source !== source) return null;
+
+        const endedAt = timestamp || new Date().toISOString();
+        const dedupeKey = `${speaker}|${text}|${secondsFromStart ?? timestamp ?? ''}`;
+        if (state.seen.has(dedupeKey)) return null;
+        state.seen.add(dedupeKey);
+        state.source = source;
+
+        const startedAt = state.partials[speaker] || endedAt;
+        delete state.partials[speaker];
+
+        const entry = {
+            speaker,
+            text: String(text).trim(),
+            startedAt,
+            endedAt,
+            secondsFromStart: secondsFromStart ?? null
+        };
+
+        return this.enqueue(callId, async () => {
+            const key = `${TRANSCRIPT_KEY}${callId}`;
+            await redisService.client.rPush(key, JSON.stringify(entry));
+            await redisService.client.expire(key, this.ttl);
+            return entry;
+        });
+    }
+
+    // Use the end-of-call-report messages when nothing was captured live
+    async recordFromReport(callId, messages = []) {
+        if (!callId || !redisService.isConnected) return;
+
+        const existing = await redisService.client.lLen(`${TRANSCRIPT_KEY}${callId}`);
+        if (existing > 0) return;
+
+        const spoken = messages.filter(message => ['assistant', 'bot', 'user'].includes(message.role) && (message.message || message.content));
+        for (const message of spoken) {
+            await this.recordFinal(callId, {
+                speaker: message.role === 'user' ? 'customer' : 'assistant',
+                text: message.message || message.content,
+                timestamp: message.time ? new Date(message.time).toISOString() : undefined,
+                secondsFromStart: message.secondsFromStart,
+                source: 'end-of-call-report'
+            });
+        }
+
+        if (spoken.length > 0) {
+            logger.info(`📝 Saved ${spoken.length} transcript lines for call ${callId} from end-of-call-report`);
+        }
+    }
+
+    // Forget in-memory state once the call is over (stored lines are kept)
+    finish(callId) {
+        this.pending.delete(callId);
+    }
+
+    // Ordered final transcript for a call: stored lines, else the call history record
+    async getTranscript(callId) {
+        const lines = await redisService.client.lRange(`${TRANSCRIPT_KEY}${callId}`, 0, -1);
+        const meta = await this.getMeta(callId);
+
+        if (lines.length > 0) {
+            return {
+                callId,
+                startedAt: meta.startedAt || null,
+                entries: lines.map(line => JSON.parse(line))
+            };
+        }
+
+        const history = await callHistory.get(callId);
+        if (!history || !history.transcript?.length) return null;
+
+        return {
+            callId,
+            startedAt: history.answeredAt || history.createdAt || null,
+            entries: history.transcript
+                .filter(entry => entry.transcriptType !== 'partial')
+                .map(entry => ({
+                    speaker: entry.speaker,
+                    text: entry.text,
+                    startedAt: entry.timestamp,
+                    endedAt: entry.timestamp,
+                    secondsFromStart: null
+                }))
+        };
+    }
+}
+
+// Create singleton instance
+const transcriptService = new TranscriptService();
+
+module.exports = transcriptService;
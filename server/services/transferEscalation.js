@@ -0,0 +1,283 @@
+const redisService = require('./redisService');
+const twilioService = require('./twilioService');
+const vapiService = require('./vapiService');
+const callbackService = require('./callbackService');
+const conferenceHistory = require('./conferenceHistory');
+const dispositionService = require('./dispositionService');
+const escalationConfig = require('../config/transferEscalation.config');
+const { checkCallingWindow } = require('../utils/callingWindow');
+const { broadcastToClients } = require('../websocket');
+const logger = require('../utils/logger');
+
+const CONFERENCE_TTL = 1800;
+
+// Destination call statuses that mean nobody is going to join from it
+const UNANSWERED_STATUSES = ['busy', 'no-answer', 'failed', 'completed'];
+
+// Conferences that are over, or no longer waiting on an agent
+const SETTLED_STATUSES = ['agent_connected', 'agent_and_customer_connected', 'callback_booked', 'ended'];
+
+// Agent-no-answer escalation for transfer conferences: tries the next routed
+// destination, then offers and books a callback and ends the conference.
+// Timers are kept in memory, so a restart leaves waiting conferences to their TTL.
+class TransferEscalationService {
+    constructor() {
+        this.timers = new Map();           // conferenceId -> timeout
+        this.destinationCalls = new Map(); // destination CallSid -> conferenceId
+    }
+
+    async getConference(conferenceId) {
+        const data = await redisService.client.get(`conference:${conferenceId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async updateConference(conferenceId, updates) {
+        const conferenceData = await this.getConference(conferenceId);
+        if (!conferenceData) return null;
+
+        const updated = { ...conferenceData, ...updates };
+        await redisService.client.setEx(`conference:${conferenceId}`, CONFERENCE_TTL, JSON.stringify(updated));
+        return updated;
+    }
+
+    // Save an escalation step on the conference and show it on the monitor
+    async record(conferenceId, step, details = {}, updates = {}) {
+        const conferenceData = await this.getConference(conferenceId);
+        if (!conferenceData) return null;
+
+        const entry = { step, timestamp: new Date().toISOString(), ...details };
+        const history = [...(conferenceData.escalation?.history || []), entry];
+
+        await this.updateConference(conferenceId, {
+            ...updates,
+            escalation: {
+                ...conferenceData.escalation,
+                step,
+                history,
+                ...(details.destinationIndex !== undefined && { destinationIndex: details.destinationIndex })
+            }
+        });
+
+        broadcastToClients({
+            type: 'conference_escalation',
+            conferenceId,
+            originalCallId: conferenceData.originalCallId || null,
+            holdAssistantCallId: conferenceData.holdAssistantCallId || null,
+            customerName: conferenceData.customerName || null,
+            customerPhone: conferenceData.customerPhone || null,
+            ...entry
+        });
+
+        logger.info(`⏫ Conference ${conferenceId} escalation: ${step}`, details);
+        return entry;
+    }
+
+    schedule(conferenceId, seconds, action) {
+        this.clearTimer(conferenceId);
+
+        this.timers.set(conferenceId, setTimeout(() => {
+            this.timers.delete(conferenceId);
+            action().catch(error => logger.error(`Error escalating conference ${conferenceId}:`, error));
+        }, seconds * 1000));
+    }
+
+    clearTimer(conferenceId) {
+        clearTimeout(this.timers.get(conferenceId));
+        this.timers.delete(conferenceId);
+    }
+
+    // A destination has just been dialed into the conference: give it
+    // agentTimeoutSeconds for an agent to join
+    async start(conferenceId, { callSid, destination, destinationIndex = 0, previousDestination = null }) {
+        if (!escalationConfig.enabled) return;
+
+        this.destinationCalls.set(callSid, conferenceId);
+        this.schedule(conferenceId, escalationConfig.agentTimeoutSeconds, () => this.escalate(conferenceId, 'timeout'));
+
+        await this.record(conferenceId, destinationIndex === 0 ? 'dialing' : 'next_destination', {
+            destinationId: destination.id,
+            destinationName: destination.name,
+            destinationIndex,
+            timeoutSeconds: escalationConfig.agentTimeoutSeconds,
+            ...(previousDestination && {
+                previousDestinationName: previousDestination.name
+            })
+        });
+    }
+
+    // The agent joined, so there is nothing left to escalate
+    async agentJoined(conferenceId) {
+        const waiting = this.timers.has(conferenceId);
+        this.stop(conferenceId);
+
+        const conferenceData = await this.getConference(conferenceId);
+        if (!waiting || !conferenceData?.escalation) return;
+
+        await this.record(conferenceId, 'agent_joined', {
+            destinationId: conferenceData.destination?.id || null,
+            destinationName: conferenceData.destination?.name || null,
+            waitSeconds: Math.round((Date.now() - new Date(conferenceData.createdAt).getTime()) / 1000)
+        });
+    }
+
+    stop(conferenceId) {
+        this.clearTimer(conferenceId);
+        for (const [callSid, id] of this.destinationCalls) {
+            if (id === conferenceId) this.destinationCalls.delete(callSid);
+        }
+    }
+
+    // Status callback for a call placed with dialDestinationIntoConference
+    async handleDestinationCallStatus(callSid, status) {
+        const conferenceId = this.destinationCalls.get(callSid);
+        if (!conferenceId || !UNANSWERED_STATUSES.includes(status)) return;
+
+        this.destinationCalls.delete(callSid);
+        await this.escalate(conferenceId, status, callSid);
+    }
+
+    // No agent from the current destination: dial the next one or offer a callback
+    async escalate(conferenceId, reason, callSid = null) {
+        const conferenceData = await this.getConference(conferenceId);
+
+        if (!conferenceData || conferenceData.agentJoinedAt || SETTLED_STATUSES.includes(conferenceData.status)) {
+            this.stop(conferenceId);
+            return;
+        }
+
+        // A late status for a destination we already moved on from
+        if (callSid && callSid !== conferenceData.queueCallSid) return;
+
+        this.clearTimer(conferenceId);
+
+        const current = conferenceData.destination;
+        const destinations = conferenceData.transferRoute?.destinations || [current].filter(Boolean);
+        const index = conferenceData.escalation?.destinationIndex || 0;
+
+        logger.warn(`⏫ No agent from ${current?.name || 'transfer destination'} for conference ${conferenceId} (${reason})`);
+
+        // Stop ringing the destination that did not answer
+        if (conferenceData.queueCallSid) {
+            this.destinationCalls.delete(conferenceData.queueCallSid);
+            if (reason === 'timeout') {
+                await twilioService.hangUpCall(conferenceData.queueCallSid).catch(() => {});
+            }
+        }
+
+        const next = destinations[index + 1];
+        if (next) {
+            try {
+                const call = await twilioService.dialDestinationIntoConference(conferenceId, next, {
+                    leadType: conferenceData.assistantType
+                });
+
+                await this.updateConference(conferenceId, {
+                    destination: next,
+                    queueCallSid: call.sid,
+                    status: 'waiting_for_agent'
+                });
+                await this.start(conferenceId, {
+                    callSid: call.sid,
+                    destination: next,
+                    destinationIndex: index + 1,
+                    previousDestination: current
+                });
+                return;
+
+            } catch (error) {
+                logger.error(`Could not dial ${next.name}, offering a callback instead:`, error);
+            }
+        }
+
+        await this.offerCallback(conferenceId, reason);
+    }
+
+    async offerCallback(conferenceId, reason) {
+        try {
+            await twilioService.playMessageToConference(conferenceId, escalationConfig.messages.callbackOffer);
+        } catch (error) {
+            logger.warn(`Could not play callback offer to conference ${conferenceId}: ${error.message}`);
+        }
+
+        await this.record(conferenceId, 'callback_offered', { reason }, { status: 'callback_offered' });
+
+        this.schedule(conferenceId, escalationConfig.callbackOfferSeconds, () => this.bookCallbackAndEnd(conferenceId));
+    }
+
+    // First time in the customer's calling window after the configured delay
+    callbackTime(phoneNumber) {
+        const dueAt = new Date(Date.now() + escalationConfig.callbackDelayMinutes * 60 * 1000);
+        const window = checkCallingWindow({ phone_number: phoneNumber }, dueAt);
+
+        return window.allowed || !window.nextAllowedAt ? dueAt : new Date(window.nextAllowedAt);
+    }
+
+    async bookCallbackAndEnd(conferenceId) {
+        const conferenceData = await this.getConference(conferenceId);
+        if (!conferenceData || conferenceData.agentJoinedAt || SETTLED_STATUSES.includes(conferenceData.status)) {
+            this.stop(conferenceId);
+            return;
+        }
+
+        const callback = await callbackService.book({
+            phoneNumber: conferenceData.customerPhone,
+            customerName: conferenceData.customerName,
+            leadId: conferenceData.leadId,
+            leadType: conferenceData.assistantType || null,
+            organizationId: conferenceData.qualificationData?.organizationId || null,
+            callId: conferenceData.originalCallId,
+            conferenceId,
+            reason: 'No agent answered the transfer',
+            dueAt: this.callbackTime(conferenceData.customerPhone)
+        });
+
+        if (conferenceData.originalCallId) {
+            dispositionService.setDisposition(conferenceData.originalCallId, 'callback-requested', {
+                source: 'transfer-escalation',
+                notes: `No agent answered; callback booked for ${callback.dueAt}`,
+                callFields: { transferOutcome: 'callback-booked', conferenceId }
+            })
+                .catch(error => logger.error(`Failed to record callback disposition for ${conferenceData.originalCallId}:`, error));
+        }
+
+        try {
+            await twilioService.playMessageToConference(conferenceId, escalationConfig.messages.callbackBooked);
+        } catch (error) {
+            logger.warn(`Could not play callback confirmation to conference ${conferenceId}: ${error.message}`);
+        }
+
+        await this.record(conferenceId, 'callback_booked', {
+            callbackId: callback.id,
+            dueAt: callback.dueAt
+        }, { status: 'callback_booked', callbackId: callback.id });
+
+        this.stop(conferenceId);
+
+        // Let the goodbye play, then release the hold assistant and close the room
+        this.schedule(conferenceId, escalationConfig.goodbyeSeconds, () => this.endConference(conferenceId, conferenceData));
+    }
+
+    async endConference(conferenceId, conferenceData) {
+        if (conferenceData.holdAssistantCallId) {
+            await vapiService.endCall(conferenceData.holdAssistantCallId)
+                .catch(error => logger.error('Error ending hold assistant call:', error));
+        }
+
+        const endedData = await this.updateConference(conferenceId, {
+            endRequestedAt: new Date().toISOString(),
+            endedBy: 'callback'
+        });
+
+        await twilioService.endConference(conferenceId)
+            .catch(error => logger.error(`Error ending conference ${conferenceId}:`, error));
+
+        await conferenceHistory.record(endedData);
+
+        logger.info(`🏁 Conference ${conferenceId} ended after booking a callback`);
+    }
+}
+
+// Create singleton instance
+const transferEscalation = new TransferEscalationService();
+
+module.exports = transferEscalation;
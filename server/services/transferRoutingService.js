@@ -0,0 +1,127 @@
+const redisService = require('./redisService');
+const transferRouting = require('../utils/transferRouting');
+const transferRoutingConfig = require('../config/transferRouting.config');
+const vapiConfig = require('../config/vapi.config');
+const logger = require('../utils/logger');
+
+const ROUTING_KEY = 'transfer_routing';
+
+// Saved routing is re-read this often so every instance picks up changes
+const ROUTING_CACHE_MS = 60 * 1000;
+
+// Picks the queue, line or SIP address a qualified lead is transferred to
+class TransferRoutingService {
+    constructor() {
+        this.routing = null;
+        this.loadedAt = 0;
+        this.defaultRouting = null;
+    }
+
+    // Routing from the config file and environment
+    getDefaultRouting() {
+        if (!this.defaultRouting) {
+            const routing = {
+                destinations: transferRoutingConfig.defaultDestinations,
+                rules: transferRoutingConfig.defaultRules,
+                defaultDestination: transferRoutingConfig.defaultDestination,
+                businessHours: transferRoutingConfig.businessHours
+            };
+
+            const errors = transferRouting.validateRouting(routing);
+            if (errors.length > 0) {
+                logger.error(`Invalid transfer routing configuration, using ${transferRoutingConfig.builtInDestination.number} only: ${errors.join('; ')}`);
+                routing.destinations = [transferRoutingConfig.builtInDestination];
+                routing.rules = [];
+                routing.defaultDestination = transferRoutingConfig.builtInDestination.id;
+            }
+
+            this.defaultRouting = transferRouting.normalizeRouting(routing, transferRoutingConfig);
+        }
+        return this.defaultRouting;
+    }
+
+    // Saved routing, or the defaults when none has been saved
+    async getRouting() {
+        if (redisService.isConnected) {
+            const data = await redisService.client.get(ROUTING_KEY);
+            if (data) return JSON.parse(data);
+        }
+        return this.getDefaultRouting();
+    }
+
+    // Replace destinations and rules; returns validation errors (nothing is saved if any)
+    async setRouting(routing) {
+        const errors = transferRouting.validateRouting(routing);
+        if (errors.length > 0) return { errors };
+
+        const normalized = transferRouting.normalizeRouting(routing, transferRoutingConfig);
+        await redisService.client.set(ROUTING_KEY, JSON.stringify(normalized));
+        this.routing = null;
+
+        logger.info(`🔀 Transfer routing updated (${normalized.destinations.length} destinations, ${normalized.rules.length} rules)`);
+        return { routing: normalized };
+    }
+
+    async resetRouting() {
+        await redisService.client.del(ROUTING_KEY);
+        this.routing = null;
+        return this.getRouting();
+    }
+
+    async getCachedRouting() {
+        if (!this.routing || Date.now() - this.loadedAt > ROUTING_CACHE_MS) {
+            try {
+                this.routing = await this.getRouting();
+            } catch (error) {
+                // A transfer must still go somewhere when Redis is unavailable
+                logger.error('Error loading transfer routing, using defaults:', error);
+                this.routing = this.getDefaultRouting();
+            }
+            this.loadedAt = Date.now();
+        }
+        return this.routing;
+    }
+
+    // Routing context for a Vapi call being transferred
+    contextForCall(call, qualificationData = {}) {
+        const variables = call?.assistantOverrides?.variableValues || call?.assistant?.variableValues || {};
+        const metadata = call?.customer?.metadata || {};
+
+        // Rules can name the assistant by ID or by type (PFAS, HAIR_STRAIGHTENER)
+        const assistantTypes = Object.entries(vapiConfig.assistants)
+            .filter(([, id]) => id && id === call?.assistantId)
+            .map(([type]) => type);
+
+        return {
+            leadType: qualificationData.leadType || variables.leadType || metadata.leadType,
+            assistants: [call?.assistantId, metadata.assistantType, ...assistantTypes].filter(Boolean),
+            organizationId: qualificationData.organizationId || variables.organizationId || metadata.organizationId
+        };
+    }
+
+    // Destinations for a transfer, in the order to try them
+    async resolve(context = {}) {
+        const routing = await this.getCachedRouting();
+        const route = transferRouting.resolve(routing, context);
+
+        logger.info(`🔀 Transfer routed to ${route.destination.name} (${transferRouting.getAddress(route.destination)}) by ${route.ruleId ? `rule "${route.ruleName}"` : 'default'}`, {
+            leadType: context.leadType,
+            assistants: context.assistants,
+            organizationId: context.organizationId
+        });
+
+        return route;
+    }
+
+    // Where calls go when routing cannot run (e.g. conference setup failed)
+    async getFallbackDestination() {
+        const routing = await this.getCachedRouting();
+        return routing.destinations.find(destination => destination.id === routing.defaultDestination) ||
+            routing.destinations[0];
+    }
+}
+
+// Create singleton instance
+const transferRoutingService = new TransferRoutingService();
+
+module.exports = transferRoutingService;
@@ -1,16 +1,38 @@
 const twilio = require('twilio');
 const logger = require('../utils/logger');
+const transferRouting = require('../utils/transferRouting');
 
 class TwilioService {
   constructor() {
     this.client = twilio(
       process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
+      process.env.TWILIO_AUTH_TOKEN,
+      process.env.TWILIO_API_BASE_URL
+        ? { httpClient: this.createRedirectingClient(process.env.TWILIO_API_BASE_URL) }
+        : {}
     );
     this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
     this.baseUrl = process.env.SERVER_BASE_URL || 'https://your-server.com';
   }
 
+  /**
+   * HTTP client that sends every Twilio API request to baseUrl instead,
+   * e.g. the local simulator (npm run simulator)
+   */
+  createRedirectingClient(baseUrl) {
+    const requestClient = new twilio.RequestClient();
+    const base = baseUrl.replace(/\/$/, '');
+
+    logger.info(`🧪 Twilio API requests go to ${base}`);
+
+    return {
+      request: (options) => requestClient.request({
+        ...options,
+        uri: options.uri.replace(/^https:\/\/[^/]+/, base)
+      })
+    };
+  }
+
   /**
    * Create a new conference room
    */
@@ -57,7 +79,7 @@ class TwilioService {
   /**
    * Add a participant to an existing conference
    */
-  async addParticipantToConference({ conferenceId, participantPhone, participantName, whisperMessage }) {
+  async addParticipantToConference({ conferenceId, participantPhone, participantName, whisperMessage, muted = false, coach = null, endConferenceOnExit = false }) {
     try {
       logger.info('Adding participant to conference', { 
         conferenceId, 
@@ -71,11 +93,14 @@ class TwilioService {
         twiml += `<Say>${whisperMessage}</Say>`;
       }
       
+      // coach: CallSid of the participant this one can whisper to
       twiml += `
         <Dial>
           <Conference 
-            endConferenceOnExit="false"
+            endConferenceOnExit="${endConferenceOnExit}"
             startConferenceOnEnter="true"
+            muted="${muted}"
+            ${coach ? `coach="${coach}"` : ''}
             beep="false">
             ${conferenceId}
           </Conference>
@@ -244,6 +269,60 @@ class TwilioService {
     }
   }
 
+  /**
+   * Dial a transfer destination (queue, line or SIP address) into a conference
+   */
+  async dialDestinationIntoConference(conferenceId, destination, { leadType } = {}) {
+    try {
+      logger.info(`📞 Dialing ${destination.name} into conference ${conferenceId}`);
+
+      return await this.client.calls.create({
+        to: transferRouting.getAddress(destination),
+        from: this.phoneNumber,
+        twiml: `
+          <Response>
+            <Say>Connecting qualified ${leadType ? `${leadType} ` : ''}lead. Conference ID: ${conferenceId.slice(-6)}.</Say>
+            <Dial>
+              <Conference 
+                beep="false" 
+                statusCallback="${this.baseUrl}/api/conference/webhook/twilio"
+                statusCallbackEvent="join leave end">
+                ${conferenceId}
+              </Conference>
+            </Dial>
+          </Response>
+        `,
+        statusCallback: `${this.baseUrl}/api/conference/webhook/twilio`,
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+      });
+
+    } catch (error) {
+      logger.error(`Error dialing ${destination.name} into conference ${conferenceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a call whether it is still ringing or already answered
+   */
+  async hangUpCall(callSid) {
+    try {
+      const call = await this.client.calls(callSid).fetch();
+
+      if (['queued', 'ringing'].includes(call.status)) {
+        return await this.client.calls(callSid).update({ status: 'canceled' });
+      }
+      if (call.status === 'in-progress') {
+        return await this.client.calls(callSid).update({ status: 'completed' });
+      }
+      return call;
+
+    } catch (error) {
+      logger.error(`Error hanging up call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Remove a participant from conference
    */
@@ -420,7 +499,7 @@ class TwilioService {
    * Transfer existing call to conference
    * This is used to move the initial customer call into the conference
    */
-  async transferCallToConference(callSid, conferenceId) {
+  async transferCallToConference(callSid, conferenceId, message = 'Connecting you to a specialist. One moment please.') {
     try {
       logger.info('Transferring call to conference', { 
         callSid, 
@@ -429,7 +508,7 @@ class TwilioService {
 
       const twiml = `
         <Response>
-          <Say>Connecting you to a specialist. One moment please.</Say>
+          ${message ? `<Say>${message}</Say>` : ''}
           <Dial>
             <Conference 
               endConferenceOnExit="false"
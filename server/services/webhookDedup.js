@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+
+const EVENT_KEY = 'webhook_event:';
+
+// Remembers which Vapi webhook deliveries have been processed so retries and
+// duplicate end events are only handled once
+class WebhookDedup {
+    constructor() {
+        this.localKeys = new Map(); // key -> expiry ms, used when Redis is down
+    }
+
+    get ttlSeconds() {
+        return parseInt(process.env.WEBHOOK_DEDUP_TTL_SECONDS) || 24 * 60 * 60;
+    }
+
+    // call ID + event type + message ID or timestamp; identical bodies when neither is sent
+    eventKey(message, rawBody) {
+        const callId = message.call?.id || message.callId;
+        if (!callId || !message.type) return null;
+
+        const eventId = message.id || message.messageId || message.timestamp ||
+            crypto.createHash('sha256').update(rawBody || JSON.stringify(message)).digest('hex');
+
+        return `${EVENT_KEY}${callId}:${message.type}:${eventId}`;
+    }
+
+    // True the first time an event is seen, false for every repeat
+    async markProcessed(message, rawBody) {
+        const key = this.eventKey(message, rawBody);
+        if (!key) return true;
+
+        try {
+            if (redisService.isConnected) {
+                const result = await redisService.client.set(key, '1', { NX: true, EX: this.ttlSeconds });
+                return result === 'OK';
+            }
+        } catch (error) {
+            // Better to process a duplicate than to drop an event
+            logger.error('Error checking webhook de-duplication:', error);
+            return true;
+        }
+
+        return this.markLocal(key);
+    }
+
+    // Forget an event whose processing failed so Vapi's retry is handled
+    async release(message, rawBody) {
+        const key = this.eventKey(message, rawBody);
+        if (!key) return;
+
+        this.localKeys.delete(key);
+        try {
+            if (redisService.isConnected) {
+                await redisService.client.del(key);
+            }
+        } catch (error) {
+            logger.error('Error releasing webhook de-duplication key:', error);
+        }
+    }
+
+    markLocal(key) {
+        const now = Date.now();
+        // Keys are inserted in expiry order, so stop at the first live one
+        for (const [storedKey, expiresAt] of this.localKeys) {
+            if (expiresAt > now) break;
+            this.localKeys.delete(storedKey);
+        }
+
+        if (this.localKeys.has(key)) return false;
+        this.localKeys.set(key, now + this.ttlSeconds * 1000);
+        return true;
+    }
+}
+
+// Create singleton instance
+const webhookDedup = new WebhookDedup();
+
+module.exports = webhookDedup;
@@ -0,0 +1,123 @@
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+
+const WEBHOOK_STREAM_KEY = 'webhook_events';
+const PAGE_SIZE = 200;
+const MAX_QUERY_LIMIT = 500;
+
+// Header and body keys whose values are replaced before storing
+const SECRET_KEY_PATTERN = /secret|token|password|authorization|cookie|signature|api[-_]?key|credential/i;
+
+// Capped history of raw inbound Vapi and Twilio webhooks, so a call's events can
+// be inspected and replayed through the handlers after the fact
+class WebhookStore {
+    get enabled() {
+        return process.env.WEBHOOK_STORE_ENABLED !== 'false';
+    }
+
+    get maxEntries() {
+        return parseInt(process.env.WEBHOOK_STORE_MAX_ENTRIES) || 5000;
+    }
+
+    redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                key,
+                SECRET_KEY_PATTERN.test(key) ? '[redacted]' : this.redact(item)
+            ]));
+        }
+        return value;
+    }
+
+    // Event type and call it concerns, for filtering
+    describe(source, body = {}) {
+        if (source === 'twilio') {
+            return {
+                type: body.StatusCallbackEvent || body.CallStatus || null,
+                callId: body.CallSid || null,
+                conference: body.FriendlyName || body.ConferenceSid || null
+            };
+        }
+
+        const message = body.message || body;
+        return {
+            type: message.type || null,
+            callId: message.call?.id || message.callId || null,
+            conference: null
+        };
+    }
+
+    async record(source, req) {
+        if (!this.enabled || !redisService.isConnected) return null;
+
+        const event = {
+            timestamp: new Date().toISOString(),
+            source,
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip,
+            ...this.describe(source, req.body),
+            headers: this.redact(req.headers),
+            body: this.redact(req.body)
+        };
+
+        try {
+            const id = await redisService.client.xAdd(WEBHOOK_STREAM_KEY, '*', { event: JSON.stringify(event) }, {
+                TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxEntries }
+            });
+            return id;
+        } catch (error) {
+            logger.error(`Error storing ${source} webhook:`, error);
+            return null;
+        }
+    }
+
+    async get(id) {
+        // Redis rejects malformed stream IDs
+        if (!/^\d+-\d+$/.test(id)) return null;
+
+        const [entry] = await redisService.client.xRange(WEBHOOK_STREAM_KEY, id, id);
+        return entry ? { id: entry.id, ...JSON.parse(entry.message.event) } : null;
+    }
+
+    matches(event, { source, type, callId, conference }) {
+        return (!source || event.source === source) &&
+            (!type || event.type === type) &&
+            (!callId || event.callId === callId) &&
+            (!conference || event.conference === conference);
+    }
+
+    // Newest first. Filters: source (vapi or twilio), type, callId, conference,
+    // from/to (ISO dates) and limit. Bodies are left out unless full is set.
+    async query(filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 100, MAX_QUERY_LIMIT);
+        const start = filters.from ? `${new Date(filters.from).getTime()}-0` : '-';
+        let end = filters.to ? `${new Date(filters.to).getTime()}-${Number.MAX_SAFE_INTEGER}` : '+';
+
+        const events = [];
+        while (events.length < limit) {
+            const page = await redisService.client.xRevRange(WEBHOOK_STREAM_KEY, end, start, { COUNT: PAGE_SIZE });
+
+            for (const { id, message } of page) {
+                const { headers, body, ...summary } = JSON.parse(message.event);
+                if (this.matches(summary, filters)) {
+                    events.push(filters.full ? { id, ...summary, headers, body } : { id, ...summary });
+                    if (events.length === limit) break;
+                }
+            }
+
+            if (page.length < PAGE_SIZE) break;
+            end = `(${page[page.length - 1].id}`;
+        }
+
+        return events;
+    }
+}
+
+// Create singleton instance
+const webhookStore = new WebhookStore();
+
+module.exports = webhookStore;
@@ -0,0 +1,108 @@
+// server/utils/alertRules.js
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const SPEAKERS = ['customer', 'assistant', 'any'];
+const ACTIONS = ['dnc'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Speech-to-text often returns curly apostrophes
+const normalizeText = (text) => String(text || '').replace(/[‘’]/g, "'").toLowerCase();
+
+// Validate a list of rules; returns a list of problems
+exports.validateRules = (rules) => {
+    const errors = [];
+
+    if (!Array.isArray(rules)) {
+        return ['rules must be an array'];
+    }
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const label = rule?.id ? `Rule "${rule.id}"` : `Rule ${index + 1}`;
+
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!rule.id || typeof rule.id !== 'string') {
+            errors.push(`${label} needs a string id`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${label} is defined more than once`);
+        } else {
+            ids.add(rule.id);
+        }
+
+        const keywords = rule.keywords || [];
+        const patterns = rule.patterns || [];
+        if (!Array.isArray(keywords) || !Array.isArray(patterns)) {
+            errors.push(`${label}: keywords and patterns must be arrays`);
+        } else if (keywords.length === 0 && patterns.length === 0) {
+            errors.push(`${label} needs at least one keyword or pattern`);
+        } else {
+            patterns.forEach(pattern => {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    errors.push(`${label}: invalid pattern ${pattern} (${error.message})`);
+                }
+            });
+        }
+
+        if (rule.speaker !== undefined && !SPEAKERS.includes(rule.speaker)) {
+            errors.push(`${label}: speaker must be one of ${SPEAKERS.join(', ')}`);
+        }
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            errors.push(`${label}: severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+        if (rule.cooldownSeconds !== undefined && (!Number.isFinite(rule.cooldownSeconds) || rule.cooldownSeconds < 0)) {
+            errors.push(`${label}: cooldownSeconds must be a non-negative number`);
+        }
+        if (rule.actions !== undefined && (!Array.isArray(rule.actions) || rule.actions.some(action => !ACTIONS.includes(action)))) {
+            errors.push(`${label}: actions may only contain ${ACTIONS.join(', ')}`);
+        }
+    });
+
+    return errors;
+};
+
+// Fill in defaults for a (validated) rule
+exports.normalizeRule = (rule) => ({
+    id: rule.id,
+    name: rule.name || rule.id,
+    keywords: rule.keywords || [],
+    patterns: rule.patterns || [],
+    speaker: rule.speaker || 'customer',
+    severity: rule.severity || 'warning',
+    cooldownSeconds: rule.cooldownSeconds ?? 60,
+    actions: rule.actions || [],
+    enabled: rule.enabled !== false
+});
+
+// Compile a rule's keywords and patterns into regexes once
+exports.compileRule = (rule) => ({
+    ...rule,
+    matchers: [
+        ...rule.keywords.map(keyword => ({
+            source: keyword,
+            regex: new RegExp(`(^|\\W)${escapeRegex(normalizeText(keyword))}(?=\\W|$)`, 'i')
+        })),
+        ...rule.patterns.map(pattern => ({
+            source: pattern,
+            regex: new RegExp(pattern, 'i')
+        }))
+    ]
+});
+
+// Return the keywords/patterns a compiled rule matches in a line, or [] when it does not apply
+exports.matchRule = (rule, { speaker, text }) => {
+    if (!rule.enabled) return [];
+    if (rule.speaker !== 'any' && rule.speaker !== speaker) return [];
+
+    const normalized = normalizeText(text);
+    return rule.matchers
+        .filter(matcher => matcher.regex.test(normalized))
+        .map(matcher => matcher.source);
+};
+
+exports.SEVERITIES = SEVERITIES;
@@ -0,0 +1,61 @@
+// server/utils/callStates.js
+
+// Call lifecycle: queued → ringing → in-progress → (transferring | ending) → ended,
+// with failed and no-answer as the other final states
+const STATES = ['queued', 'ringing', 'in-progress', 'transferring', 'ending', 'ended', 'failed', 'no-answer'];
+const FINAL_STATES = ['ended', 'failed', 'no-answer'];
+
+// Someone is (or may be) on the line
+const LIVE_STATES = ['ringing', 'in-progress', 'transferring', 'ending'];
+
+const TRANSITIONS = {
+    'queued': ['ringing', 'in-progress', 'ended', 'failed', 'no-answer'],
+    'ringing': ['in-progress', 'ended', 'failed', 'no-answer'],
+    'in-progress': ['transferring', 'ending', 'ended', 'failed'],
+    // A failed transfer leaves the customer with the assistant
+    'transferring': ['in-progress', 'ending', 'ended', 'failed'],
+    'ending': ['ended', 'failed'],
+    'ended': [],
+    'failed': [],
+    'no-answer': []
+};
+
+// Set the first time a call enters the state
+const TIMESTAMP_FIELDS = {
+    'ringing': 'ringingAt',
+    'in-progress': 'answeredAt',
+    'transferring': 'transferredAt',
+    'ending': 'endingAt',
+    'ended': 'endedAt',
+    'failed': 'failedAt',
+    'no-answer': 'endedAt'
+};
+
+// Status names used by Vapi and older code paths
+const ALIASES = {
+    'started': 'queued',
+    'initiated': 'queued',
+    'answered': 'in-progress',
+    'active': 'in-progress',
+    'connected': 'in-progress',
+    'conversation-started': 'in-progress',
+    'forwarding': 'transferring'
+};
+
+// Map a status to a lifecycle state, or null when it is not one
+exports.normalize = (status) => {
+    if (!status) return null;
+    if (STATES.includes(status)) return status;
+    return ALIASES[status] || null;
+};
+
+exports.canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+exports.isFinal = (status) => FINAL_STATES.includes(exports.normalize(status));
+
+exports.isLive = (status) => LIVE_STATES.includes(exports.normalize(status));
+
+exports.STATES = STATES;
+exports.FINAL_STATES = FINAL_STATES;
+exports.TRANSITIONS = TRANSITIONS;
+exports.TIMESTAMP_FIELDS = TIMESTAMP_FIELDS;
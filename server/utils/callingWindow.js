@@ -0,0 +1,294 @@
+// server/utils/callingWindow.js
+const callingWindowConfig = require('../config/callingWindow.config');
+
+const STATE_TIME_ZONES = {
+    CT: 'America/New_York', DC: 'America/New_York', DE: 'America/New_York', FL: 'America/New_York',
+    GA: 'America/New_York', MA: 'America/New_York', MD: 'America/New_York', ME: 'America/New_York',
+    MI: 'America/Detroit', NC: 'America/New_York', NH: 'America/New_York', NJ: 'America/New_York',
+    NY: 'America/New_York', OH: 'America/New_York', PA: 'America/New_York', RI: 'America/New_York',
+    SC: 'America/New_York', VA: 'America/New_York', VT: 'America/New_York', WV: 'America/New_York',
+    KY: 'America/New_York', IN: 'America/Indiana/Indianapolis',
+    AL: 'America/Chicago', AR: 'America/Chicago', IA: 'America/Chicago', IL: 'America/Chicago',
+    KS: 'America/Chicago', LA: 'America/Chicago', MN: 'America/Chicago', MO: 'America/Chicago',
+    MS: 'America/Chicago', ND: 'America/Chicago', NE: 'America/Chicago', OK: 'America/Chicago',
+    SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago', WI: 'America/Chicago',
+    AZ: 'America/Phoenix', CO: 'America/Denver', ID: 'America/Boise', MT: 'America/Denver',
+    NM: 'America/Denver', UT: 'America/Denver', WY: 'America/Denver',
+    CA: 'America/Los_Angeles', NV: 'America/Los_Angeles', OR: 'America/Los_Angeles', WA: 'America/Los_Angeles',
+    AK: 'America/Anchorage', HI: 'Pacific/Honolulu', PR: 'America/Puerto_Rico'
+};
+
+const STATE_AREA_CODES = {
+    AL: [205, 251, 256, 334, 659, 938],
+    AK: [907],
+    AZ: [480, 520, 602, 623, 928],
+    AR: [327, 479, 501, 870],
+    CA: [209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657,
+        661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951],
+    CO: [303, 719, 720, 970, 983],
+    CT: [203, 475, 860, 959],
+    DC: [202, 771],
+    DE: [302],
+    FL: [239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772, 786, 813, 850, 863, 904, 941, 954],
+    GA: [229, 404, 470, 478, 678, 706, 762, 770, 912, 943],
+    HI: [808],
+    IA: [319, 515, 563, 641, 712],
+    ID: [208, 986],
+    IL: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 872],
+    IN: [219, 260, 317, 463, 574, 765, 812, 930],
+    KS: [316, 620, 785, 913],
+    KY: [270, 364, 502, 606, 859],
+    LA: [225, 318, 337, 504, 985],
+    MA: [339, 351, 413, 508, 617, 774, 781, 857, 978],
+    MD: [227, 240, 301, 410, 443, 667],
+    ME: [207],
+    MI: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+    MN: [218, 320, 507, 612, 651, 763, 952],
+    MO: [235, 314, 417, 557, 573, 636, 660, 816, 975],
+    MS: [228, 601, 662, 769],
+    MT: [406],
+    NC: [252, 336, 472, 704, 743, 828, 910, 919, 980, 984],
+    ND: [701],
+    NE: [308, 402, 531],
+    NH: [603],
+    NJ: [201, 551, 609, 640, 732, 848, 856, 862, 908, 973],
+    NM: [505, 575],
+    NV: [702, 725, 775],
+    NY: [212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934],
+    OH: [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937],
+    OK: [405, 539, 572, 580, 918],
+    OR: [458, 503, 541, 971],
+    PA: [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878],
+    PR: [787, 939],
+    RI: [401],
+    SC: [803, 821, 839, 843, 854, 864],
+    SD: [605],
+    TN: [423, 615, 629, 731, 865, 901, 931],
+    TX: [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832,
+        903, 915, 936, 940, 945, 956, 972, 979],
+    UT: [385, 435, 801],
+    VA: [276, 434, 540, 571, 686, 703, 757, 804, 826, 948],
+    VT: [802],
+    WA: [206, 253, 360, 425, 509, 564],
+    WI: [262, 274, 414, 534, 608, 715, 920],
+    WV: [304, 681],
+    WY: [307]
+};
+
+// Area codes that differ from their state's zone. Codes that straddle a zone
+// line list both zones, and the contact must be inside the window in each.
+const AREA_CODE_TIME_ZONES = {
+    208: ['America/Boise', 'America/Los_Angeles'],
+    986: ['America/Boise', 'America/Los_Angeles'],
+    219: ['America/Chicago'],
+    270: ['America/Chicago'],
+    364: ['America/Chicago'],
+    308: ['America/Chicago', 'America/Denver'],
+    423: ['America/New_York'],
+    865: ['America/New_York'],
+    931: ['America/Chicago', 'America/New_York'],
+    458: ['America/Los_Angeles', 'America/Boise'],
+    541: ['America/Los_Angeles', 'America/Boise'],
+    605: ['America/Chicago', 'America/Denver'],
+    620: ['America/Chicago', 'America/Denver'],
+    701: ['America/Chicago', 'America/Denver'],
+    785: ['America/Chicago', 'America/Denver'],
+    812: ['America/Indiana/Indianapolis', 'America/Chicago'],
+    930: ['America/Indiana/Indianapolis', 'America/Chicago'],
+    850: ['America/New_York', 'America/Chicago'],
+    906: ['America/Detroit', 'America/Menominee'],
+    915: ['America/Denver']
+};
+
+const AREA_CODE_STATES = {};
+Object.entries(STATE_AREA_CODES).forEach(([state, codes]) => {
+    codes.forEach(code => {
+        AREA_CODE_STATES[code] = state;
+    });
+});
+
+// Shorthand zone names accepted in a CSV `timezone` column
+const TIME_ZONE_ALIASES = {
+    ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York', EASTERN: 'America/New_York',
+    CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago', CENTRAL: 'America/Chicago',
+    MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver', MOUNTAIN: 'America/Denver',
+    PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles', PACIFIC: 'America/Los_Angeles',
+    AKST: 'America/Anchorage', AKDT: 'America/Anchorage', ALASKA: 'America/Anchorage',
+    HST: 'Pacific/Honolulu', HAWAII: 'Pacific/Honolulu'
+};
+
+// Step used when searching for the next time a contact can be called
+const SEARCH_STEP_MS = 5 * 60 * 1000;
+const SEARCH_LIMIT_MS = 8 * 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Local weekday and minutes past midnight in a zone
+function getLocalTime(timeZone, date) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        weekday: parts.weekday.toLowerCase(),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+        label: `${parts.hour}:${parts.minute}`
+    };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+function normalizeTimeZone(value) {
+    if (!value) return null;
+
+    const trimmed = String(value).trim();
+    const alias = TIME_ZONE_ALIASES[trimmed.toUpperCase()];
+    if (alias) return alias;
+
+    try {
+        getFormatter(trimmed);
+        return trimmed;
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeState(value) {
+    if (!value) return null;
+    const state = String(value).trim().toUpperCase();
+    return STATE_TIME_ZONES[state] ? state : null;
+}
+
+// Three-digit area code of a NANP number, or null
+exports.getAreaCode = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.length === 11 && digits[0] === '1') return parseInt(digits.substring(1, 4));
+    if (digits.length === 10) return parseInt(digits.substring(0, 3));
+
+    return null;
+};
+
+// Work out where a contact is: explicit `timezone`/`state` columns first, then the area code
+exports.resolveContactLocation = (contact = {}) => {
+    const explicitZone = normalizeTimeZone(contact.timezone || contact.time_zone);
+    const explicitState = normalizeState(contact.state);
+    const areaCode = exports.getAreaCode(contact.phone_number || contact.phone);
+    const areaCodeState = areaCode ? AREA_CODE_STATES[areaCode] || null : null;
+    const state = explicitState || areaCodeState;
+
+    if (explicitZone) {
+        return { state, timeZones: [explicitZone], source: 'contact' };
+    }
+
+    if (explicitState) {
+        return { state, timeZones: [STATE_TIME_ZONES[explicitState]], source: 'contact' };
+    }
+
+    if (areaCodeState) {
+        return {
+            state,
+            timeZones: AREA_CODE_TIME_ZONES[areaCode] || [STATE_TIME_ZONES[areaCodeState]],
+            source: 'area-code'
+        };
+    }
+
+    return { state: null, timeZones: callingWindowConfig.unknownTimeZones, source: 'unknown' };
+};
+
+// Calling window that applies to a state on a given local weekday
+exports.getWindow = (state, weekday) => {
+    const stateWindow = (state && callingWindowConfig.stateWindows[state]) || callingWindowConfig.defaultWindow;
+    const dayWindow = weekday && stateWindow[weekday];
+
+    return {
+        start: (dayWindow || stateWindow).start || callingWindowConfig.defaultWindow.start,
+        end: (dayWindow || stateWindow).end || callingWindowConfig.defaultWindow.end
+    };
+};
+
+function isInsideWindow(location, date) {
+    return location.timeZones.every(timeZone => {
+        const local = getLocalTime(timeZone, date);
+        const window = exports.getWindow(location.state, local.weekday);
+        return local.minutes >= toMinutes(window.start) && local.minutes < toMinutes(window.end);
+    });
+}
+
+// Check whether a contact may be called now. When not, nextAllowedAt is the
+// first time (to the next 5 minutes) at which the contact's window opens.
+exports.checkCallingWindow = (contact, now = new Date()) => {
+    const location = exports.resolveContactLocation(contact);
+    const localTimes = location.timeZones.map(timeZone => {
+        const local = getLocalTime(timeZone, now);
+        return {
+            timeZone,
+            localTime: local.label,
+            window: exports.getWindow(location.state, local.weekday)
+        };
+    });
+
+    const result = {
+        allowed: true,
+        state: location.state,
+        source: location.source,
+        localTimes
+    };
+
+    if (!callingWindowConfig.enabled || isInsideWindow(location, now)) {
+        return result;
+    }
+
+    let nextAllowedAt = null;
+    const start = Math.ceil(now.getTime() / SEARCH_STEP_MS) * SEARCH_STEP_MS;
+    for (let time = start; time <= now.getTime() + SEARCH_LIMIT_MS; time += SEARCH_STEP_MS) {
+        if (isInsideWindow(location, new Date(time))) {
+            nextAllowedAt = new Date(time);
+            break;
+        }
+    }
+
+    return {
+        ...result,
+        allowed: false,
+        nextAllowedAt: nextAllowedAt ? nextAllowedAt.toISOString() : null,
+        reason: exports.describeBlockedCall({ ...result, nextAllowedAt })
+    };
+};
+
+// Human readable explanation of why a call is outside its calling window
+exports.describeBlockedCall = ({ state, source, localTimes, nextAllowedAt }) => {
+    const where = source === 'unknown'
+        ? 'contact location is unknown, so every continental US time zone must be inside the window'
+        : `contact is in ${state ? `${state}, ` : ''}${localTimes.map(t => t.timeZone).join(' / ')}`;
+
+    const times = localTimes
+        .map(t => `${t.localTime} in ${t.timeZone} (allowed ${t.window.start}-${t.window.end})`)
+        .join(', ');
+
+    const next = nextAllowedAt ? ` Next allowed at ${new Date(nextAllowedAt).toISOString()}.` : '';
+
+    return `Outside the calling window: ${where}. Local time is ${times}.${next}`;
+};
+
+// Local-time helpers shared with other schedules (e.g. transfer routing)
+exports.getLocalTime = getLocalTime;
+exports.toMinutes = toMinutes;
+exports.normalizeTimeZone = normalizeTimeZone;
@@ -0,0 +1,66 @@
+// server/utils/dispositions.js
+
+// Structured call outcomes reported per call and per campaign
+const DISPOSITIONS = [
+    'qualified',
+    'transferred',
+    'not-interested',
+    'wrong-number',
+    'voicemail',
+    'callback-requested',
+    'dnc'
+];
+
+// Where a disposition came from; a lower-priority source never overwrites a higher one
+const SOURCE_PRIORITY = {
+    'end-of-call-report': 1,
+    'transcript': 2,
+    'transfer-tool': 2,
+    'transfer-escalation': 2,
+    'manual': 3
+};
+
+// Phrases in the end-of-call summary that point to a disposition
+const SUMMARY_HINTS = [
+    { disposition: 'wrong-number', phrases: ['wrong number', 'wrong person', 'does not know', "doesn't know"] },
+    { disposition: 'callback-requested', phrases: ['call back', 'callback', 'call them back', 'better time'] },
+    { disposition: 'not-interested', phrases: ['not interested', 'declined'] }
+];
+
+exports.isValidDisposition = (disposition) => DISPOSITIONS.includes(disposition);
+
+// Accept "Not Interested", "not_interested" etc. from assistants and the UI
+exports.normalizeDisposition = (value) => {
+    if (!value) return null;
+
+    const normalized = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+    return DISPOSITIONS.includes(normalized) ? normalized : null;
+};
+
+exports.canOverwrite = (existing, source) => {
+    if (!existing) return true;
+    return (SOURCE_PRIORITY[source] || 0) >= (SOURCE_PRIORITY[existing.source] || 0);
+};
+
+// Work out a disposition from a Vapi end-of-call-report message, or null
+exports.fromEndOfCallReport = (message) => {
+    const analysis = message.analysis || {};
+    const structured = analysis.structuredData || {};
+
+    // An assistant's structured output wins when it uses our taxonomy
+    const reported = exports.normalizeDisposition(structured.disposition || structured.callDisposition);
+    if (reported) return reported;
+
+    const endedReason = String(message.endedReason || message.call?.endedReason || '').toLowerCase();
+    if (endedReason === 'voicemail') return 'voicemail';
+    if (endedReason.includes('forwarded')) return 'transferred';
+
+    if (structured.qualified === true || structured.qualifyStatus === true) return 'qualified';
+
+    const summary = String(analysis.summary || message.summary || '').toLowerCase();
+    const hint = SUMMARY_HINTS.find(({ phrases }) => phrases.some(phrase => summary.includes(phrase)));
+
+    return hint ? hint.disposition : null;
+};
+
+exports.DISPOSITIONS = DISPOSITIONS;
@@ -0,0 +1,24 @@
+// server/utils/envJson.js
+const logger = require('./logger');
+
+// Read a JSON setting from the environment. Unset, malformed or wrongly shaped
+// values (an array where an object is expected, or the other way round) are
+// logged and replaced by the fallback, so a bad setting never stops the server.
+exports.parseEnvJson = (name, fallback) => {
+    const value = process.env[name];
+    if (!value) return fallback;
+
+    try {
+        const parsed = JSON.parse(value);
+        const expectsArray = Array.isArray(fallback);
+
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) !== expectsArray) {
+            logger.error(`Invalid ${name}, ignoring: expected a JSON ${expectsArray ? 'array' : 'object'}`);
+            return fallback;
+        }
+        return parsed;
+    } catch (error) {
+        logger.error(`Invalid ${name}, ignoring: ${error.message}`);
+        return fallback;
+    }
+};
@@ -0,0 +1,114 @@
+// server/utils/retryPolicy.js
+
+// Call outcomes a campaign may retry
+const RETRYABLE_OUTCOMES = ['no-answer', 'busy', 'failed'];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    backoffSeconds: {
+        'no-answer': 60 * 60, // 1 hour
+        'busy': 10 * 60,      // 10 minutes
+        'failed': 5 * 60      // 5 minutes
+    },
+    doNotRetry: []
+};
+
+// Map a Vapi endedReason to the campaign outcome it represents
+exports.outcomeFromEndedReason = (endedReason) => {
+    if (!endedReason) return 'completed';
+
+    const reason = String(endedReason).toLowerCase();
+
+    if (reason.includes('did-not-answer') || reason.includes('no-answer') || reason === 'voicemail') {
+        return 'no-answer';
+    }
+    if (reason.includes('busy')) {
+        return 'busy';
+    }
+    if (reason.includes('failed') || reason.includes('error') || reason.includes('invalid-number')) {
+        return 'failed';
+    }
+
+    return 'completed';
+};
+
+// Validate a campaign's retry policy; returns a list of problems
+exports.validateRetryPolicy = (policy) => {
+    const errors = [];
+    if (policy === undefined || policy === null) return errors;
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['Retry policy must be an object'];
+    }
+
+    if (policy.maxAttempts !== undefined &&
+        (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1 || policy.maxAttempts > 10)) {
+        errors.push('Retry policy maxAttempts must be an integer between 1 and 10');
+    }
+
+    if (policy.backoffSeconds !== undefined &&
+        (typeof policy.backoffSeconds !== 'object' || policy.backoffSeconds === null || Array.isArray(policy.backoffSeconds))) {
+        errors.push('Retry policy backoffSeconds must be an object of outcome to seconds');
+    }
+    if (policy.doNotRetry !== undefined && !Array.isArray(policy.doNotRetry)) {
+        errors.push('Retry policy doNotRetry must be a list of outcomes');
+    }
+    if (errors.length > 0) return errors;
+
+    Object.entries(policy.backoffSeconds || {}).forEach(([outcome, seconds]) => {
+        if (!RETRYABLE_OUTCOMES.includes(outcome)) {
+            errors.push(`Retry policy backoff has unknown outcome: ${outcome}`);
+        } else if (typeof seconds !== 'number' || seconds < 0) {
+            errors.push(`Retry policy backoff for ${outcome} must be a non-negative number of seconds`);
+        }
+    });
+
+    (policy.doNotRetry || []).forEach(outcome => {
+        if (!RETRYABLE_OUTCOMES.includes(outcome)) {
+            errors.push(`Retry policy doNotRetry has unknown outcome: ${outcome}`);
+        }
+    });
+
+    return errors;
+};
+
+// Fill in defaults for anything the campaign did not set (null means no policy)
+exports.normalizeRetryPolicy = (policy) => {
+    const requested = policy || {};
+
+    return {
+        maxAttempts: requested.maxAttempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+        backoffSeconds: {
+            ...DEFAULT_RETRY_POLICY.backoffSeconds,
+            ...(requested.backoffSeconds || {})
+        },
+        doNotRetry: requested.doNotRetry || DEFAULT_RETRY_POLICY.doNotRetry
+    };
+};
+
+// Whether a failure to place a call is down to the number itself, which no retry can fix
+exports.isInvalidNumberError = (error) => {
+    const data = error?.response?.data || {};
+    const details = [error?.message, data.message, data.error]
+        .flat()
+        .filter(value => typeof value === 'string')
+        .join(' ')
+        .toLowerCase();
+
+    return /invalid[\s-]*(phone[\s-]*)?number|valid phone number/.test(details);
+};
+
+// Decide whether a contact gets another attempt; returns the delay in ms or null
+exports.getRetryDelay = (policy, contact, outcome) => {
+    const normalized = exports.normalizeRetryPolicy(policy);
+    const attempt = contact.attempt || 1;
+
+    if (!RETRYABLE_OUTCOMES.includes(outcome)) return null;
+    if (normalized.doNotRetry.includes(outcome)) return null;
+    if (attempt >= normalized.maxAttempts) return null;
+
+    return normalized.backoffSeconds[outcome] * 1000;
+};
+
+exports.RETRYABLE_OUTCOMES = RETRYABLE_OUTCOMES;
+exports.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY;
@@ -0,0 +1,64 @@
+// server/utils/transcriptFormat.js
+
+const SPEAKER_LABELS = {
+    assistant: 'Assistant',
+    customer: 'Customer'
+};
+
+// Rough speaking rate, used when a line has no usable duration
+const WORDS_PER_SECOND = 2.5;
+
+const speakerLabel = (speaker) => SPEAKER_LABELS[speaker] || String(speaker || 'Unknown');
+
+// Work out each line's start/end in seconds from the start of the call
+exports.withOffsets = (transcript) => {
+    const entries = transcript.entries || [];
+    const origin = new Date(transcript.startedAt || entries[0]?.startedAt).getTime() || 0;
+
+    return entries.map(entry => {
+        const startedAt = new Date(entry.startedAt).getTime();
+        const endedAt = new Date(entry.endedAt).getTime();
+
+        const start = entry.secondsFromStart != null
+            ? Number(entry.secondsFromStart)
+            : Math.max(0, (startedAt - origin) / 1000) || 0;
+
+        const spoken = (endedAt - startedAt) / 1000;
+        const estimated = Math.max(1, String(entry.text).split(/\s+/).length / WORDS_PER_SECOND);
+
+        return {
+            ...entry,
+            start,
+            end: start + (spoken > 0 ? spoken : estimated)
+        };
+    });
+};
+
+// 75.5 -> "00:01:15.500" (WebVTT) or "00:01:15" (plain text)
+exports.formatTimestamp = (seconds, withMillis = true) => {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const millis = totalMs % 1000;
+
+    const base = [hours, minutes, secs].map(n => String(n).padStart(2, '0')).join(':');
+    return withMillis ? `${base}.${String(millis).padStart(3, '0')}` : base;
+};
+
+exports.toText = (transcript) => {
+    return exports.withOffsets(transcript)
+        .map(entry => `[${exports.formatTimestamp(entry.start, false)}] ${speakerLabel(entry.speaker)}: ${entry.text}`)
+        .join('\n') + '\n';
+};
+
+exports.toWebVTT = (transcript) => {
+    const cues = exports.withOffsets(transcript).map((entry, index) => [
+        String(index + 1),
+        `${exports.formatTimestamp(entry.start)} --> ${exports.formatTimestamp(entry.end)}`,
+        // "-->" may not appear in cue text
+        `<v ${speakerLabel(entry.speaker)}>${String(entry.text).replace(/-->/g, '->')}`
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
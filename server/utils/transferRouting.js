@@ -0,0 +1,272 @@
+// server/utils/transferRouting.js
+const { getLocalTime, toMinutes, normalizeTimeZone } = require('./callingWindow');
+
+const DESTINATION_TYPES = ['queue', 'number', 'sip'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MATCH_LISTS = ['leadTypes', 'assistants', 'organizations'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const E164_PATTERN = /^\+\d{8,15}$/;
+
+// 'Hair Straightener', 'hair_straightener' and 'HAIR-STRAIGHTENER' are the same lead type
+const normalizeKey = (value) => String(value ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const ruleDestinations = (rule) => [].concat(rule.destinations || rule.destination || []);
+
+function validateHours(hours, label, errors) {
+    if (!hours || typeof hours !== 'object' || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+        errors.push(`${label} needs start and end times as HH:MM`);
+    }
+}
+
+function validateDays(days, label, errors) {
+    if (!Array.isArray(days) || days.some(day => !WEEKDAYS.includes(String(day).toLowerCase()))) {
+        errors.push(`${label} must be a list of weekdays (${WEEKDAYS.join(', ')})`);
+    }
+}
+
+function validateDestinations(destinations, errors) {
+    if (!Array.isArray(destinations) || destinations.length === 0) {
+        errors.push('destinations must be a non-empty array');
+        return new Set();
+    }
+
+    const ids = new Set();
+    destinations.forEach((destination, index) => {
+        const label = destination?.id ? `Destination "${destination.id}"` : `Destination ${index + 1}`;
+
+        if (!destination || typeof destination !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!destination.id || typeof destination.id !== 'string') {
+            errors.push(`${label} needs a string id`);
+        } else if (ids.has(destination.id)) {
+            errors.push(`${label} is defined more than once`);
+        } else {
+            ids.add(destination.id);
+        }
+
+        if (!DESTINATION_TYPES.includes(destination.type)) {
+            errors.push(`${label}: type must be one of ${DESTINATION_TYPES.join(', ')}`);
+        } else if (destination.type === 'sip') {
+            if (!/^sips?:\S+@\S+$/i.test(destination.uri || '')) {
+                errors.push(`${label} needs a SIP uri such as sip:agent@example.com`);
+            }
+        } else if (!E164_PATTERN.test(destination.number || '')) {
+            errors.push(`${label} needs an E.164 number such as +15551234567`);
+        }
+    });
+
+    return ids;
+}
+
+function validateRules(rules, destinationIds, errors) {
+    if (!Array.isArray(rules)) {
+        errors.push('rules must be an array');
+        return;
+    }
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const label = rule?.id ? `Rule "${rule.id}"` : `Rule ${index + 1}`;
+
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!rule.id || typeof rule.id !== 'string') {
+            errors.push(`${label} needs a string id`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${label} is defined more than once`);
+        } else {
+            ids.add(rule.id);
+        }
+
+        const destinations = ruleDestinations(rule);
+        if (destinations.length === 0) {
+            errors.push(`${label} needs at least one destination`);
+        }
+        destinations
+            .filter(id => !destinationIds.has(id))
+            .forEach(id => errors.push(`${label}: unknown destination "${id}"`));
+
+        const match = rule.match || {};
+        if (typeof match !== 'object') {
+            errors.push(`${label}: match must be an object`);
+            return;
+        }
+        MATCH_LISTS.forEach(key => {
+            if (match[key] !== undefined && (!Array.isArray(match[key]) || match[key].length === 0)) {
+                errors.push(`${label}: match.${key} must be a non-empty array`);
+            }
+        });
+        if (match.days !== undefined) validateDays(match.days, `${label}: match.days`, errors);
+        if (match.hours !== undefined) validateHours(match.hours, `${label}: match.hours`, errors);
+        if (match.businessHours !== undefined && typeof match.businessHours !== 'boolean') {
+            errors.push(`${label}: match.businessHours must be true or false`);
+        }
+        if (match.timeZone !== undefined && !normalizeTimeZone(match.timeZone)) {
+            errors.push(`${label}: unknown time zone ${match.timeZone}`);
+        }
+    });
+}
+
+// Validate a routing configuration; returns a list of problems
+exports.validateRouting = (routing) => {
+    if (!routing || typeof routing !== 'object') {
+        return ['routing must be an object with destinations and rules'];
+    }
+
+    const errors = [];
+    const destinationIds = validateDestinations(routing.destinations, errors);
+    validateRules(routing.rules || [], destinationIds, errors);
+
+    if (routing.defaultDestination !== undefined && !destinationIds.has(routing.defaultDestination)) {
+        errors.push(`defaultDestination "${routing.defaultDestination}" is not a destination`);
+    }
+
+    const businessHours = routing.businessHours;
+    if (businessHours !== undefined) {
+        validateHours(businessHours, 'businessHours', errors);
+        if (businessHours?.days !== undefined) validateDays(businessHours.days, 'businessHours.days', errors);
+        if (businessHours?.timeZone !== undefined && !normalizeTimeZone(businessHours.timeZone)) {
+            errors.push(`businessHours: unknown time zone ${businessHours.timeZone}`);
+        }
+    }
+
+    return errors;
+};
+
+// Fill in defaults for a (validated) configuration
+exports.normalizeRouting = (routing, defaults = {}) => {
+    const destinations = routing.destinations.map(destination => ({
+        id: destination.id,
+        name: destination.name || destination.id,
+        type: destination.type,
+        ...(destination.type === 'sip' ? { uri: destination.uri } : { number: destination.number })
+    }));
+
+    const businessHours = { ...defaults.businessHours, ...routing.businessHours };
+
+    return {
+        destinations,
+        rules: (routing.rules || []).map(rule => ({
+            id: rule.id,
+            name: rule.name || rule.id,
+            destinations: ruleDestinations(rule),
+            match: rule.match || {},
+            enabled: rule.enabled !== false
+        })),
+        defaultDestination: routing.defaultDestination ||
+            (destinations.some(destination => destination.id === defaults.defaultDestination)
+                ? defaults.defaultDestination
+                : destinations[0].id),
+        businessHours: {
+            ...businessHours,
+            timeZone: normalizeTimeZone(businessHours.timeZone) || 'America/New_York',
+            days: (businessHours.days || []).map(day => String(day).toLowerCase())
+        }
+    };
+};
+
+function insideHours(minutes, { start, end }) {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    // Windows such as 18:00-09:00 run past midnight
+    return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+// Whether `now` is within the configured office hours
+exports.isBusinessHours = (businessHours, now = new Date()) => {
+    const local = getLocalTime(businessHours.timeZone, now);
+    return businessHours.days.includes(local.weekday) && insideHours(local.minutes, businessHours);
+};
+
+const listMatches = (allowed, values) => {
+    if (!allowed) return true;
+    const wanted = allowed.map(normalizeKey);
+    return [].concat(values).some(value => value !== undefined && value !== null && wanted.includes(normalizeKey(value)));
+};
+
+// Whether a rule applies to a transfer. context: { leadType, assistants, organizationId, now }
+exports.matchRule = (rule, context, businessHours) => {
+    if (!rule.enabled) return false;
+
+    const { match } = rule;
+    const now = context.now || new Date();
+
+    if (!listMatches(match.leadTypes, context.leadType)) return false;
+    if (!listMatches(match.assistants, context.assistants || [])) return false;
+    if (!listMatches(match.organizations, context.organizationId)) return false;
+
+    if (match.days || match.hours) {
+        const timeZone = normalizeTimeZone(match.timeZone) || businessHours.timeZone;
+        const local = getLocalTime(timeZone, now);
+
+        if (match.days && !match.days.map(day => day.toLowerCase()).includes(local.weekday)) return false;
+        if (match.hours && !insideHours(local.minutes, match.hours)) return false;
+    }
+
+    if (match.businessHours !== undefined && exports.isBusinessHours(businessHours, now) !== match.businessHours) {
+        return false;
+    }
+
+    return true;
+};
+
+// Pick the destinations for a transfer: the first matching rule's, in order,
+// or the default destination
+exports.resolve = (routing, context = {}) => {
+    const byId = new Map(routing.destinations.map(destination => [destination.id, destination]));
+    const rule = routing.rules.find(candidate => exports.matchRule(candidate, context, routing.businessHours));
+
+    const destinations = (rule ? rule.destinations : [routing.defaultDestination])
+        .map(id => byId.get(id))
+        .filter(Boolean);
+
+    if (destinations.length === 0) {
+        destinations.push(byId.get(routing.defaultDestination) || routing.destinations[0]);
+    }
+
+    return {
+        ruleId: rule?.id || null,
+        ruleName: rule?.name || 'Default destination',
+        destination: destinations[0],
+        destinations
+    };
+};
+
+// Number or SIP URI to dial
+exports.getAddress = (destination) => (destination.type === 'sip' ? destination.uri : destination.number);
+
+// Text placed inside TwiML (addresses, customer names)
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// TwiML noun that dials a destination inside <Dial>
+exports.dialNoun = (destination) => (destination.type === 'sip'
+    ? `<Sip>${escapeXml(destination.uri)}</Sip>`
+    : `<Number>${escapeXml(destination.number)}</Number>`);
+
+// Whether a number or SIP address from a Twilio callback is this destination
+exports.matchesAddress = (destination, value) => {
+    if (!destination || !value) return false;
+
+    if (destination.type === 'sip') {
+        const bare = (uri) => String(uri).toLowerCase().split(';')[0].replace(/^sips?:/, '');
+        return bare(value) === bare(destination.uri);
+    }
+
+    const digits = (number) => String(number).replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    return digits(value) !== '' && digits(value) === digits(destination.number);
+};
+
+exports.escapeXml = escapeXml;
+exports.DESTINATION_TYPES = DESTINATION_TYPES;
+exports.WEEKDAYS = WEEKDAYS;
@@ -1,20 +1,33 @@
 const WebSocket = require('ws');
 const logger = require('./utils/logger');
 const callMonitor = require('./services/callMonitor');
+const { resolveUser } = require('./middleware/auth');
 
 let wss = null;
 const clients = new Map();
+const subscriptions = new Map(); // clientId -> Set of topics
+
+// Topics a client can subscribe to: call:<id>, campaign:<id>, conference:<id>, alerts
+const TOPIC_PATTERN = /^(call|campaign|conference):[\w.-]+$|^alerts$/;
+
+// High-volume events that only go to clients subscribed to one of their topics;
+// everything else is still sent to every client
+const SUBSCRIBER_ONLY_EVENTS = {
+    transcript_update: (data) => [`call:${data.callId}`],
+    call_alert: (data) => ['alerts', `call:${data.callId}`]
+};
 
 function initializeWebSocketServer(server) {
     // Main WebSocket server for real-time updates
     // In production (Railway), use the same server as HTTP
     // In development, use separate port
     if (process.env.NODE_ENV === 'production' && server) {
-        wss = new WebSocket.Server({ server });
+        wss = new WebSocket.Server({ server, verifyClient });
         logger.info('WebSocket server attached to HTTP server (production mode)');
     } else {
         wss = new WebSocket.Server({ 
-            port: process.env.WS_PORT || 8010
+            port: process.env.WS_PORT || 8010,
+            verifyClient
         });
         logger.info(`WebSocket server listening on separate port ${process.env.WS_PORT || 8010} (development mode)`);
     }
@@ -22,15 +35,18 @@ function initializeWebSocketServer(server) {
     // Handle main WebSocket connections
     wss.on('connection', (ws, req) => {
         const clientId = generateClientId();
+        ws.user = req.user;
         clients.set(clientId, ws);
+        subscriptions.set(clientId, new Set());
         
-        logger.info(`Client ${clientId} connected. Total clients: ${clients.size}`);
+        logger.info(`Client ${clientId} (${ws.user.username}, ${ws.user.role}) connected. Total clients: ${clients.size}`);
         
         // Send connection confirmation
         ws.send(JSON.stringify({
             type: 'connection',
             message: 'Connected to Bridge Legal Call System',
-            clientId: clientId
+            clientId: clientId,
+            user: ws.user
         }));
         
         // Send current active calls
@@ -47,6 +63,7 @@ function initializeWebSocketServer(server) {
         
         // Handle client disconnect
         ws.on('close', () => {
+            unsubscribeAll(clientId);
             clients.delete(clientId);
             logger.info(`Client ${clientId} disconnected. Total clients: ${clients.size}`);
         });
@@ -62,6 +79,33 @@ function initializeWebSocketServer(server) {
     });
 }
 
+// Only accept connections from logged-in users (same session cookie or
+// Bearer token as the REST API); the user is kept on the request for 'connection'
+function verifyClient(info, done) {
+    resolveUser(info.req)
+        .then(user => {
+            if (!user) {
+                logger.warn(`🚫 Rejected unauthenticated WebSocket connection from ${info.req.socket.remoteAddress}`);
+                return done(false, 401, 'Unauthorized');
+            }
+            info.req.user = user;
+            done(true);
+        })
+        .catch(error => {
+            logger.error('Error authenticating WebSocket connection:', error);
+            done(false, 500, 'Internal Server Error');
+        });
+}
+
+// Close the connections of a user whose session ended
+function disconnectUser(username) {
+    clients.forEach((ws) => {
+        if (ws.user?.username === username) {
+            ws.close(4001, 'Session ended');
+        }
+    });
+}
+
 // Generate unique client ID
 function generateClientId() {
     return `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -73,17 +117,44 @@ function handleWebSocketMessage(clientId, message) {
         const data = JSON.parse(message);
         
         switch (data.type) {
+            case 'subscribe':
+                subscribe(clientId, data.topic, data);
+                break;
+                
+            case 'unsubscribe':
+                unsubscribe(clientId, data.topic);
+                break;
+                
             case 'subscribe_call':
-                logger.info(`Client ${clientId} subscribing to call ${data.callId}`);
-                // Could implement call-specific subscriptions here
+                subscribe(clientId, `call:${data.callId}`, data);
                 break;
                 
             case 'unsubscribe_call':
-                logger.info(`Client ${clientId} unsubscribing from call ${data.callId}`);
+                unsubscribe(clientId, `call:${data.callId}`);
                 break;
                 
             case 'subscribe_campaign':
-                logger.info(`Client ${clientId} subscribing to campaign ${data.campaignId}`);
+                subscribe(clientId, `campaign:${data.campaignId}`);
+                break;
+                
+            case 'unsubscribe_campaign':
+                unsubscribe(clientId, `campaign:${data.campaignId}`);
+                break;
+                
+            case 'subscribe_conference':
+                subscribe(clientId, `conference:${data.conferenceId}`);
+                break;
+                
+            case 'unsubscribe_conference':
+                unsubscribe(clientId, `conference:${data.conferenceId}`);
+                break;
+                
+            case 'subscribe_alerts':
+                subscribe(clientId, 'alerts');
+                break;
+                
+            case 'unsubscribe_alerts':
+                unsubscribe(clientId, 'alerts');
                 break;
                 
             case 'get_active_calls':
@@ -106,8 +177,91 @@ function handleWebSocketMessage(clientId, message) {
     }
 }
 
-// Broadcast message to all connected clients
+// Add a topic to a client's subscriptions. Call subscriptions with `audio: true`
+// also forward that call's monitor audio events (audio_data as binary frames).
+function subscribe(clientId, topic, options = {}) {
+    const topics = subscriptions.get(clientId);
+    if (!topics) return;
+    
+    if (!TOPIC_PATTERN.test(String(topic))) {
+        sendToClient(clientId, { type: 'error', message: `Invalid subscription topic: ${topic}` });
+        return;
+    }
+    
+    topics.add(topic);
+    
+    if (options.audio && topic.startsWith('call:')) {
+        const callId = topic.slice('call:'.length);
+        callMonitor.addListener(callId, clientId, (event) => forwardAudio(clientId, callId, event));
+    }
+    
+    logger.info(`Client ${clientId} subscribed to ${topic}`);
+    sendToClient(clientId, { type: 'subscribed', topic });
+}
+
+function unsubscribe(clientId, topic) {
+    const topics = subscriptions.get(clientId);
+    if (!topics || !topics.delete(topic)) return;
+    
+    if (topic.startsWith('call:')) {
+        callMonitor.removeListener(topic.slice('call:'.length), clientId);
+    }
+    
+    logger.info(`Client ${clientId} unsubscribed from ${topic}`);
+    sendToClient(clientId, { type: 'unsubscribed', topic });
+}
+
+function unsubscribeAll(clientId) {
+    const topics = subscriptions.get(clientId) || new Set();
+    
+    topics.forEach(topic => {
+        if (topic.startsWith('call:')) {
+            callMonitor.removeListener(topic.slice('call:'.length), clientId);
+        }
+    });
+    subscriptions.delete(clientId);
+}
+
+// Monitor audio for one subscribed client
+function forwardAudio(clientId, callId, event) {
+    const ws = clients.get(clientId);
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    
+    if (event.type === 'audio_data') {
+        ws.send(event.data, { binary: true });
+    } else {
+        ws.send(JSON.stringify({ ...event, callId }));
+    }
+}
+
+// Send a message to the clients subscribed to a topic
+function publish(topic, data) {
+    publishToTopics([topic], data);
+}
+
+function publishToTopics(topics, data) {
+    const message = JSON.stringify(data);
+    let sent = 0;
+    
+    clients.forEach((ws, clientId) => {
+        const clientTopics = subscriptions.get(clientId);
+        if (ws.readyState === WebSocket.OPEN && clientTopics && topics.some(topic => clientTopics.has(topic))) {
+            ws.send(message);
+            sent++;
+        }
+    });
+    
+    logger.debug(`Sent ${data.type} to ${sent} subscribers of ${topics.join(', ')}`);
+}
+
+// Broadcast message to all connected clients (or only subscribers, for high-volume events)
 function broadcastToClients(data) {
+    const topicsFor = SUBSCRIBER_ONLY_EVENTS[data.type];
+    if (topicsFor) {
+        publishToTopics(topicsFor(data), data);
+        return;
+    }
+    
     const message = JSON.stringify(data);
     
     clients.forEach((ws, clientId) => {
@@ -135,6 +289,8 @@ function getClientCount() {
 module.exports = {
     initializeWebSocketServer,
     broadcastToClients,
+    publish,
     sendToClient,
-    getClientCount
+    getClientCount,
+    disconnectUser
 };
\ No newline at end of file
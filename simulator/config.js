@@ -0,0 +1,27 @@
+// simulator/config.js
+module.exports = {
+    port: parseInt(process.env.SIMULATOR_PORT) || 3020,
+
+    // Where this simulator is reachable (used in controlUrl and resource URIs)
+    publicUrl: process.env.SIMULATOR_PUBLIC_URL || `http://localhost:${parseInt(process.env.SIMULATOR_PORT) || 3020}`,
+
+    // The call system that receives the webhooks
+    targetUrl: process.env.SIMULATOR_TARGET_URL || `http://localhost:${process.env.PORT || 3010}`,
+
+    // Signing secrets, shared with the server's .env
+    vapiWebhookSecret: process.env.WEBHOOK_SECRET,
+    twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
+    twilioPhoneNumber: process.env.TWILIO_PHONE_NUMBER || '+15005550006',
+
+    // 2 runs every scenario twice as fast
+    speed: parseFloat(process.env.SIMULATOR_SPEED) || 1,
+
+    // Scenario for numbers without a scenario suffix (see scenarios.js)
+    defaultScenario: process.env.SIMULATOR_DEFAULT_SCENARIO || 'answered',
+
+    // Seconds before a dialed agent or queue answers; 'never' leaves it ringing
+    agentAnswerSeconds: process.env.SIMULATOR_AGENT_ANSWER_SECONDS || '15',
+
+    // Twilio gives up on an unanswered outbound call after this long
+    ringTimeoutSeconds: 60
+};
@@ -0,0 +1,41 @@
+// simulator/index.js
+// Local stand-in for the Vapi and Twilio APIs. Point VAPI_BASE_URL and
+// TWILIO_API_BASE_URL at it and it plays scripted calls against the server,
+// sending the same signed webhooks the real services would.
+require('dotenv').config();
+
+const express = require('express');
+const config = require('./config');
+const vapi = require('./vapi');
+const twilio = require('./twilio');
+const { NUMBER_SUFFIXES } = require('./scenarios');
+const { log } = require('./webhooks');
+
+const app = express();
+
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+app.use('/vapi', vapi.router);
+app.use('/twilio', twilio.router);
+
+app.get('/', (req, res) => {
+    res.json({
+        status: 'running',
+        targetUrl: config.targetUrl,
+        speed: config.speed,
+        vapiCalls: vapi.calls.size,
+        twilioCalls: twilio.calls.size,
+        conferences: twilio.conferences.size
+    });
+});
+
+app.listen(config.port, () => {
+    log(`🧪 Simulator listening on port ${config.port}, sending webhooks to ${config.targetUrl}`);
+    log(`   VAPI_BASE_URL=${config.publicUrl}/vapi`);
+    log(`   TWILIO_API_BASE_URL=${config.publicUrl}/twilio`);
+    log(`   Default scenario: ${config.defaultScenario}, speed: ${config.speed}x, agents answer: ${config.agentAnswerSeconds}`);
+    log(`   Number suffixes: ${Object.entries(NUMBER_SUFFIXES).map(([suffix, name]) => `${suffix}=${name}`).join(', ')}`);
+    if (!config.vapiWebhookSecret) log('⚠️  WEBHOOK_SECRET not set, Vapi webhooks are unsigned');
+    if (!config.twilioAuthToken) log('⚠️  TWILIO_AUTH_TOKEN not set, Twilio callbacks are unsigned');
+});
@@ -0,0 +1,102 @@
+// simulator/scenarios.js
+const config = require('./config');
+
+// A scenario is a list of steps, each run `at` seconds after the call is
+// created (scaled by SIMULATOR_SPEED):
+//   status   - send a status-update
+//   say      - [role, text]: partial then final transcript
+//   tool     - call a tool endpoint on the server with these arguments
+//   end      - end the call with this endedReason (status-update + end-of-call-report)
+const ring = (at) => ({ at, status: 'ringing' });
+const answer = (at) => ({ at, status: 'in-progress' });
+
+const GREETING = [
+    { at: 5, say: ['assistant', 'Hi, this is Ava from Bridge Legal. Am I speaking with {firstName}?'] },
+    { at: 9, say: ['user', 'Yes, this is me.'] },
+    { at: 12, say: ['assistant', 'Thanks for taking my call. I am following up on your inquiry about a possible claim. Do you have a couple of minutes?'] },
+    { at: 17, say: ['user', 'Sure, go ahead.'] }
+];
+
+const SCENARIOS = {
+    // Customer talks, then declines and hangs up
+    answered: [
+        ring(1),
+        answer(4),
+        ...GREETING,
+        { at: 21, say: ['assistant', 'Have you or a family member been diagnosed with a related condition?'] },
+        { at: 25, say: ['user', 'No, I am not interested right now. Thanks.'] },
+        { at: 28, end: 'customer-ended-call', disposition: 'not-interested', summary: 'Customer declined and ended the call.' }
+    ],
+
+    // Customer qualifies and the assistant calls transfer-conference. If the
+    // server moves the customer's call into the conference first, the call ends
+    // then with assistant-forwarded-call.
+    transfer: [
+        ring(1),
+        answer(4),
+        ...GREETING,
+        { at: 21, say: ['assistant', 'Have you or a family member been diagnosed with a related condition?'] },
+        { at: 25, say: ['user', 'Yes, I was diagnosed two years ago.'] },
+        { at: 28, say: ['assistant', 'Thank you. I am connecting you with a senior consultant now.'] },
+        { at: 30, tool: 'transfer-conference' },
+        { at: 60, end: 'assistant-forwarded-call', disposition: 'qualified', summary: 'Customer qualified and was transferred.' }
+    ],
+
+    'no-answer': [
+        ring(1),
+        { at: 30, end: 'customer-did-not-answer' }
+    ],
+
+    busy: [
+        { at: 3, end: 'customer-busy' }
+    ],
+
+    failed: [
+        { at: 2, end: 'twilio-failed-to-connect-call' }
+    ],
+
+    voicemail: [
+        ring(1),
+        answer(6),
+        { at: 8, say: ['assistant', 'Hi, this message is for {firstName}. Please call us back at your convenience.'] },
+        { at: 15, end: 'voicemail', disposition: 'voicemail', summary: 'Reached voicemail and left a message.' }
+    ],
+
+    // Hold assistant in a transfer conference: stays until the server ends it
+    hold: [
+        ring(1),
+        answer(2),
+        { at: 3, say: ['assistant', 'Thanks for your patience! I will stay on the line with you while we connect you with a specialist.'] },
+        { at: 30 * 60, end: 'exceeded-max-duration' }
+    ]
+};
+
+// The last four digits of the customer's number pick a scenario, so a
+// campaign CSV can mix outcomes
+const NUMBER_SUFFIXES = {
+    '0000': 'no-answer',
+    '0001': 'busy',
+    '0002': 'failed',
+    '0003': 'voicemail',
+    '0004': 'transfer'
+};
+
+// Scenario for a POST /call payload
+exports.pick = (payload) => {
+    const variables = payload.assistantOverrides?.variableValues || {};
+
+    if (variables.simulatorScenario && SCENARIOS[variables.simulatorScenario]) {
+        return variables.simulatorScenario;
+    }
+    if (variables.isConferenceCall === 'true') {
+        return 'hold';
+    }
+
+    const suffix = String(payload.customer?.number || '').slice(-4);
+    return NUMBER_SUFFIXES[suffix] || (SCENARIOS[config.defaultScenario] ? config.defaultScenario : 'answered');
+};
+
+exports.steps = (name) => SCENARIOS[name] || SCENARIOS.answered;
+
+exports.SCENARIOS = SCENARIOS;
+exports.NUMBER_SUFFIXES = NUMBER_SUFFIXES;
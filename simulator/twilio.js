@@ -0,0 +1,521 @@
+// simulator/twilio.js
+const express = require('express');
+const crypto = require('crypto');
+const config = require('./config');
+const { delay, log, sendTwilio } = require('./webhooks');
+
+const router = express.Router();
+
+const calls = new Map();       // CallSid -> call
+const conferences = new Map(); // ConferenceSid -> conference
+
+const newSid = (prefix) => prefix + crypto.randomBytes(16).toString('hex');
+const twilioDate = (date) => (date ? new Date(date).toUTCString() : null);
+
+// statusCallbackEvent names for each call status
+const CALL_EVENTS = {
+    'initiated': 'initiated',
+    'ringing': 'ringing',
+    'in-progress': 'answered',
+    'completed': 'completed',
+    'busy': 'completed',
+    'no-answer': 'completed',
+    'failed': 'completed',
+    'canceled': 'completed'
+};
+
+// <Conference> attribute names for each conference event
+const CONFERENCE_EVENTS = {
+    'conference-start': 'start',
+    'conference-end': 'end',
+    'participant-join': 'join',
+    'participant-leave': 'leave',
+    'participant-mute': 'mute',
+    'participant-unmute': 'mute',
+    'participant-hold': 'hold',
+    'participant-unhold': 'hold'
+};
+
+// Conference name and attributes from <Dial><Conference ...>name</Conference></Dial>
+function parseConference(twiml) {
+    const match = /<Conference([^>]*)>\s*([^<]+?)\s*<\/Conference>/.exec(twiml || '');
+    if (!match) return null;
+
+    const attributes = {};
+    for (const [, name, value] of match[1].matchAll(/(\w+)="([^"]*)"/g)) {
+        attributes[name] = value;
+    }
+
+    return {
+        name: match[2],
+        statusCallback: attributes.statusCallback,
+        events: (attributes.statusCallbackEvent || '').split(/\s+/).filter(Boolean),
+        startConferenceOnEnter: attributes.startConferenceOnEnter !== 'false',
+        endConferenceOnExit: attributes.endConferenceOnExit === 'true',
+        muted: attributes.muted === 'true',
+        coach: attributes.coach || null
+    };
+}
+
+function callJson(call) {
+    return {
+        sid: call.sid,
+        account_sid: call.accountSid,
+        to: call.to,
+        from: call.from,
+        status: call.status,
+        direction: call.direction,
+        date_created: twilioDate(call.dateCreated),
+        date_updated: twilioDate(call.dateUpdated),
+        start_time: twilioDate(call.startTime),
+        end_time: twilioDate(call.endTime),
+        duration: call.endTime && call.startTime
+            ? String(Math.round((new Date(call.endTime) - new Date(call.startTime)) / 1000))
+            : null,
+        parent_call_sid: null,
+        uri: `/2010-04-01/Accounts/${call.accountSid}/Calls/${call.sid}.json`
+    };
+}
+
+function conferenceJson(conference) {
+    return {
+        sid: conference.sid,
+        account_sid: conference.accountSid,
+        friendly_name: conference.friendlyName,
+        status: conference.status,
+        region: 'us1',
+        date_created: twilioDate(conference.dateCreated),
+        date_updated: twilioDate(conference.dateUpdated),
+        uri: `/2010-04-01/Accounts/${conference.accountSid}/Conferences/${conference.sid}.json`
+    };
+}
+
+function participantJson(conference, participant) {
+    return {
+        account_sid: conference.accountSid,
+        conference_sid: conference.sid,
+        call_sid: participant.callSid,
+        label: participant.label || null,
+        muted: participant.muted,
+        hold: participant.hold,
+        coaching: participant.coaching,
+        call_sid_to_coach: participant.callSidToCoach || null,
+        start_conference_on_enter: participant.startConferenceOnEnter,
+        end_conference_on_exit: participant.endConferenceOnExit,
+        status: 'connected',
+        date_created: twilioDate(participant.joinedAt),
+        date_updated: twilioDate(participant.joinedAt)
+    };
+}
+
+function listJson(key, items, req) {
+    return {
+        [key]: items,
+        meta: {
+            key,
+            page: 0,
+            page_size: items.length,
+            first_page_url: `${config.publicUrl}${req.originalUrl}`,
+            previous_page_url: null,
+            next_page_url: null,
+            url: `${config.publicUrl}${req.originalUrl}`
+        }
+    };
+}
+
+function notFound(res, what) {
+    res.status(404).json({
+        code: 20404,
+        message: `The requested resource ${what} was not found`,
+        more_info: 'https://www.twilio.com/docs/errors/20404',
+        status: 404
+    });
+}
+
+function setCallStatus(call, status) {
+    call.status = status;
+    call.dateUpdated = new Date();
+    if (status === 'in-progress') call.startTime = call.dateUpdated;
+    if (CALL_EVENTS[status] === 'completed') call.endTime = call.dateUpdated;
+
+    // Without statusCallbackEvent Twilio only reports completion
+    const events = call.statusCallbackEvents.length > 0 ? call.statusCallbackEvents : ['completed'];
+    if (call.statusCallback && events.includes(CALL_EVENTS[status])) {
+        sendTwilio(call.statusCallback, {
+            AccountSid: call.accountSid,
+            CallSid: call.sid,
+            From: call.from,
+            To: call.to,
+            Direction: call.direction,
+            CallStatus: status,
+            Timestamp: call.dateUpdated.toUTCString(),
+            ...(call.endTime && call.startTime && {
+                CallDuration: String(Math.round((call.endTime - call.startTime) / 1000))
+            })
+        });
+    }
+}
+
+// Conference status callbacks carry the CallSid but, as with Twilio, not From/To
+function sendConferenceEvent(conference, event, participant) {
+    if (!conference.statusCallback || !conference.events.includes(CONFERENCE_EVENTS[event])) return;
+
+    conference.sequence++;
+    sendTwilio(conference.statusCallback, {
+        AccountSid: conference.accountSid,
+        ConferenceSid: conference.sid,
+        FriendlyName: conference.friendlyName,
+        StatusCallbackEvent: event,
+        SequenceNumber: String(conference.sequence),
+        Timestamp: new Date().toUTCString(),
+        ...(participant && {
+            CallSid: participant.callSid,
+            Muted: String(participant.muted),
+            Hold: String(participant.hold),
+            Coaching: String(participant.coaching),
+            EndConferenceOnExit: String(participant.endConferenceOnExit),
+            StartConferenceOnEnter: String(participant.startConferenceOnEnter)
+        })
+    });
+}
+
+function findOpenConference(friendlyName) {
+    return [...conferences.values()].find(conference =>
+        conference.friendlyName === friendlyName && conference.status !== 'completed');
+}
+
+function joinConference(call, dial, options = {}) {
+    let conference = findOpenConference(dial.name);
+    if (!conference) {
+        conference = {
+            sid: newSid('CF'),
+            accountSid: call.accountSid,
+            friendlyName: dial.name,
+            status: 'init',
+            statusCallback: dial.statusCallback,
+            events: dial.events,
+            participants: new Map(),
+            announcements: [],
+            sequence: 0,
+            dateCreated: new Date(),
+            dateUpdated: new Date()
+        };
+        conferences.set(conference.sid, conference);
+    } else if (!conference.statusCallback && dial.statusCallback) {
+        conference.statusCallback = dial.statusCallback;
+        conference.events = dial.events;
+    }
+
+    const participant = {
+        callSid: call.sid,
+        label: options.label,
+        muted: dial.muted || options.muted === true,
+        hold: false,
+        coaching: options.coaching === true || Boolean(dial.coach),
+        callSidToCoach: options.callSidToCoach || dial.coach,
+        startConferenceOnEnter: dial.startConferenceOnEnter,
+        endConferenceOnExit: dial.endConferenceOnExit,
+        joinedAt: new Date()
+    };
+    conference.participants.set(call.sid, participant);
+    call.conferenceSid = conference.sid;
+    log(`📞 ${call.to} joined conference ${conference.friendlyName}`);
+
+    if (conference.status === 'init' && participant.startConferenceOnEnter) {
+        conference.status = 'in-progress';
+        conference.dateUpdated = new Date();
+        sendConferenceEvent(conference, 'conference-start');
+    }
+    sendConferenceEvent(conference, 'participant-join', participant);
+}
+
+function endConference(conference) {
+    if (conference.status === 'completed') return;
+
+    conference.status = 'completed';
+    conference.dateUpdated = new Date();
+
+    // Ending a conference disconnects everyone in it
+    for (const callSid of [...conference.participants.keys()]) {
+        const call = calls.get(callSid);
+        if (call) hangUp(call);
+    }
+    sendConferenceEvent(conference, 'conference-end');
+    log(`🏁 Conference ${conference.friendlyName} ended`);
+}
+
+function leaveConference(call) {
+    const conference = conferences.get(call.conferenceSid);
+    call.conferenceSid = null;
+    if (!conference) return;
+
+    const participant = conference.participants.get(call.sid);
+    conference.participants.delete(call.sid);
+    if (participant) {
+        sendConferenceEvent(conference, 'participant-leave', participant);
+    }
+
+    if (conference.participants.size === 0 || participant?.endConferenceOnExit) {
+        endConference(conference);
+    }
+}
+
+function hangUp(call, status = 'completed') {
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(call.status)) return;
+
+    call.timers.forEach(clearTimeout);
+    if (call.conferenceSid) leaveConference(call);
+    setCallStatus(call, status);
+    call.onHangup?.(call);
+}
+
+// Run the TwiML a call was answered (or redirected) with
+function runTwiml(call, twiml, options) {
+    const dial = parseConference(twiml);
+    if (call.conferenceSid) leaveConference(call);
+
+    if (dial) {
+        joinConference(call, dial, options);
+    } else if (/<Hangup\s*\/>/.test(twiml || '')) {
+        hangUp(call);
+    }
+}
+
+function createCall({ accountSid, to, from, twiml, statusCallback, statusCallbackEvents = [], participantOptions }) {
+    const call = {
+        sid: newSid('CA'),
+        accountSid,
+        to,
+        from,
+        status: 'queued',
+        direction: 'outbound-api',
+        statusCallback,
+        statusCallbackEvents,
+        conferenceSid: null,
+        timers: [],
+        dateCreated: new Date(),
+        dateUpdated: new Date()
+    };
+    calls.set(call.sid, call);
+    log(`📱 Dialing ${to} (${call.sid})`);
+
+    setCallStatus(call, 'initiated');
+    call.timers.push(setTimeout(() => setCallStatus(call, 'ringing'), delay(1)));
+
+    const ringTimeout = setTimeout(() => hangUp(call, 'no-answer'), delay(1 + config.ringTimeoutSeconds));
+    call.timers.push(ringTimeout);
+
+    // Agents and queues answer after SIMULATOR_AGENT_ANSWER_SECONDS
+    const answerSeconds = parseFloat(config.agentAnswerSeconds);
+    if (config.agentAnswerSeconds !== 'never' && !isNaN(answerSeconds)) {
+        call.timers.push(setTimeout(() => {
+            clearTimeout(ringTimeout);
+            setCallStatus(call, 'in-progress');
+            runTwiml(call, twiml, participantOptions);
+        }, delay(1 + answerSeconds)));
+    }
+
+    return call;
+}
+
+// The customer leg of a simulated Vapi call, so findActiveCallByPhone and
+// call redirects work. Vapi owns its callbacks, so none are sent.
+exports.registerCall = ({ to, from, onRedirect, onHangup }) => {
+    const call = {
+        sid: newSid('CA'),
+        accountSid: process.env.TWILIO_ACCOUNT_SID || newSid('AC'),
+        to,
+        from: from || config.twilioPhoneNumber,
+        status: 'in-progress',
+        direction: 'outbound-api',
+        statusCallbackEvents: [],
+        conferenceSid: null,
+        timers: [],
+        onRedirect,
+        onHangup,
+        dateCreated: new Date(),
+        dateUpdated: new Date(),
+        startTime: new Date()
+    };
+    calls.set(call.sid, call);
+    return call;
+};
+
+exports.hangUp = (callSid) => {
+    const call = calls.get(callSid);
+    if (call) hangUp(call);
+};
+
+const asList = (value) => [].concat(value || []).flatMap(item => String(item).split(/[\s,]+/)).filter(Boolean);
+
+const ACCOUNT = '/2010-04-01/Accounts/:accountSid';
+
+router.post(`${ACCOUNT}/Calls.json`, (req, res) => {
+    const { To, From, Twiml, StatusCallback } = req.body;
+    if (!To || !From) {
+        return res.status(400).json({ code: 21201, message: 'To and From are required', status: 400 });
+    }
+
+    const call = createCall({
+        accountSid: req.params.accountSid,
+        to: To,
+        from: From,
+        twiml: Twiml,
+        statusCallback: StatusCallback,
+        statusCallbackEvents: asList(req.body.StatusCallbackEvent)
+    });
+    res.status(201).json(callJson(call));
+});
+
+router.get(`${ACCOUNT}/Calls.json`, (req, res) => {
+    const statuses = asList(req.query.Status);
+    const matching = [...calls.values()].filter(call =>
+        (!req.query.To || call.to === req.query.To) &&
+        (!req.query.From || call.from === req.query.From) &&
+        (statuses.length === 0 || statuses.includes(call.status)));
+
+    res.json(listJson('calls', matching.reverse().map(callJson), req));
+});
+
+router.get(`${ACCOUNT}/Calls/:callSid.json`, (req, res) => {
+    const call = calls.get(req.params.callSid);
+    if (!call) return notFound(res, `Call ${req.params.callSid}`);
+    res.json(callJson(call));
+});
+
+// Redirect with new TwiML, or hang up with Status=completed
+router.post(`${ACCOUNT}/Calls/:callSid.json`, (req, res) => {
+    const call = calls.get(req.params.callSid);
+    if (!call) return notFound(res, `Call ${req.params.callSid}`);
+
+    if (req.body.Status === 'completed' || req.body.Status === 'canceled') {
+        hangUp(call, req.body.Status);
+    } else if (req.body.Twiml) {
+        log(`🔀 Redirecting ${call.sid}`);
+        runTwiml(call, req.body.Twiml);
+
+        // The call now follows this TwiML, not its Vapi assistant
+        const onRedirect = call.onRedirect;
+        call.onRedirect = null;
+        call.onHangup = null;
+        onRedirect?.(call);
+    }
+
+    res.json(callJson(call));
+});
+
+router.get(`${ACCOUNT}/Conferences.json`, (req, res) => {
+    const matching = [...conferences.values()].filter(conference =>
+        (!req.query.FriendlyName || conference.friendlyName === req.query.FriendlyName) &&
+        (!req.query.Status || conference.status === req.query.Status));
+
+    res.json(listJson('conferences', matching.reverse().map(conferenceJson), req));
+});
+
+router.get(`${ACCOUNT}/Conferences/:conferenceSid.json`, (req, res) => {
+    const conference = conferences.get(req.params.conferenceSid);
+    if (!conference) return notFound(res, `Conference ${req.params.conferenceSid}`);
+    res.json(conferenceJson(conference));
+});
+
+// End with Status=completed, or play an announcement with AnnounceUrl
+router.post(`${ACCOUNT}/Conferences/:conferenceSid.json`, (req, res) => {
+    const conference = conferences.get(req.params.conferenceSid);
+    if (!conference) return notFound(res, `Conference ${req.params.conferenceSid}`);
+
+    if (req.body.AnnounceUrl) {
+        const message = new URL(req.body.AnnounceUrl, config.targetUrl).searchParams.get('message');
+        conference.announcements.push({ url: req.body.AnnounceUrl, message, at: new Date().toISOString() });
+        log(`📢 Announcement in ${conference.friendlyName}: ${message || req.body.AnnounceUrl}`);
+    }
+    if (req.body.Status === 'completed') {
+        endConference(conference);
+    }
+
+    res.json(conferenceJson(conference));
+});
+
+router.get(`${ACCOUNT}/Conferences/:conferenceSid/Participants.json`, (req, res) => {
+    const conference = conferences.get(req.params.conferenceSid);
+    if (!conference) return notFound(res, `Conference ${req.params.conferenceSid}`);
+
+    const participants = [...conference.participants.values()].map(participant => participantJson(conference, participant));
+    res.json(listJson('participants', participants, req));
+});
+
+// Dial someone into the conference (e.g. a coaching supervisor)
+router.post(`${ACCOUNT}/Conferences/:conferenceSid/Participants.json`, (req, res) => {
+    const conference = conferences.get(req.params.conferenceSid);
+    if (!conference) return notFound(res, `Conference ${req.params.conferenceSid}`);
+
+    const call = createCall({
+        accountSid: req.params.accountSid,
+        to: req.body.To,
+        from: req.body.From,
+        twiml: `<Response><Dial><Conference>${conference.friendlyName}</Conference></Dial></Response>`,
+        statusCallback: req.body.StatusCallback,
+        statusCallbackEvents: asList(req.body.StatusCallbackEvent),
+        participantOptions: {
+            label: req.body.Label,
+            muted: req.body.Muted === 'true',
+            coaching: req.body.Coaching === 'true',
+            callSidToCoach: req.body.CallSidToCoach
+        }
+    });
+
+    res.status(201).json(participantJson(conference, {
+        callSid: call.sid,
+        label: req.body.Label,
+        muted: req.body.Muted === 'true',
+        hold: false,
+        coaching: req.body.Coaching === 'true',
+        callSidToCoach: req.body.CallSidToCoach,
+        startConferenceOnEnter: true,
+        endConferenceOnExit: false,
+        joinedAt: new Date()
+    }));
+});
+
+router.post(`${ACCOUNT}/Conferences/:conferenceSid/Participants/:callSid.json`, (req, res) => {
+    const conference = conferences.get(req.params.conferenceSid);
+    const participant = conference?.participants.get(req.params.callSid);
+    if (!participant) return notFound(res, `Participant ${req.params.callSid}`);
+
+    if (req.body.Muted !== undefined && (req.body.Muted === 'true') !== participant.muted) {
+        participant.muted = req.body.Muted === 'true';
+        sendConferenceEvent(conference, participant.muted ? 'participant-mute' : 'participant-unmute', participant);
+    }
+    if (req.body.Hold !== undefined && (req.body.Hold === 'true') !== participant.hold) {
+        participant.hold = req.body.Hold === 'true';
+        sendConferenceEvent(conference, participant.hold ? 'participant-hold' : 'participant-unhold', participant);
+    }
+    if (req.body.Coaching !== undefined) {
+        participant.coaching = req.body.Coaching === 'true';
+        participant.callSidToCoach = req.body.CallSidToCoach || participant.callSidToCoach;
+    }
+
+    res.json(participantJson(conference, participant));
+});
+
+router.delete(`${ACCOUNT}/Conferences/:conferenceSid/Participants/:callSid.json`, (req, res) => {
+    const call = calls.get(req.params.callSid);
+    if (!call || call.conferenceSid !== req.params.conferenceSid) {
+        return notFound(res, `Participant ${req.params.callSid}`);
+    }
+
+    hangUp(call);
+    res.status(204).end();
+});
+
+router.get(`${ACCOUNT}/IncomingPhoneNumbers.json`, (req, res) => {
+    res.json(listJson('incoming_phone_numbers', [{
+        sid: 'PN' + '0'.repeat(32),
+        account_sid: req.params.accountSid,
+        phone_number: config.twilioPhoneNumber,
+        friendly_name: 'Simulator number'
+    }], req));
+});
+
+exports.router = router;
+exports.calls = calls;
+exports.conferences = conferences;
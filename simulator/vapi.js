@@ -0,0 +1,264 @@
+// simulator/vapi.js
+const express = require('express');
+const crypto = require('crypto');
+const config = require('./config');
+const scenarios = require('./scenarios');
+const twilio = require('./twilio');
+const { delay, log, sendVapi } = require('./webhooks');
+
+const router = express.Router();
+
+const calls = new Map(); // call id -> { call, scenario, timers, messages, twilioCallSid }
+
+const snapshot = (entry) => ({ ...entry.call });
+
+function fill(text, call) {
+    const variables = call.assistantOverrides?.variableValues || {};
+    return text.replace(/\{(\w+)\}/g, (match, name) => variables[name] || 'there');
+}
+
+function setStatus(entry, status) {
+    const { call } = entry;
+    call.status = status;
+    call.updatedAt = new Date().toISOString();
+
+    if (status === 'in-progress') {
+        call.startedAt = call.updatedAt;
+
+        // The customer leg lives on Twilio, where the server looks it up to
+        // move it into a conference. The hold assistant joins the conference
+        // without one.
+        if (entry.scenario !== 'hold') {
+            const leg = twilio.registerCall({
+                to: call.customer?.number,
+                onRedirect: () => {
+                    entry.twilioCallSid = null;
+                    endCall(entry, 'assistant-forwarded-call', {
+                        disposition: 'qualified',
+                        summary: 'Customer qualified and was moved into a conference.'
+                    });
+                },
+                onHangup: () => {
+                    entry.twilioCallSid = null;
+                    endCall(entry, 'customer-ended-call');
+                }
+            });
+            entry.twilioCallSid = leg.sid;
+        }
+    }
+
+    sendVapi({ type: 'status-update', status, call: snapshot(entry), timestamp: Date.now() });
+}
+
+async function say(entry, role, text) {
+    const content = fill(text, entry.call);
+    const words = content.split(' ');
+
+    entry.messages.push({
+        role: role === 'assistant' ? 'bot' : 'user',
+        message: content,
+        time: Date.now(),
+        secondsFromStart: entry.call.startedAt ? (Date.now() - new Date(entry.call.startedAt)) / 1000 : 0
+    });
+
+    await sendVapi({
+        type: 'transcript',
+        role,
+        transcriptType: 'partial',
+        transcript: words.slice(0, Math.ceil(words.length / 2)).join(' '),
+        call: snapshot(entry),
+        timestamp: Date.now()
+    });
+    await sendVapi({
+        type: 'transcript',
+        role,
+        transcriptType: 'final',
+        transcript: content,
+        call: snapshot(entry),
+        timestamp: Date.now()
+    });
+}
+
+// Call a tool endpoint the way the assistant would
+async function callTool(entry, name) {
+    const variables = entry.call.assistantOverrides?.variableValues || {};
+    const args = {
+        leadId: variables.leadId,
+        customerName: variables.fullName,
+        customerPhone: entry.call.customer?.number,
+        qualificationData: {
+            organizationId: variables.organizationId,
+            leadType: variables.leadType,
+            qualifyStatus: true
+        }
+    };
+
+    log(`🛠️  ${entry.call.id} calling tool ${name}`);
+    const result = await sendVapi({
+        type: 'tool-calls',
+        toolCallList: [{
+            id: 'call_' + crypto.randomBytes(12).toString('hex'),
+            type: 'function',
+            function: { name, arguments: args },
+            arguments: args
+        }],
+        call: snapshot(entry),
+        timestamp: Date.now()
+    }, `/api/vapi-tools/${name}`);
+
+    if (result) {
+        log(`🛠️  ${entry.call.id} tool ${name} returned ${JSON.stringify(result).slice(0, 200)}`);
+    }
+}
+
+function endCall(entry, endedReason, { disposition, summary } = {}) {
+    const { call } = entry;
+    if (call.status === 'ended') return;
+
+    entry.timers.forEach(clearTimeout);
+    entry.timers = [];
+
+    call.status = 'ended';
+    call.endedReason = endedReason;
+    call.endedAt = new Date().toISOString();
+    call.updatedAt = call.endedAt;
+    log(`📴 ${call.id} ended: ${endedReason}`);
+
+    if (entry.twilioCallSid) {
+        twilio.hangUp(entry.twilioCallSid);
+        entry.twilioCallSid = null;
+    }
+
+    sendVapi({ type: 'status-update', status: 'ended', call: snapshot(entry), timestamp: Date.now() });
+
+    setTimeout(() => sendVapi({
+        type: 'end-of-call-report',
+        endedReason,
+        call: snapshot(entry),
+        analysis: {
+            summary: summary || '',
+            structuredData: disposition ? { disposition } : {}
+        },
+        artifact: {
+            messages: entry.messages,
+            transcript: entry.messages.map(message => `${message.role === 'bot' ? 'AI' : 'User'}: ${message.message}`).join('\n')
+        },
+        startedAt: call.startedAt,
+        endedAt: call.endedAt,
+        timestamp: Date.now()
+    }), delay(1));
+}
+
+function runStep(entry, step) {
+    if (step.status) return setStatus(entry, step.status);
+    if (step.say) return say(entry, ...step.say);
+    if (step.tool) return callTool(entry, step.tool);
+    if (step.end) return endCall(entry, step.end, step);
+}
+
+function findCall(req, res) {
+    const entry = calls.get(req.params.id);
+    if (!entry) {
+        res.status(404).json({ message: 'Call not found', error: 'Not Found', statusCode: 404 });
+    }
+    return entry;
+}
+
+router.post('/call', (req, res) => {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const call = {
+        id,
+        orgId: 'simulator',
+        type: 'outboundPhoneCall',
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        assistantId: req.body.assistantId,
+        phoneNumberId: req.body.phoneNumberId,
+        customer: req.body.customer,
+        assistantOverrides: req.body.assistantOverrides,
+        maxDurationSeconds: req.body.maxDurationSeconds,
+        phoneCallProvider: 'twilio',
+        phoneCallTransport: 'pstn',
+        monitor: {
+            controlUrl: `${config.publicUrl}/vapi/call/${id}/control`
+        }
+    };
+
+    const entry = { call, scenario: scenarios.pick(req.body), timers: [], messages: [], twilioCallSid: null };
+    calls.set(id, entry);
+    log(`📞 ${id} → ${call.customer?.number} (${entry.scenario})`);
+
+    entry.timers = scenarios.steps(entry.scenario).map(step =>
+        setTimeout(() => runStep(entry, step), delay(step.at)));
+
+    res.status(201).json(snapshot(entry));
+});
+
+router.get('/call', (req, res) => {
+    res.json([...calls.values()].map(snapshot).reverse());
+});
+
+router.get('/call/:id', (req, res) => {
+    const entry = findCall(req, res);
+    if (entry) res.json(snapshot(entry));
+});
+
+router.patch('/call/:id', (req, res) => {
+    const entry = findCall(req, res);
+    if (!entry) return;
+
+    if (req.body.status === 'ended') {
+        endCall(entry, 'manually-canceled');
+    }
+    res.json(snapshot(entry));
+});
+
+router.post('/call/:id/say', (req, res) => {
+    const entry = findCall(req, res);
+    if (!entry) return;
+
+    say(entry, 'assistant', req.body.message?.message || req.body.message || '');
+    res.json({ success: true });
+});
+
+// Live call control (monitor.controlUrl)
+router.post('/call/:id/control', async (req, res) => {
+    const entry = findCall(req, res);
+    if (!entry) return;
+
+    const { type } = req.body;
+    log(`🎛️  ${entry.call.id} control: ${type}${req.body.control ? ` ${req.body.control}` : ''}`);
+
+    if (type === 'say') {
+        await say(entry, 'assistant', req.body.content || req.body.message || '');
+        if (req.body.endCallAfterSpoken) endCall(entry, 'assistant-said-end-call-phrase');
+    } else if (type === 'end-call') {
+        endCall(entry, 'manually-canceled');
+    } else if (type === 'transfer') {
+        setStatus(entry, 'forwarding');
+        entry.timers.push(setTimeout(() => endCall(entry, 'assistant-forwarded-call'), delay(2)));
+    } else if (type !== 'control' && type !== 'add-message') {
+        return res.status(400).json({ message: `Unsupported control type: ${type}`, statusCode: 400 });
+    }
+
+    res.json({ success: true });
+});
+
+router.get('/assistant/:id', (req, res) => {
+    res.json({
+        id: req.params.id,
+        orgId: 'simulator',
+        name: 'Simulated assistant',
+        serverUrl: `${config.targetUrl}/webhook/vapi`
+    });
+});
+
+router.patch('/assistant/:id', (req, res) => {
+    res.json({ id: req.params.id, orgId: 'simulator', name: 'Simulated assistant', ...req.body });
+});
+
+exports.router = router;
+exports.calls = calls;
@@ -0,0 +1,63 @@
+// simulator/webhooks.js
+const crypto = require('crypto');
+const axios = require('axios');
+const twilio = require('twilio');
+const config = require('./config');
+
+// Scale a scenario delay by SIMULATOR_SPEED
+exports.delay = (seconds) => Math.max(0, seconds * 1000 / config.speed);
+
+exports.log = (message) => {
+    console.log(`${new Date().toISOString()} ${message}`);
+};
+
+// POST a server message to /webhook/vapi (or a tool URL), signed the way the
+// server validates it
+exports.sendVapi = async (message, path = '/webhook/vapi') => {
+    const body = JSON.stringify({ message });
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (config.vapiWebhookSecret) {
+        headers['x-vapi-signature'] = crypto
+            .createHmac('sha256', config.vapiWebhookSecret)
+            .update(body)
+            .digest('hex');
+    }
+
+    try {
+        const response = await axios.post(`${config.targetUrl}${path}`, body, { headers, timeout: 10000 });
+        exports.log(`➡️  vapi ${message.type} ${message.call?.id} → ${response.status}`);
+        return response.data;
+    } catch (error) {
+        exports.log(`❌ vapi ${message.type} ${message.call?.id} → ${error.response?.status || error.message}`);
+        return null;
+    }
+};
+
+// Callback URLs point at SERVER_BASE_URL, which is usually a public host;
+// deliver them to the local server instead
+function toTarget(url) {
+    const path = url.trim().replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/^[^/]*/, '');
+    return `${config.targetUrl}${path}`;
+}
+
+// POST a form-encoded Twilio callback with an X-Twilio-Signature
+exports.sendTwilio = async (callbackUrl, params) => {
+    if (!callbackUrl) return null;
+
+    const url = toTarget(callbackUrl);
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (config.twilioAuthToken) {
+        headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(config.twilioAuthToken, url, params);
+    }
+
+    try {
+        const response = await axios.post(url, new URLSearchParams(params).toString(), { headers, timeout: 10000 });
+        exports.log(`➡️  twilio ${params.StatusCallbackEvent || params.CallStatus} ${params.CallSid || params.ConferenceSid} → ${response.status}`);
+        return response.data;
+    } catch (error) {
+        exports.log(`❌ twilio ${params.StatusCallbackEvent || params.CallStatus} → ${error.response?.status || error.message}`);
+        return null;
+    }
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const alertRules = require('../server/utils/alertRules');
+
+const compile = (rule) => alertRules.compileRule(alertRules.normalizeRule(rule));
+
+test('validateRules accepts well-formed rules', () => {
+    assert.deepEqual(alertRules.validateRules([
+        { id: 'transfer', keywords: ['speak to a lawyer'], severity: 'critical' },
+        { id: 'dnc', patterns: ['stop\\s+calling'], speaker: 'any', actions: ['dnc'], cooldownSeconds: 0 }
+    ]), []);
+});
+
+test('validateRules reports every problem with its rule', () => {
+    assert.deepEqual(alertRules.validateRules({}), ['rules must be an array']);
+
+    const errors = alertRules.validateRules([
+        { id: 'a', keywords: ['x'] },
+        { id: 'a', keywords: ['y'] },
+        { keywords: [] },
+        { id: 'bad', patterns: ['('], speaker: 'agent', severity: 'urgent', cooldownSeconds: -1, actions: ['email'] }
+    ]);
+
+    assert.ok(errors.includes('Rule "a" is defined more than once'));
+    assert.ok(errors.includes('Rule 3 needs a string id'));
+    assert.ok(errors.includes('Rule 3 needs at least one keyword or pattern'));
+    assert.ok(errors.some(error => error.startsWith('Rule "bad": invalid pattern (')));
+    assert.ok(errors.some(error => error.startsWith('Rule "bad": speaker')));
+    assert.ok(errors.some(error => error.startsWith('Rule "bad": severity')));
+    assert.ok(errors.some(error => error.startsWith('Rule "bad": cooldownSeconds')));
+    assert.ok(errors.some(error => error.startsWith('Rule "bad": actions')));
+});
+
+test('normalizeRule fills in defaults', () => {
+    assert.deepEqual(alertRules.normalizeRule({ id: 'angry', keywords: ['angry'] }), {
+        id: 'angry',
+        name: 'angry',
+        keywords: ['angry'],
+        patterns: [],
+        speaker: 'customer',
+        severity: 'warning',
+        cooldownSeconds: 60,
+        actions: [],
+        enabled: true
+    });
+});
+
+test('keywords match whole words, ignoring case and curly apostrophes', () => {
+    const rule = compile({ id: 'stop', keywords: ["don't call", 'sue'] });
+
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'customer', text: 'Please DON’T CALL me again' }), ["don't call"]);
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'customer', text: "I'll sue." }), ['sue']);
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'customer', text: 'My name is Suellen' }), []);
+});
+
+test('keywords with regex characters are matched literally', () => {
+    const rule = compile({ id: 'price', keywords: ['$500?'] });
+
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'customer', text: 'is it $500? really' }), ['$500?']);
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'customer', text: 'is it $5000' }), []);
+});
+
+test('patterns, speaker and enabled decide whether a rule applies', () => {
+    const rule = compile({ id: 'dnc', patterns: ['stop\\s+calling'] });
+
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'customer', text: 'stop   calling' }), ['stop\\s+calling']);
+    assert.deepEqual(alertRules.matchRule(rule, { speaker: 'assistant', text: 'stop calling' }), []);
+
+    const anySpeaker = compile({ id: 'dnc', patterns: ['stop calling'], speaker: 'any' });
+    assert.equal(alertRules.matchRule(anySpeaker, { speaker: 'assistant', text: 'stop calling' }).length, 1);
+
+    const disabled = compile({ id: 'dnc', patterns: ['stop calling'], enabled: false });
+    assert.deepEqual(alertRules.matchRule(disabled, { speaker: 'customer', text: 'stop calling' }), []);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const callStates = require('../server/utils/callStates');
+
+test('normalize maps Vapi and legacy statuses onto lifecycle states', () => {
+    assert.equal(callStates.normalize('ringing'), 'ringing');
+    assert.equal(callStates.normalize('answered'), 'in-progress');
+    assert.equal(callStates.normalize('forwarding'), 'transferring');
+    assert.equal(callStates.normalize('started'), 'queued');
+    assert.equal(callStates.normalize('paused'), null);
+    assert.equal(callStates.normalize(undefined), null);
+});
+
+test('canTransition only moves calls forward', () => {
+    assert.equal(callStates.canTransition('queued', 'ringing'), true);
+    assert.equal(callStates.canTransition('in-progress', 'transferring'), true);
+    assert.equal(callStates.canTransition('ringing', 'queued'), false);
+    assert.equal(callStates.canTransition('in-progress', 'no-answer'), false);
+    assert.equal(callStates.canTransition('unknown', 'ended'), false);
+});
+
+test('a failed transfer can return to the assistant', () => {
+    assert.equal(callStates.canTransition('transferring', 'in-progress'), true);
+});
+
+test('final states have no way out', () => {
+    callStates.FINAL_STATES.forEach(state => {
+        assert.deepEqual(callStates.TRANSITIONS[state], []);
+        assert.equal(callStates.isFinal(state), true);
+        assert.equal(callStates.isLive(state), false);
+    });
+});
+
+test('isFinal and isLive accept aliases', () => {
+    assert.equal(callStates.isLive('connected'), true);
+    assert.equal(callStates.isLive('queued'), false);
+    assert.equal(callStates.isFinal('active'), false);
+    assert.equal(callStates.isFinal('bogus'), false);
+});
+
+test('every state has transitions and every target is a known state', () => {
+    callStates.STATES.forEach(state => {
+        assert.ok(Array.isArray(callStates.TRANSITIONS[state]), state);
+        callStates.TRANSITIONS[state].forEach(target => assert.ok(callStates.STATES.includes(target), target));
+    });
+    Object.keys(callStates.TIMESTAMP_FIELDS).forEach(state => assert.ok(callStates.STATES.includes(state), state));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Pin the configured window so the results do not depend on the local .env
+Object.assign(process.env, {
+    CALLING_WINDOW_ENABLED: 'true',
+    CALLING_WINDOW_START: '08:00',
+    CALLING_WINDOW_END: '21:00',
+    CALLING_WINDOW_STATE_OVERRIDES: '{}'
+});
+
+const callingWindow = require('../server/utils/callingWindow');
+
+// Wednesday 15 July 2026: New York is UTC-4, Los Angeles UTC-7
+const at = (time) => new Date(`2026-07-15T${time}Z`);
+
+test('getAreaCode reads NANP numbers with or without the country code', () => {
+    assert.equal(callingWindow.getAreaCode('+1 (213) 555-0100'), 213);
+    assert.equal(callingWindow.getAreaCode('2125550100'), 212);
+    assert.equal(callingWindow.getAreaCode('5550100'), null);
+    assert.equal(callingWindow.getAreaCode(undefined), null);
+});
+
+test('resolveContactLocation prefers contact columns over the area code', () => {
+    assert.deepEqual(callingWindow.resolveContactLocation({ phone_number: '+12125550100', timezone: 'PST' }), {
+        state: 'NY',
+        timeZones: ['America/Los_Angeles'],
+        source: 'contact'
+    });
+    assert.deepEqual(callingWindow.resolveContactLocation({ phone_number: '+12125550100', state: 'tx' }), {
+        state: 'TX',
+        timeZones: ['America/Chicago'],
+        source: 'contact'
+    });
+});
+
+test('resolveContactLocation falls back to the area code, then every continental zone', () => {
+    assert.deepEqual(callingWindow.resolveContactLocation({ phone_number: '+12125550100' }).timeZones, ['America/New_York']);
+
+    // 208 straddles the Mountain/Pacific line
+    assert.deepEqual(callingWindow.resolveContactLocation({ phone_number: '+12085550100' }), {
+        state: 'ID',
+        timeZones: ['America/Boise', 'America/Los_Angeles'],
+        source: 'area-code'
+    });
+
+    const unknown = callingWindow.resolveContactLocation({ phone_number: '+15555550100' });
+    assert.equal(unknown.source, 'unknown');
+    assert.equal(unknown.timeZones.length, 4);
+});
+
+test('getWindow uses stricter state windows', () => {
+    assert.deepEqual(callingWindow.getWindow('NY', 'wednesday'), { start: '08:00', end: '21:00' });
+    assert.deepEqual(callingWindow.getWindow('FL', 'wednesday'), { start: '08:00', end: '20:00' });
+    assert.deepEqual(callingWindow.getWindow(null, 'sunday'), { start: '08:00', end: '21:00' });
+});
+
+test('checkCallingWindow allows calls from the start of the local window', () => {
+    const contact = { phone_number: '+12125550100' };
+
+    assert.equal(callingWindow.checkCallingWindow(contact, at('12:00:00')).allowed, true);
+
+    const early = callingWindow.checkCallingWindow(contact, at('11:59:00'));
+    assert.equal(early.allowed, false);
+    assert.equal(early.nextAllowedAt, '2026-07-15T12:00:00.000Z');
+    assert.match(early.reason, /^Outside the calling window: contact is in NY/);
+});
+
+test('checkCallingWindow applies the state window in the evening', () => {
+    // 20:30 in New York: fine for NY, past Florida's 20:00 end
+    assert.equal(callingWindow.checkCallingWindow({ phone_number: '+12125550100' }, new Date('2026-07-16T00:30:00Z')).allowed, true);
+    assert.equal(callingWindow.checkCallingWindow({ phone_number: '+13055550100' }, new Date('2026-07-16T00:30:00Z')).allowed, false);
+});
+
+test('checkCallingWindow needs every zone open for an unknown location', () => {
+    const result = callingWindow.checkCallingWindow({ phone_number: '+15555550100' }, at('12:30:00'));
+
+    assert.equal(result.allowed, false);
+    assert.equal(result.nextAllowedAt, '2026-07-15T15:00:00.000Z');
+    assert.match(result.reason, /contact location is unknown/);
+});
+
+test('normalizeTimeZone accepts aliases and IANA names only', () => {
+    assert.equal(callingWindow.normalizeTimeZone('ct'), 'America/Chicago');
+    assert.equal(callingWindow.normalizeTimeZone('Europe/London'), 'Europe/London');
+    assert.equal(callingWindow.normalizeTimeZone('Mars/Olympus'), null);
+    assert.equal(callingWindow.normalizeTimeZone(''), null);
+});
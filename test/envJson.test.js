@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEnvJson } = require('../server/utils/envJson');
+
+test('parseEnvJson returns the parsed setting', () => {
+    process.env.TEST_ENV_JSON = '{"TX":{"start":"09:00"}}';
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', {}), { TX: { start: '09:00' } });
+
+    process.env.TEST_ENV_JSON = '[{"id":"a"}]';
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', []), [{ id: 'a' }]);
+});
+
+test('parseEnvJson falls back for unset, malformed or wrongly shaped values', () => {
+    delete process.env.TEST_ENV_JSON;
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', []), []);
+
+    process.env.TEST_ENV_JSON = '{not json';
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', {}), {});
+
+    process.env.TEST_ENV_JSON = '{"id":"a"}';
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', []), []);
+
+    process.env.TEST_ENV_JSON = '["a"]';
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', {}), {});
+
+    process.env.TEST_ENV_JSON = 'null';
+    assert.deepEqual(parseEnvJson('TEST_ENV_JSON', {}), {});
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const retryPolicy = require('../server/utils/retryPolicy');
+
+test('outcomeFromEndedReason maps Vapi end reasons to campaign outcomes', () => {
+    assert.equal(retryPolicy.outcomeFromEndedReason(undefined), 'completed');
+    assert.equal(retryPolicy.outcomeFromEndedReason('customer-did-not-answer'), 'no-answer');
+    assert.equal(retryPolicy.outcomeFromEndedReason('voicemail'), 'no-answer');
+    assert.equal(retryPolicy.outcomeFromEndedReason('customer-busy'), 'busy');
+    assert.equal(retryPolicy.outcomeFromEndedReason('pipeline-error-openai-llm-failed'), 'failed');
+    assert.equal(retryPolicy.outcomeFromEndedReason('customer-ended-call'), 'completed');
+});
+
+test('validateRetryPolicy accepts a missing or null policy', () => {
+    assert.deepEqual(retryPolicy.validateRetryPolicy(undefined), []);
+    assert.deepEqual(retryPolicy.validateRetryPolicy(null), []);
+    assert.deepEqual(retryPolicy.validateRetryPolicy({
+        maxAttempts: 2,
+        backoffSeconds: { busy: 60 },
+        doNotRetry: ['failed']
+    }), []);
+});
+
+test('validateRetryPolicy rejects malformed policies', () => {
+    assert.deepEqual(retryPolicy.validateRetryPolicy('often'), ['Retry policy must be an object']);
+    assert.deepEqual(retryPolicy.validateRetryPolicy([]), ['Retry policy must be an object']);
+    assert.equal(retryPolicy.validateRetryPolicy({ maxAttempts: 0 }).length, 1);
+    assert.equal(retryPolicy.validateRetryPolicy({ maxAttempts: 11 }).length, 1);
+    assert.equal(retryPolicy.validateRetryPolicy({ backoffSeconds: [60] }).length, 1);
+    assert.equal(retryPolicy.validateRetryPolicy({ backoffSeconds: { busy: -1 } }).length, 1);
+    assert.equal(retryPolicy.validateRetryPolicy({ backoffSeconds: { completed: 60 } }).length, 1);
+    assert.equal(retryPolicy.validateRetryPolicy({ doNotRetry: 'busy' }).length, 1);
+    assert.equal(retryPolicy.validateRetryPolicy({ doNotRetry: ['completed'] }).length, 1);
+});
+
+test('normalizeRetryPolicy fills in defaults, including for null', () => {
+    assert.deepEqual(retryPolicy.normalizeRetryPolicy(null), retryPolicy.DEFAULT_RETRY_POLICY);
+
+    const normalized = retryPolicy.normalizeRetryPolicy({ maxAttempts: 5, backoffSeconds: { busy: 30 } });
+    assert.equal(normalized.maxAttempts, 5);
+    assert.equal(normalized.backoffSeconds.busy, 30);
+    assert.equal(normalized.backoffSeconds['no-answer'], retryPolicy.DEFAULT_RETRY_POLICY.backoffSeconds['no-answer']);
+    assert.deepEqual(normalized.doNotRetry, []);
+});
+
+test('getRetryDelay retries retryable outcomes until attempts run out', () => {
+    const policy = { maxAttempts: 3, backoffSeconds: { busy: 10 } };
+
+    assert.equal(retryPolicy.getRetryDelay(policy, { attempt: 1 }, 'busy'), 10000);
+    assert.equal(retryPolicy.getRetryDelay(policy, { attempt: 2 }, 'busy'), 10000);
+    assert.equal(retryPolicy.getRetryDelay(policy, { attempt: 3 }, 'busy'), null);
+    assert.equal(retryPolicy.getRetryDelay(policy, {}, 'completed'), null);
+    assert.equal(retryPolicy.getRetryDelay({ doNotRetry: ['failed'] }, {}, 'failed'), null);
+});
+
+test('invalid numbers are never retried', () => {
+    assert.equal(retryPolicy.getRetryDelay({}, { attempt: 1 }, 'invalid-number'), null);
+
+    assert.equal(retryPolicy.isInvalidNumberError(new Error('Invalid phone number format: 123')), true);
+    assert.equal(retryPolicy.isInvalidNumberError({
+        message: 'Request failed with status code 400',
+        response: { data: { message: ['customer.number must be a valid phone number in the E.164 format'] } }
+    }), true);
+    assert.equal(retryPolicy.isInvalidNumberError(new Error('socket hang up')), false);
+    assert.equal(retryPolicy.isInvalidNumberError(undefined), false);
+});
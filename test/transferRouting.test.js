@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const transferRouting = require('../server/utils/transferRouting');
+
+// Wednesday 15 July 2026: New York is UTC-4
+const at = (time) => new Date(`2026-07-15T${time}Z`);
+
+const routing = transferRouting.normalizeRouting({
+    destinations: [
+        { id: 'sales', name: 'Sales', type: 'queue', number: '+15551230001' },
+        { id: 'legal', type: 'number', number: '+15551230002' },
+        { id: 'night', type: 'sip', uri: 'sip:night@pbx.example.com' }
+    ],
+    rules: [
+        { id: 'after-hours', destination: 'night', match: { businessHours: false } },
+        { id: 'hair', destinations: ['legal', 'sales'], match: { leadTypes: ['Hair Straightener'] } },
+        { id: 'weekend-org', destination: 'legal', match: { organizations: ['org-1'], days: ['saturday', 'sunday'] } },
+        { id: 'disabled', destination: 'legal', enabled: false, match: {} }
+    ],
+    defaultDestination: 'sales',
+    businessHours: { start: '09:00', end: '17:00', days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'] }
+});
+
+test('validateRouting accepts a complete configuration', () => {
+    assert.deepEqual(transferRouting.validateRouting({
+        destinations: [{ id: 'sales', type: 'queue', number: '+15551230001' }],
+        rules: [{ id: 'all', destination: 'sales', match: { hours: { start: '18:00', end: '09:00' }, timeZone: 'PT' } }],
+        businessHours: { start: '09:00', end: '17:00', days: ['monday'], timeZone: 'America/Chicago' }
+    }), []);
+});
+
+test('validateRouting reports destination and rule problems', () => {
+    assert.deepEqual(transferRouting.validateRouting(null), ['routing must be an object with destinations and rules']);
+
+    const errors = transferRouting.validateRouting({
+        destinations: [
+            { id: 'a', type: 'number', number: '5551230001' },
+            { id: 'a', type: 'sip', uri: 'agent.example.com' },
+            { id: 'b', type: 'fax' }
+        ],
+        rules: [
+            { id: 'r', destination: 'missing', match: { leadTypes: [], days: ['someday'], hours: { start: '9:00', end: '17:00' } } },
+            { id: 'r', destinations: [] }
+        ],
+        defaultDestination: 'nowhere',
+        businessHours: { start: '09:00', end: '17:00', timeZone: 'Mars/Olympus' }
+    });
+
+    assert.deepEqual(errors, [
+        'Destination "a" needs an E.164 number such as +15551234567',
+        'Destination "a" is defined more than once',
+        'Destination "a" needs a SIP uri such as sip:agent@example.com',
+        'Destination "b": type must be one of queue, number, sip',
+        'Rule "r": unknown destination "missing"',
+        'Rule "r": match.leadTypes must be a non-empty array',
+        `Rule "r": match.days must be a list of weekdays (${transferRouting.WEEKDAYS.join(', ')})`,
+        'Rule "r": match.hours needs start and end times as HH:MM',
+        'Rule "r" is defined more than once',
+        'Rule "r" needs at least one destination',
+        'defaultDestination "nowhere" is not a destination',
+        'businessHours: unknown time zone Mars/Olympus'
+    ]);
+});
+
+test('normalizeRouting fills in names, rule lists and the business-hours zone', () => {
+    assert.equal(routing.destinations[1].name, 'legal');
+    assert.deepEqual(routing.destinations[2], { id: 'night', name: 'night', type: 'sip', uri: 'sip:night@pbx.example.com' });
+    assert.deepEqual(routing.rules[0].destinations, ['night']);
+    assert.equal(routing.rules[3].enabled, false);
+    assert.equal(routing.businessHours.timeZone, 'America/New_York');
+    assert.deepEqual(routing.businessHours.days, ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']);
+
+    const fallback = transferRouting.normalizeRouting(
+        { destinations: [{ id: 'only', type: 'number', number: '+15551230001' }] },
+        { defaultDestination: 'gone' }
+    );
+    assert.equal(fallback.defaultDestination, 'only');
+});
+
+test('isBusinessHours uses the configured zone and days', () => {
+    assert.equal(transferRouting.isBusinessHours(routing.businessHours, at('13:00:00')), true);
+    assert.equal(transferRouting.isBusinessHours(routing.businessHours, at('21:00:00')), false);
+    assert.equal(transferRouting.isBusinessHours(routing.businessHours, new Date('2026-07-18T15:00:00Z')), false);
+});
+
+test('resolve picks the first matching rule, in destination order', () => {
+    const result = transferRouting.resolve(routing, { leadType: 'hair_straightener', now: at('14:00:00') });
+
+    assert.equal(result.ruleId, 'hair');
+    assert.deepEqual(result.destinations.map(destination => destination.id), ['legal', 'sales']);
+    assert.equal(result.destination.id, 'legal');
+
+    assert.equal(transferRouting.resolve(routing, { leadType: 'Hair Straightener', now: at('23:00:00') }).ruleId, 'after-hours');
+});
+
+test('resolve falls back to the default destination', () => {
+    const result = transferRouting.resolve(routing, { leadType: 'roundup', now: at('14:00:00') });
+
+    assert.equal(result.ruleId, null);
+    assert.equal(result.ruleName, 'Default destination');
+    assert.equal(result.destination.id, 'sales');
+});
+
+test('matchRule checks organizations, days and overnight hours', () => {
+    const weekend = routing.rules[2];
+    const saturday = new Date('2026-07-18T15:00:00Z');
+
+    assert.equal(transferRouting.matchRule(weekend, { organizationId: 'org-1', now: saturday }, routing.businessHours), true);
+    assert.equal(transferRouting.matchRule(weekend, { organizationId: 'org-2', now: saturday }, routing.businessHours), false);
+    assert.equal(transferRouting.matchRule(weekend, { organizationId: 'org-1', now: at('15:00:00') }, routing.businessHours), false);
+
+    const overnight = { enabled: true, match: { hours: { start: '18:00', end: '09:00' }, timeZone: 'PT' } };
+    // 23:00 and 08:00 in Los Angeles are inside the window, 12:00 is not
+    assert.equal(transferRouting.matchRule(overnight, { now: at('06:00:00') }, routing.businessHours), true);
+    assert.equal(transferRouting.matchRule(overnight, { now: at('15:00:00') }, routing.businessHours), true);
+    assert.equal(transferRouting.matchRule(overnight, { now: at('19:00:00') }, routing.businessHours), false);
+});
+
+test('matchesAddress compares numbers by digits and SIP URIs without parameters', () => {
+    const [sales, , night] = routing.destinations;
+
+    assert.equal(transferRouting.matchesAddress(sales, '15551230001'), true);
+    assert.equal(transferRouting.matchesAddress(sales, '+15551230002'), false);
+    assert.equal(transferRouting.matchesAddress(night, 'SIP:night@pbx.example.com;transport=tls'), true);
+    assert.equal(transferRouting.matchesAddress(night, 'sip:day@pbx.example.com'), false);
+    assert.equal(transferRouting.matchesAddress(night, undefined), false);
+});
+
+test('dialNoun escapes addresses for TwiML', () => {
+    assert.equal(transferRouting.dialNoun(routing.destinations[0]), '<Number>+15551230001</Number>');
+    assert.equal(
+        transferRouting.dialNoun({ type: 'sip', uri: 'sip:agent@pbx.example.com?x=1&y=<2>' }),
+        '<Sip>sip:agent@pbx.example.com?x=1&amp;y=&lt;2&gt;</Sip>'
+    );
+    assert.equal(transferRouting.escapeXml(`Smith & "Jones" <O'Neil>`), 'Smith &amp; &quot;Jones&quot; &lt;O&apos;Neil&gt;');
+});